@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Copia a vendor/ las bibliotecas que la página sirve por sí misma, desde node_modules
+ * Se ejecuta solo después de npm install (postinstall); también con npm run vendor
+ *
+ * vendor/ no se guarda en el repositorio: cada entrada de FILES indica el paquete de npm
+ * (fijado en package.json) y qué copiar de él. Si un paquete no está instalado se avisa
+ * y se sigue con los demás; la página usa la CDN para lo que falte
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR = path.join(ROOT, 'vendor');
+
+// [paquete, origen dentro del paquete, destino dentro de vendor/]
+// Si el origen es una carpeta se copia entera
+const FILES = [
+    ['bootstrap', 'dist/css/bootstrap.min.css', 'bootstrap/css/bootstrap.min.css'],
+    ['bootstrap', 'dist/js/bootstrap.bundle.min.js', 'bootstrap/js/bootstrap.bundle.min.js'],
+    ['@fortawesome/fontawesome-free', 'css/all.min.css', 'fontawesome/css/all.min.css'],
+    ['@fortawesome/fontawesome-free', 'webfonts', 'fontawesome/webfonts'],
+    ['jspdf', 'dist/jspdf.umd.min.js', 'jspdf/jspdf.umd.min.js'],
+    ['tesseract.js', 'dist/tesseract.min.js', 'tesseract/tesseract.min.js'],
+    ['tesseract.js', 'dist/worker.min.js', 'tesseract/worker.min.js'],
+    // El OCR usa solo el motor LSTM: con y sin SIMD según el navegador
+    ['tesseract.js-core', 'tesseract-core-lstm.wasm.js', 'tesseract-core/tesseract-core-lstm.wasm.js'],
+    ['tesseract.js-core', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core/tesseract-core-simd-lstm.wasm.js'],
+    ['@tesseract.js-data/spa', '4.0.0_best_int/spa.traineddata.gz', 'tessdata/spa.traineddata.gz'],
+    ['@tesseract.js-data/eng', '4.0.0_best_int/eng.traineddata.gz', 'tessdata/eng.traineddata.gz'],
+    ['pdfjs-dist', 'build/pdf.min.js', 'pdfjs/pdf.min.js'],
+    ['pdfjs-dist', 'build/pdf.worker.min.js', 'pdfjs/pdf.worker.min.js'],
+    ['heic2any', 'dist/heic2any.min.js', 'heic2any/heic2any.min.js'],
+    ['utif', 'UTIF.js', 'utif/UTIF.js'],
+    ['pako', 'dist/pako.min.js', 'pako/pako.min.js'],
+    ['jsqr', 'dist/jsQR.js', 'jsqr/jsQR.js']
+];
+
+/**
+ * Busca la carpeta de un paquete instalado
+ * @param {string} name - Nombre del paquete en npm
+ * @returns {string|null} Ruta de la carpeta, o null si no está instalado
+ */
+function findPackage(name) {
+    try {
+        return path.dirname(require.resolve(`${name}/package.json`, { paths: [ROOT] }));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Copia cada entrada de FILES y avisa de los paquetes que faltan
+ */
+function main() {
+    const missing = new Set();
+    let copied = 0;
+
+    for (const [name, from, to] of FILES) {
+        const folder = findPackage(name);
+        if (!folder) {
+            missing.add(name);
+            continue;
+        }
+        const target = path.join(VENDOR, to);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.cpSync(path.join(folder, from), target, { recursive: true });
+        copied++;
+    }
+
+    process.stdout.write(`vendor/: ${copied} de ${FILES.length} rutas copiadas\n`);
+    if (missing.size > 0) {
+        process.stderr.write(`vendor/: faltan los paquetes ${[...missing].join(', ')} (npm install)\n`);
+    }
+}
+
+main();
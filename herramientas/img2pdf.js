@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Convierte imágenes en un PDF desde la línea de comandos, con el mismo núcleo que la página
+ * (filtros de escaneo, tamaño de hoja, márgenes, distribución y calidad)
+ *
+ * Uso: img2pdf [opciones] imagen... -o salida.pdf
+ * Ejemplo: img2pdf --filter bw --page a4 --margins *.jpg -o out.pdf
+ *
+ * Necesita las dependencias del package.json (npm install): @napi-rs/canvas y jspdf
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConverterCore, ImageProcessing } = require('../source/JS/nucleo.js');
+
+const HELP = `Uso: img2pdf [opciones] imagen... -o salida.pdf
+
+Opciones:
+  -o, --output <archivo>      PDF de salida (obligatorio)
+  --filter <filtro>           original, grayscale, bw, enhanced, sauvola, shadows, magic o whiten (por defecto original)
+  --page <tamaño>             a4, letter, legal, oficio o a5 (por defecto a4)
+  --orientation <modo>        auto, portrait o landscape (por defecto auto)
+  --fit <modo>                contain, cover u original (por defecto contain)
+  --margins [cm]              deja márgenes, de 0.4 cm si no se indica el ancho
+  --layout <modo>             single, 2up, 4up, idcard o contact (por defecto single)
+  --quality <preset>          email, standard o archive (por defecto standard)
+  --dpi <ppp>                 resolución de las imágenes; junto con --jpeg-quality reemplaza el preset
+  --jpeg-quality <0-100>      calidad JPEG
+  --title <texto>             título del documento
+  -h, --help                  muestra esta ayuda
+
+Formatos de entrada: JPEG, PNG y WebP`;
+
+const FILTERS = ['original', 'grayscale', 'bw', 'enhanced', 'sauvola', 'shadows', 'magic', 'whiten'];
+const CHOICES = {
+    pageSize: ['a4', 'letter', 'legal', 'oficio', 'a5'],
+    pageOrientation: ['auto', 'portrait', 'landscape'],
+    fitMode: ['contain', 'cover', 'original'],
+    layout: ['single', '2up', '4up', 'idcard', 'contact'],
+    qualityPreset: ['email', 'standard', 'archive']
+};
+const MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+/**
+ * Error de uso: opción desconocida o valor no válido (código de salida 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Lee las opciones de la línea de comandos
+ * @param {string[]} args - Argumentos después del nombre del script
+ * @returns {Object} Archivos de entrada, salida, filtro, título y opciones para ConverterCore
+ */
+function parseArgs(args) {
+    const options = { files: [], output: null, filter: 'original', title: null, help: false, core: { useMargins: false } };
+
+    // Valor obligatorio de la opción actual
+    const take = (i, name) => {
+        if (i + 1 >= args.length) throw new UsageError(`Falta el valor de ${name}`);
+        return args[i + 1];
+    };
+    const choose = (key, value, name) => {
+        if (!CHOICES[key].includes(value)) {
+            throw new UsageError(`${name} no admite "${value}" (${CHOICES[key].join(', ')})`);
+        }
+        options.core[key] = value;
+    };
+    const number = (value, name, min, max) => {
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+            throw new UsageError(`${name} debe ser un número entre ${min} y ${max}`);
+        }
+        return parsed;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = path.resolve(take(i, arg));
+            i++;
+        } else if (arg === '--filter') {
+            options.filter = take(i, arg);
+            if (!FILTERS.includes(options.filter)) {
+                throw new UsageError(`--filter no admite "${options.filter}" (${FILTERS.join(', ')})`);
+            }
+            i++;
+        } else if (arg === '--page') {
+            choose('pageSize', take(i, arg), arg);
+            i++;
+        } else if (arg === '--orientation') {
+            choose('pageOrientation', take(i, arg), arg);
+            i++;
+        } else if (arg === '--fit') {
+            choose('fitMode', take(i, arg), arg);
+            i++;
+        } else if (arg === '--layout') {
+            choose('layout', take(i, arg), arg);
+            i++;
+        } else if (arg === '--quality') {
+            choose('qualityPreset', take(i, arg), arg);
+            i++;
+        } else if (arg === '--margins') {
+            options.core.useMargins = true;
+            // El ancho es opcional: solo se toma el siguiente argumento si es un número
+            if (i + 1 < args.length && /^\d+(\.\d+)?$/.test(args[i + 1])) {
+                options.core.marginSize = number(args[i + 1], arg, 0, 5) * 28.35;
+                i++;
+            }
+        } else if (arg === '--dpi') {
+            options.core.qualityPreset = 'custom';
+            options.core.customDpi = number(take(i, arg), arg, 50, 600);
+            i++;
+        } else if (arg === '--jpeg-quality') {
+            options.core.qualityPreset = 'custom';
+            options.core.customQuality = number(take(i, arg), arg, 10, 100) / 100;
+            i++;
+        } else if (arg === '--title') {
+            options.title = take(i, arg);
+            i++;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Opción desconocida: ${arg}`);
+        } else {
+            options.files.push(path.resolve(arg));
+        }
+    }
+    return options;
+}
+
+/**
+ * Lee una imagen como data URL, que es lo que reciben ImageProcessing y ConverterCore
+ * @param {string} file - Ruta de la imagen
+ * @returns {string} Data URL en base64
+ */
+function readImage(file) {
+    const type = MIME_TYPES[path.extname(file).toLowerCase()];
+    if (!type) {
+        throw new Error(`${file}: formato no admitido (se aceptan ${Object.keys(MIME_TYPES).join(', ')})`);
+    }
+    return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+/**
+ * Convierte las imágenes y escribe el PDF
+ * @param {Object} options - Opciones de parseArgs
+ */
+async function convert(options) {
+    ConverterCore.useNodeCanvas(require('@napi-rs/canvas'));
+    const { jsPDF } = require('jspdf');
+    const core = new ConverterCore(options.core);
+
+    const pages = [];
+    for (const [index, file] of options.files.entries()) {
+        process.stderr.write(`Procesando ${index + 1}/${options.files.length}: ${path.basename(file)}\n`);
+        let dataUrl = readImage(file);
+        if (options.filter !== 'original') {
+            ({ dataUrl } = await ImageProcessing.processImage({ image: dataUrl, filterType: options.filter }));
+        }
+        pages.push({ dataUrl: dataUrl, filter: options.filter, bookmark: path.parse(file).name });
+    }
+
+    const pdf = await core.createPdf(pages, {
+        jsPDF: jsPDF,
+        info: options.title ? { title: options.title } : null,
+        onProgress: (page, total) => process.stderr.write(`Armando página ${page}/${total}\r`)
+    });
+    const data = Buffer.from(pdf.output('arraybuffer'));
+    fs.writeFileSync(options.output, data);
+    process.stderr.write(`\nPDF guardado en ${options.output} (${core.getSheetCount(pages.length)} páginas, ${data.length} bytes)\n`);
+}
+
+/**
+ * Punto de entrada: 0 si se generó el PDF, 1 si falló la conversión, 2 si el uso es incorrecto
+ */
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (!options.help && options.files.length === 0) throw new UsageError('Faltan las imágenes de entrada');
+        if (!options.help && !options.output) throw new UsageError('Falta el PDF de salida (-o)');
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`img2pdf: ${error.message}\n\n${HELP}\n`);
+        process.exitCode = 2;
+        return;
+    }
+    if (options.help) {
+        process.stdout.write(`${HELP}\n`);
+        return;
+    }
+
+    try {
+        await convert(options);
+    } catch (error) {
+        process.stderr.write(`img2pdf: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Servidor de prueba para el envío de archivos generados
+ * Recibe el formulario multipart que envía la página, muestra los metadatos y guarda el archivo
+ *
+ * Uso: node herramientas/servidor-prueba.js [--puerto 8787] [--fallar 2] [--carpeta ruta]
+ * - --puerto: puerto en el que escucha (por defecto 8787)
+ * - --fallar: responde 503 a las primeras N peticiones para probar los reintentos
+ * - --carpeta: dónde se guardan los archivos recibidos (por defecto, la carpeta temporal del sistema)
+ *
+ * Solo usa módulos de Node: no necesita instalar nada
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Lee las opciones de la línea de comandos
+ * @param {string[]} args - Argumentos después del nombre del script
+ * @returns {Object} Puerto, fallos simulados y carpeta de destino
+ */
+function parseArgs(args) {
+    const options = {
+        port: 8787,
+        failures: 0,
+        folder: path.join(os.tmpdir(), 'convertidor-recibidos')
+    };
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        if (args[i] === '--puerto') {
+            options.port = parseInt(value, 10);
+            i++;
+        } else if (args[i] === '--fallar') {
+            options.failures = parseInt(value, 10);
+            i++;
+        } else if (args[i] === '--carpeta') {
+            options.folder = path.resolve(value);
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Separa las partes de un cuerpo multipart/form-data
+ * @param {Buffer} body - Cuerpo completo de la petición
+ * @param {string} boundary - Separador indicado en Content-Type
+ * @returns {Array<{name: string, fileName: string|null, type: string|null, data: Buffer}>} Campos y archivos
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let start = body.indexOf(delimiter);
+
+    while (start !== -1) {
+        start += delimiter.length;
+        // '--' después del separador marca el final del formulario
+        if (body.slice(start, start + 2).toString() === '--') break;
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        // Cada parte: CRLF, cabeceras, línea vacía, contenido, CRLF
+        const part = body.slice(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd).toString('utf8');
+        const disposition = /content-disposition:[^\r\n]*/i.exec(headers);
+        const name = disposition && /\bname="([^"]*)"/.exec(disposition[0]);
+        const fileName = disposition && /\bfilename="([^"]*)"/.exec(disposition[0]);
+        const type = /content-type:\s*([^\r\n]*)/i.exec(headers);
+
+        parts.push({
+            name: name ? name[1] : '',
+            fileName: fileName ? fileName[1] : null,
+            type: type ? type[1] : null,
+            data: part.slice(headerEnd + 4)
+        });
+        start = end;
+    }
+    return parts;
+}
+
+/**
+ * Responde en JSON y permite peticiones desde cualquier origen (la página suele abrirse en otro puerto)
+ * @param {http.ServerResponse} response - Respuesta HTTP
+ * @param {number} status - Código de estado
+ * @param {Object} [body] - Contenido de la respuesta
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Content-Type': 'application/json; charset=utf-8'
+    });
+    response.end(body ? JSON.stringify(body) : undefined);
+}
+
+const options = parseArgs(process.argv.slice(2));
+let remainingFailures = options.failures;
+let received = 0;
+
+fs.mkdirSync(options.folder, { recursive: true });
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        sendJson(response, 204);
+        return;
+    }
+    if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'Solo se aceptan peticiones POST' });
+        return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        if (remainingFailures > 0) {
+            remainingFailures--;
+            console.log(`Fallo simulado (quedan ${remainingFailures})`);
+            sendJson(response, 503, { error: 'Fallo simulado' });
+            return;
+        }
+
+        const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(request.headers['content-type'] || '');
+        if (!boundary) {
+            sendJson(response, 400, { error: 'Se esperaba multipart/form-data' });
+            return;
+        }
+
+        const parts = parseMultipart(Buffer.concat(chunks), boundary[1] || boundary[2]);
+        const file = parts.find(part => part.fileName !== null);
+        if (!file) {
+            sendJson(response, 400, { error: 'Falta el archivo' });
+            return;
+        }
+
+        received++;
+        // El número evita sobrescribir archivos con el mismo nombre
+        const target = path.join(options.folder, `${String(received).padStart(3, '0')}_${path.basename(file.fileName)}`);
+        fs.writeFileSync(target, file.data);
+
+        console.log(`\nRecibido ${file.fileName} (${file.type}, ${file.data.length} bytes)`);
+        parts.filter(part => part.fileName === null).forEach(part => {
+            console.log(`  ${part.name}: ${part.data.toString('utf8')}`);
+        });
+        console.log(`  Guardado en ${target}`);
+
+        sendJson(response, 200, { ok: true, id: received, bytes: file.data.length });
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`Servidor de prueba en http://localhost:${options.port}/`);
+    console.log(`Los archivos se guardan en ${options.folder}`);
+    if (options.failures) {
+        console.log(`Las primeras ${options.failures} peticiones responderán 503`);
+    }
+});
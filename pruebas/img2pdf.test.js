@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'herramientas', 'img2pdf.js');
+const SAMPLES = path.join(__dirname, 'muestras');
+
+/**
+ * Ejecuta la herramienta con los argumentos indicados
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @returns {Object} Resultado de spawnSync (código de salida, stdout y stderr)
+ */
+function run(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+/**
+ * Crea una ruta de salida en una carpeta temporal que se borra al terminar las pruebas
+ * @param {string} name - Nombre del PDF
+ * @returns {string} Ruta completa
+ */
+function outputPath(name) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'img2pdf-'));
+    test.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    return path.join(folder, name);
+}
+
+test('convierte las imágenes de ejemplo en un PDF A4 en blanco y negro', () => {
+    const output = outputPath('out.pdf');
+    const result = run([
+        '--filter', 'bw', '--page', 'a4', '--margins',
+        path.join(SAMPLES, 'documento.jpg'), path.join(SAMPLES, 'foto.png'),
+        '-o', output, '--title', 'Prueba'
+    ]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const pdf = fs.readFileSync(output, 'latin1');
+    assert.ok(pdf.startsWith('%PDF-'));
+    assert.strictEqual(pdf.match(/\/Type \/Page\n/g).length, 2);
+    // Documento vertical y foto apaisada en hoja horizontal
+    const boxes = [...pdf.matchAll(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g)].map(m => [Math.round(m[1]), Math.round(m[2])]);
+    assert.deepStrictEqual(boxes, [[595, 842], [842, 595]]);
+    assert.match(pdf, /\/BitsPerComponent 1/);
+    assert.match(pdf, /\/Title \(Prueba\)/);
+});
+
+test('pone dos imágenes por hoja', () => {
+    const output = outputPath('2up.pdf');
+    const sample = path.join(SAMPLES, 'documento.jpg');
+    const result = run(['--layout', '2up', '--quality', 'email', sample, sample, sample, '-o', output]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const pdf = fs.readFileSync(output, 'latin1');
+    assert.strictEqual(pdf.match(/\/Type \/Page\n/g).length, 2);
+    // jsPDF guarda una sola vez la imagen repetida y la dibuja tres veces
+    assert.strictEqual(pdf.match(/ Do\n/g).length, 3);
+    assert.match(pdf, /\/DCTDecode/);
+});
+
+test('rechaza opciones desconocidas y archivos no admitidos', () => {
+    const unknown = run(['--colores', path.join(SAMPLES, 'foto.png'), '-o', outputPath('x.pdf')]);
+    assert.strictEqual(unknown.status, 2);
+    assert.match(unknown.stderr, /Opción desconocida: --colores/);
+
+    assert.strictEqual(run([path.join(SAMPLES, 'foto.png')]).status, 2);
+    assert.strictEqual(run(['--page', 'a3', path.join(SAMPLES, 'foto.png'), '-o', 'x.pdf']).status, 2);
+
+    const unsupported = run([__filename, '-o', outputPath('x.pdf')]);
+    assert.strictEqual(unsupported.status, 1);
+    assert.match(unsupported.stderr, /formato no admitido/);
+});
+
+test('muestra la ayuda', () => {
+    const result = run(['--help']);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /^Uso: img2pdf/);
+});
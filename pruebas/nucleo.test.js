@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ConverterCore } = require('../source/JS/nucleo.js');
+
+test('toma los valores predeterminados e ignora lo que no es una opción', () => {
+    const core = new ConverterCore({ pageSize: 'letter', images: [] });
+    assert.strictEqual(core.pageSize, 'letter');
+    assert.strictEqual(core.fitMode, 'contain');
+    assert.strictEqual(core.images, undefined);
+});
+
+test('elige la orientación de la hoja según la imagen', () => {
+    const core = new ConverterCore();
+    assert.deepStrictEqual(core.getPageDimensions(800, 600), [841.89, 595.28]);
+    assert.deepStrictEqual(core.getPageDimensions(600, 800), [595.28, 841.89]);
+
+    core.pageOrientation = 'portrait';
+    assert.deepStrictEqual(core.getPageDimensions(800, 600), [595.28, 841.89]);
+});
+
+test('descuenta los márgenes del área imprimible', () => {
+    const core = new ConverterCore({ marginSize: 20 });
+    assert.deepStrictEqual(core.getPrintableArea(600, 800), { x: 20, y: 20, width: 560, height: 760 });
+
+    core.useMargins = false;
+    assert.deepStrictEqual(core.getPrintableArea(600, 800), { x: 0, y: 0, width: 600, height: 800 });
+});
+
+test('ajusta la imagen al área sin deformarla', () => {
+    const core = new ConverterCore();
+    const area = { x: 0, y: 0, width: 400, height: 400 };
+
+    const contain = core.getImagePlacement(200, 100, area, 'contain');
+    assert.deepStrictEqual(contain, { x: 0, y: 100, width: 400, height: 200, cropRatio: null });
+
+    const cover = core.getImagePlacement(200, 100, area, 'cover');
+    assert.deepStrictEqual(cover, { x: 0, y: 0, width: 400, height: 400, cropRatio: 1 });
+
+    // 100 píxeles a 96 ppp son 75 puntos
+    const original = core.getImagePlacement(100, 100, area, 'original');
+    assert.strictEqual(original.width, 75);
+    assert.strictEqual(original.x, 162.5);
+});
+
+test('el rectángulo completo de una imagen recortada sobresale de su celda', () => {
+    const core = new ConverterCore({ fitMode: 'cover', useMargins: false });
+    const layout = core.getPageLayout(1000, 500);
+    assert.strictEqual(layout.orientation, 'landscape');
+    assert.strictEqual(layout.frame.height, layout.placement.height);
+    assert.ok(layout.frame.width > layout.placement.width);
+    assert.ok(layout.frame.x < 0);
+});
+
+test('reparte las imágenes en celdas y cuenta las hojas', () => {
+    const core = new ConverterCore({ layout: '2up', useMargins: false, layoutSpacing: 10 });
+    const plan = core.getLayoutPlan();
+    assert.strictEqual(plan.cells.length, 2);
+    assert.strictEqual(plan.cells[1].y, plan.cells[0].height + 10);
+    assert.deepStrictEqual(plan.rows, [plan.cells[0].height + 5]);
+    assert.strictEqual(core.getSheetCount(5), 3);
+
+    assert.strictEqual(core.getLayoutSlot(plan, 3).area, plan.cells[1]);
+    assert.strictEqual(new ConverterCore().getSheetCount(5), 5);
+});
+
+test('las tarjetas de identidad van a tamaño real y recortadas', () => {
+    const plan = new ConverterCore({ layout: 'idcard' }).getLayoutPlan();
+    assert.strictEqual(plan.fitMode, 'cover');
+    assert.strictEqual(Math.round(plan.cells[0].width), 243);
+});
+
+test('calcula la resolución de codificación con el preset de calidad', () => {
+    const core = new ConverterCore({ qualityPreset: 'archive' });
+    const placement = { x: 0, y: 0, width: 144, height: 72, cropRatio: null };
+    assert.deepStrictEqual(core.getEncodeOptions(placement, 'bw'), {
+        cropRatio: null, maxWidth: 600, maxHeight: 300, quality: 0.92, bilevel: true
+    });
+
+    core.qualityPreset = 'custom';
+    core.customDpi = 72;
+    core.customQuality = 0.5;
+    const options = core.getEncodeOptions(placement, 'original');
+    assert.strictEqual(options.maxWidth, 144);
+    assert.strictEqual(options.quality, 0.5);
+    assert.strictEqual(options.bilevel, false);
+});
+
+test('cargar el módulo no agrega ImageProcessing al objeto global', () => {
+    assert.strictEqual(globalThis.ImageProcessing, undefined);
+    assert.strictEqual(typeof require('../source/JS/nucleo.js').ImageProcessing.optimizeImage, 'function');
+});
+
+test('prepara páginas por adelantado y deja agregar contenido a cada una', async () => {
+    ConverterCore.useNodeCanvas(require('@napi-rs/canvas'));
+    const { jsPDF } = require('jspdf');
+    const dataUrl = `data:image/jpeg;base64,${fs.readFileSync(path.join(__dirname, 'muestras', 'documento.jpg')).toString('base64')}`;
+    const pages = ['uno', 'dos', 'tres'].map(name => ({ dataUrl: dataUrl, bookmark: name }));
+    const core = new ConverterCore({ qualityPreset: 'email' });
+
+    const calls = [];
+    const pdf = await core.createPdf(pages, {
+        jsPDF: jsPDF,
+        lookahead: 2,
+        preparePage: (page, slot) => {
+            calls.push(`preparar ${page.bookmark}`);
+            return core.preparePage(page, slot);
+        },
+        onPage: (doc, page, prepared, index) => {
+            calls.push(`dibujar ${index}`);
+            doc.text(page.bookmark, prepared.placement.x, prepared.placement.y);
+        }
+    });
+    assert.deepStrictEqual(calls, ['preparar uno', 'preparar dos', 'dibujar 0', 'preparar tres', 'dibujar 1', 'dibujar 2']);
+    assert.strictEqual(pdf.getNumberOfPages(), 3);
+
+    // Cancelar durante una página descarta el documento
+    const controller = new AbortController();
+    const canceled = await core.createPdf(pages, { jsPDF: jsPDF, signal: controller.signal, onPage: () => controller.abort() });
+    assert.strictEqual(canceled, null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const canvas = require('@napi-rs/canvas');
+const { ConverterCore, ImageProcessing } = require('../source/JS/nucleo.js');
+
+ConverterCore.useNodeCanvas(canvas);
+
+/**
+ * Hoja blanca con un bloque de texto simulado
+ * @param {number} width - Ancho en píxeles
+ * @param {number} height - Alto en píxeles
+ * @param {boolean} withText - Dibuja líneas oscuras en el centro
+ * @returns {ImageData} Píxeles de la hoja
+ */
+function createPage(width, height, withText) {
+    const page = canvas.createCanvas(width, height);
+    const ctx = page.getContext('2d');
+    ctx.fillStyle = '#f2efe8';
+    ctx.fillRect(0, 0, width, height);
+    if (withText) {
+        ctx.fillStyle = '#222';
+        for (let y = height * 0.2; y < height * 0.8; y += 12) {
+            ctx.fillRect(width * 0.15, y, width * 0.7, 4);
+        }
+    }
+    return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Lee una imagen de ejemplo como data URL
+ * @param {string} name - Archivo dentro de pruebas/muestras
+ * @returns {string} Data URL en base64
+ */
+function readSample(name) {
+    const type = name.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    return `data:${type};base64,${fs.readFileSync(path.join(__dirname, 'muestras', name)).toString('base64')}`;
+}
+
+test('el filtro bw deja solo blanco y negro', () => {
+    const imageData = ImageProcessing.applyImageFilter(createPage(200, 200, true), 'bw');
+    const values = new Set();
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        values.add(imageData.data[i]);
+    }
+    assert.deepStrictEqual([...values].sort((a, b) => a - b), [0, 255]);
+});
+
+test('mide la tinta de una página', () => {
+    assert.strictEqual(ImageProcessing.measureInk(createPage(200, 260, false)), 0);
+    assert.ok(ImageProcessing.measureInk(createPage(200, 260, true)) > 0.05);
+});
+
+test('procesa y codifica las imágenes de ejemplo', async () => {
+    const dataUrl = readSample('documento.jpg');
+    assert.deepStrictEqual(await ImageProcessing.getImageSize(dataUrl), { width: 600, height: 800 });
+
+    const processed = await ImageProcessing.processImage({ image: dataUrl, filterType: 'grayscale', maxSize: 300 });
+    assert.match(processed.dataUrl, /^data:image\/jpeg;base64,/);
+    assert.deepStrictEqual([processed.width, processed.height], [225, 300]);
+
+    const encoded = await ImageProcessing.optimizeImage({ image: readSample('foto.png'), rotation: 90, maxWidth: 100, maxHeight: 100 });
+    assert.strictEqual(encoded.format, 'JPEG');
+    assert.deepStrictEqual([encoded.width, encoded.height], [63, 100]);
+});
+
+test('las páginas bitonales se guardan como PNG de 1 bit', async () => {
+    const encoded = await ImageProcessing.optimizeImage({ image: readSample('documento.jpg'), bilevel: true });
+    assert.strictEqual(encoded.format, 'PNG');
+    // Profundidad de color en la cabecera IHDR
+    assert.strictEqual(encoded.data[24], 1);
+});
+
+test('crea un ZIP con los archivos indicados', () => {
+    const bytes = ImageProcessing.createZip([
+        { name: 'uno.txt', data: new TextEncoder().encode('uno') },
+        { name: 'dos.txt', data: new TextEncoder().encode('dos') }
+    ]);
+    assert.deepStrictEqual([...bytes.slice(0, 4)], [0x50, 0x4b, 0x03, 0x04]);
+    assert.ok(Buffer.from(bytes).includes('dos.txt'));
+});
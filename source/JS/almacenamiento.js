@@ -0,0 +1,123 @@
+/**
+ * Almacenamiento de borradores en IndexedDB
+ * Cada borrador guarda su nombre, el orden de las páginas y la configuración;
+ * las páginas se guardan aparte para escribir solo las que cambian
+ */
+class DraftStore {
+    /**
+     * @param {string} [name] - Nombre de la base de datos
+     */
+    constructor(name = 'convertidor-imagenes-pdf') {
+        this.name = name;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Indica si el navegador tiene IndexedDB
+     * @returns {boolean} true si se pueden guardar borradores
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Abre la base de datos (una sola vez) y crea los almacenes si no existen
+     * @returns {Promise<IDBDatabase>} Base de datos abierta
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('drafts', { keyPath: 'id' });
+                    const pages = db.createObjectStore('pages', { keyPath: 'id' });
+                    pages.createIndex('draftId', 'draftId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Ejecuta operaciones dentro de una transacción
+     * @param {string[]} storeNames - Almacenes que se usan
+     * @param {string} mode - 'readonly' o 'readwrite'
+     * @param {Function} callback - Recibe los almacenes y devuelve opcionalmente una petición cuyo resultado se retorna
+     * @returns {Promise<*>} Resultado de la petición devuelta, al completarse la transacción
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = callback(...storeNames.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Lista los borradores, el más reciente primero
+     * @returns {Promise<Object[]>} Borradores sin sus páginas
+     */
+    async listDrafts() {
+        const drafts = await this.transaction(['drafts'], 'readonly', drafts => drafts.getAll());
+        return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Guarda los datos de un borrador (nombre, orden de páginas, configuración)
+     * @param {Object} draft - Borrador con id, name, updatedAt, order y settings
+     * @returns {Promise<void>}
+     */
+    saveDraft(draft) {
+        return this.transaction(['drafts'], 'readwrite', drafts => {
+            drafts.put(draft);
+        });
+    }
+
+    /**
+     * Obtiene las páginas guardadas de un borrador
+     * @param {string} draftId - Id del borrador
+     * @returns {Promise<Object[]>} Páginas en cualquier orden
+     */
+    getPages(draftId) {
+        return this.transaction(['pages'], 'readonly', pages => pages.index('draftId').getAll(draftId));
+    }
+
+    /**
+     * Escribe las páginas nuevas o modificadas y borra las eliminadas en una sola transacción
+     * Las imágenes se guardan como Blob; el ObjectURL de la miniatura no sirve en otra sesión y se omite
+     * @param {string} draftId - Id del borrador
+     * @param {Object[]} changed - Páginas a guardar
+     * @param {number[]} removedIds - Ids de las páginas a borrar
+     * @returns {Promise<void>}
+     */
+    savePages(draftId, changed, removedIds) {
+        return this.transaction(['pages'], 'readwrite', pages => {
+            changed.forEach(page => pages.put({ ...page, file: null, thumbnailUrl: null, draftId: draftId }));
+            removedIds.forEach(id => pages.delete(id));
+        });
+    }
+
+    /**
+     * Elimina un borrador junto con todas sus páginas
+     * @param {string} draftId - Id del borrador
+     * @returns {Promise<void>}
+     */
+    deleteDraft(draftId) {
+        return this.transaction(['drafts', 'pages'], 'readwrite', (drafts, pages) => {
+            drafts.delete(draftId);
+            pages.index('draftId').openKeyCursor(IDBKeyRange.only(draftId)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    pages.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
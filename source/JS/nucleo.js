@@ -0,0 +1,483 @@
+/**
+ * Núcleo del convertidor sin interfaz: tamaño de hoja, márgenes, distribución de las imágenes
+ * en la hoja, calidad de salida y armado del PDF
+ * La página lo usa con la configuración del panel; desde Node se usa con require() junto con
+ * ImageProcessing (ver herramientas/img2pdf.js)
+ *
+ * Uso en Node:
+ *   const { ConverterCore, ImageProcessing } = require('./source/JS/nucleo.js');
+ *   ConverterCore.useNodeCanvas(require('@napi-rs/canvas'));
+ *   const core = new ConverterCore({ pageSize: 'a4', useMargins: true });
+ *   const pdf = await core.createPdf([{ dataUrl, filter: 'bw' }], { jsPDF: require('jspdf').jsPDF });
+ */
+
+// En la página ImageProcessing es global (procesamiento.js se carga antes); en Node se importa
+// del mismo directorio sin tocar el objeto global. Otro nombre: el global no se puede redeclarar
+const Processing = typeof module !== 'undefined' && module.exports ? require('./procesamiento.js') : ImageProcessing;
+
+class ConverterCore {
+    /**
+     * Configuración predeterminada, la misma con la que arranca la página
+     * Las medidas van en puntos (1 cm = 28.35 puntos)
+     * @returns {Object} Opciones de página, distribución y calidad
+     */
+    static getDefaultOptions() {
+        return {
+            pageSize: 'a4', // 'a4', 'letter', 'legal', 'oficio' o 'a5'
+            pageOrientation: 'auto', // 'auto', 'portrait' o 'landscape'
+            fitMode: 'contain', // 'contain', 'cover' u 'original'
+            useMargins: true,
+            marginSize: 0.4 * 28.35,
+            qualityPreset: 'standard', // 'email', 'standard', 'archive' o 'custom'
+            customDpi: 150,
+            customQuality: 0.85,
+            layout: 'single', // 'single', '2up', '4up', 'grid', 'idcard' o 'contact'
+            gridColumns: 3,
+            gridRows: 3,
+            layoutSpacing: 0.5 * 28.35,
+            cutLines: false,
+            numberImages: false
+        };
+    }
+
+    /**
+     * Prepara ImageProcessing para Node con @napi-rs/canvas (o un módulo con la misma API)
+     * @param {Object} canvasModule - Módulo con createCanvas() y loadImage()
+     */
+    static useNodeCanvas(canvasModule) {
+        Processing.setCanvasBackend({
+            createCanvas: (width, height) => canvasModule.createCanvas(width, height),
+            loadImage: (bytes) => canvasModule.loadImage(Buffer.from(bytes)),
+            encode: async (canvas, type, quality = 0.92) => new Uint8Array(
+                await canvas.encode(type === 'image/png' ? 'png' : 'jpeg', Math.round(quality * 100))
+            )
+        });
+    }
+
+    /**
+     * @param {Object} [options] - Opciones de getDefaultOptions(); lo que falte toma el valor predeterminado
+     *                             y lo que no sea una opción se ignora
+     */
+    constructor(options = {}) {
+        const defaults = ConverterCore.getDefaultOptions();
+        Object.keys(defaults).forEach(key => {
+            this[key] = options[key] !== undefined ? options[key] : defaults[key];
+        });
+    }
+
+    /**
+     * Obtiene la resolución y la calidad JPEG del preset seleccionado
+     * @returns {{dpi: number, quality: number}} Resolución en ppp y calidad entre 0 y 1
+     */
+    getQualitySettings() {
+        const presets = {
+            'email': { dpi: 100, quality: 0.6 },
+            'standard': { dpi: 150, quality: 0.85 },
+            'archive': { dpi: 300, quality: 0.92 }
+        };
+        if (this.qualityPreset === 'custom') {
+            return { dpi: this.customDpi, quality: this.customQuality };
+        }
+        return presets[this.qualityPreset] || presets.standard;
+    }
+
+    /**
+     * Obtiene las dimensiones de la hoja en puntos según el tamaño y la orientación configurados
+     * @param {number} imgWidth - Ancho de la imagen (ya rotada)
+     * @param {number} imgHeight - Alto de la imagen (ya rotada)
+     * @returns {number[]} [ancho, alto] de la página en puntos
+     */
+    getPageDimensions(imgWidth, imgHeight) {
+        let landscape = this.pageOrientation === 'landscape';
+        if (this.pageOrientation === 'auto') {
+            // Las fotos apaisadas van en hojas horizontales
+            landscape = imgWidth > imgHeight;
+        }
+        
+        return this.getSheetDimensions(landscape);
+    }
+
+    /**
+     * Obtiene las dimensiones en puntos del tamaño de hoja configurado
+     * @param {boolean} landscape - true para la hoja horizontal
+     * @returns {number[]} [ancho, alto] de la página en puntos
+     */
+    getSheetDimensions(landscape) {
+        // Tamaños en puntos (1 mm = 2.835 puntos), siempre en vertical
+        const pageSizes = {
+            'a4': [595.28, 841.89],
+            'letter': [612, 792],
+            'legal': [612, 1008],
+            'oficio': [612.28, 935.43],
+            'a5': [419.53, 595.28]
+        };
+        const [width, height] = pageSizes[this.pageSize] || pageSizes.a4;
+        
+        return landscape ? [height, width] : [width, height];
+    }
+
+    /**
+     * Obtiene el área de la hoja donde se pueden dibujar imágenes (sin los márgenes)
+     * @param {number} pageWidth - Ancho de la página en puntos
+     * @param {number} pageHeight - Alto de la página en puntos
+     * @returns {{x: number, y: number, width: number, height: number}} Área en puntos
+     */
+    getPrintableArea(pageWidth, pageHeight) {
+        const margin = this.useMargins ? this.marginSize : 0;
+        return {
+            x: margin,
+            y: margin,
+            width: pageWidth - 2 * margin,
+            height: pageHeight - 2 * margin
+        };
+    }
+
+    /**
+     * Calcula la distribución de las hojas cuando hay varias imágenes por hoja
+     * - 2up, 4up y grid: cuadrícula de celdas iguales separadas por el espacio configurado
+     * - idcard: anverso y reverso de un documento de identidad a tamaño real, uno debajo del otro
+     * - contact: cuadrícula de miniaturas con un título debajo de cada una
+     * Las hojas son verticales salvo que la orientación elegida sea horizontal
+     * @returns {Object|null} Dimensiones de la hoja, celdas en puntos, alto del título y modo de ajuste;
+     *          null si cada imagen ocupa una hoja
+     */
+    getLayoutPlan() {
+        if (this.layout === 'single') return null;
+        
+        const landscape = this.pageOrientation === 'landscape';
+        const [pageWidth, pageHeight] = this.getSheetDimensions(landscape);
+        const area = this.getPrintableArea(pageWidth, pageHeight);
+        const spacing = this.layoutSpacing;
+        const captionHeight = this.layout === 'contact' || this.numberImages ? 14 : 0;
+        const plan = { pageWidth, pageHeight, captionHeight, fitMode: this.fitMode, cells: [], columns: [], rows: [] };
+        
+        if (this.layout === 'idcard') {
+            // Formato ID-1 (ISO/IEC 7810): 85,6 × 53,98 mm, recortado a la tarjeta
+            const cardWidth = 85.6 * 2.835;
+            const cardHeight = 53.98 * 2.835;
+            const blockHeight = 2 * (cardHeight + captionHeight) + spacing;
+            const x = area.x + (area.width - cardWidth) / 2;
+            // Centradas en la mitad superior, como en una fotocopia
+            const y = area.y + Math.max(0, (area.height / 2 - blockHeight) / 2);
+        
+            plan.fitMode = 'cover';
+            plan.cells = [
+                { x: x, y: y, width: cardWidth, height: cardHeight },
+                { x: x, y: y + cardHeight + captionHeight + spacing, width: cardWidth, height: cardHeight }
+            ];
+            return plan;
+        }
+        
+        const grids = {
+            '2up': landscape ? [2, 1] : [1, 2],
+            '4up': [2, 2],
+            'grid': [this.gridColumns, this.gridRows],
+            'contact': landscape ? [5, 4] : [4, 5]
+        };
+        const [columns, rows] = grids[this.layout] || grids['2up'];
+        const cellWidth = (area.width - spacing * (columns - 1)) / columns;
+        const cellHeight = (area.height - spacing * (rows - 1)) / rows - captionHeight;
+        
+        if (this.layout === 'contact') {
+            plan.fitMode = 'contain';
+        }
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                plan.cells.push({
+                    x: area.x + column * (cellWidth + spacing),
+                    y: area.y + row * (cellHeight + captionHeight + spacing),
+                    width: cellWidth,
+                    height: cellHeight
+                });
+            }
+        }
+        
+        // Las líneas de corte pasan por el centro de cada separación
+        for (let column = 1; column < columns; column++) {
+            plan.columns.push(area.x + column * (cellWidth + spacing) - spacing / 2);
+        }
+        for (let row = 1; row < rows; row++) {
+            plan.rows.push(area.y + row * (cellHeight + captionHeight + spacing) - spacing / 2);
+        }
+        return plan;
+    }
+
+    /**
+     * Obtiene la celda de una imagen según el plan de distribución
+     * @param {Object|null} plan - Plan de getLayoutPlan
+     * @param {number} index - Posición de la imagen en el documento
+     * @returns {Object|null} Dimensiones de la hoja, área de la celda y modo de ajuste, o null si no hay plan
+     */
+    getLayoutSlot(plan, index) {
+        if (!plan) return null;
+        
+        return {
+            pageWidth: plan.pageWidth,
+            pageHeight: plan.pageHeight,
+            area: plan.cells[index % plan.cells.length],
+            fitMode: plan.fitMode
+        };
+    }
+
+    /**
+     * Calcula cuántas hojas tendrá el PDF
+     * @param {number} imageCount - Número de imágenes
+     * @returns {number} Número de hojas
+     */
+    getSheetCount(imageCount) {
+        const plan = this.getLayoutPlan();
+        return plan ? Math.ceil(imageCount / plan.cells.length) : imageCount;
+    }
+
+    /**
+     * Calcula dónde se dibuja la imagen dentro de un área según el modo de ajuste
+     * - contain: la imagen completa dentro del área, centrada
+     * - cover: la imagen cubre toda el área; el sobrante se recorta
+     * - original: tamaño real a 96 ppp, reducido solo si no cabe
+     * @param {number} imgWidth - Ancho de la imagen (ya rotada)
+     * @param {number} imgHeight - Alto de la imagen (ya rotada)
+     * @param {{x: number, y: number, width: number, height: number}} area - Área disponible en puntos
+     * @param {string} fitMode - Modo de ajuste
+     * @returns {{x: number, y: number, width: number, height: number, cropRatio: number|null}} Posición y tamaño en puntos
+     */
+    getImagePlacement(imgWidth, imgHeight, area, fitMode) {
+        const availableWidth = area.width;
+        const availableHeight = area.height;
+        const xStart = area.x;
+        const yStart = area.y;
+        
+        const imgRatio = imgWidth / imgHeight;
+        const areaRatio = availableWidth / availableHeight;
+        
+        if (fitMode === 'cover') {
+            // Ocupa toda el área; la imagen se recorta a la proporción del área
+            return { x: xStart, y: yStart, width: availableWidth, height: availableHeight, cropRatio: areaRatio };
+        }
+        
+        let finalWidth, finalHeight;
+        
+        if (fitMode === 'original') {
+            // 1 píxel = 1/96 de pulgada = 0.75 puntos
+            finalWidth = imgWidth * 0.75;
+            finalHeight = imgHeight * 0.75;
+            const scale = Math.min(1, availableWidth / finalWidth, availableHeight / finalHeight);
+            finalWidth *= scale;
+            finalHeight *= scale;
+        } else if (imgRatio > areaRatio) {
+            // La imagen es más ancha que el área disponible
+            finalWidth = availableWidth;
+            finalHeight = availableWidth / imgRatio;
+        } else {
+            // La imagen es más alta que el área disponible
+            finalHeight = availableHeight;
+            finalWidth = availableHeight * imgRatio;
+        }
+        
+        return {
+            x: xStart + (availableWidth - finalWidth) / 2,
+            y: yStart + (availableHeight - finalHeight) / 2,
+            width: finalWidth,
+            height: finalHeight,
+            cropRatio: null
+        };
+    }
+
+    /**
+     * Calcula la hoja de una imagen y dónde se dibuja en ella
+     * @param {number} imgWidth - Ancho de la imagen (ya rotada)
+     * @param {number} imgHeight - Alto de la imagen (ya rotada)
+     * @param {Object|null} [slot] - Celda de la hoja cuando hay varias imágenes por hoja (ver getLayoutSlot)
+     * @returns {Object} Dimensiones de la página, orientación, posición de la imagen y rectángulo de la imagen
+     *          completa (frame), que al rellenar sobresale del área recortada
+     */
+    getPageLayout(imgWidth, imgHeight, slot = null) {
+        // Calcula la posición según el modo de ajuste, en la hoja completa o en su celda
+        let pageWidth, pageHeight, placement;
+        if (slot) {
+            ({ pageWidth, pageHeight } = slot);
+            placement = this.getImagePlacement(imgWidth, imgHeight, slot.area, slot.fitMode);
+        } else {
+            [pageWidth, pageHeight] = this.getPageDimensions(imgWidth, imgHeight);
+            placement = this.getImagePlacement(imgWidth, imgHeight, this.getPrintableArea(pageWidth, pageHeight), this.fitMode);
+        }
+        const orientation = pageWidth > pageHeight ? 'landscape' : 'portrait';
+        
+        let frame = placement;
+        if (placement.cropRatio) {
+            const scale = Math.max(placement.width / imgWidth, placement.height / imgHeight);
+            frame = {
+                x: placement.x + (placement.width - imgWidth * scale) / 2,
+                y: placement.y + (placement.height - imgHeight * scale) / 2,
+                width: imgWidth * scale,
+                height: imgHeight * scale
+            };
+        }
+        
+        return { pageWidth, pageHeight, orientation, placement, frame };
+    }
+
+    /**
+     * Opciones de ImageProcessing.optimizeImage para una imagen colocada en la hoja
+     * La resolución se mide sobre el tamaño impreso de la imagen (72 puntos = 1 pulgada)
+     * @param {Object} placement - Posición de la imagen (ver getImagePlacement)
+     * @param {string} [filter='original'] - Filtro de la página: las bitonales se guardan en PNG de 1 bit
+     * @returns {{cropRatio: number|null, maxWidth: number, maxHeight: number, quality: number, bilevel: boolean}} Opciones de codificación
+     */
+    getEncodeOptions(placement, filter = 'original') {
+        const { dpi, quality } = this.getQualitySettings();
+        return {
+            cropRatio: placement.cropRatio,
+            maxWidth: Math.round(placement.width / 72 * dpi),
+            maxHeight: Math.round(placement.height / 72 * dpi),
+            quality: quality,
+            bilevel: Processing.isBilevelFilter(filter)
+        };
+    }
+
+    /**
+     * Dibuja líneas de corte discontinuas en la hoja actual
+     * Las cuadrículas llevan líneas de borde a borde entre celdas; las tarjetas, su contorno
+     * @param {jsPDF} pdf - Documento
+     * @param {Object} plan - Plan de getLayoutPlan
+     */
+    drawCutLines(pdf, plan) {
+        pdf.setLineDashPattern([4, 3], 0);
+        pdf.setLineWidth(0.5);
+        pdf.setDrawColor(150);
+        
+        if (this.layout === 'idcard') {
+            plan.cells.forEach(cell => pdf.rect(cell.x, cell.y, cell.width, cell.height, 'S'));
+        } else {
+            plan.columns.forEach(x => pdf.line(x, 0, x, plan.pageHeight));
+            plan.rows.forEach(y => pdf.line(0, y, plan.pageWidth, y));
+        }
+        
+        pdf.setLineDashPattern([], 0);
+        pdf.setDrawColor(0);
+    }
+
+    /**
+     * Obtiene el título de una imagen en la hoja
+     * @param {Object} image - Imagen de la colección
+     * @param {number} index - Posición de la imagen en el documento
+     * @returns {string} Número de la imagen, con su nombre en la hoja de contactos
+     */
+    getCaption(image, index) {
+        if (this.layout !== 'contact') return String(index + 1);
+        return image.bookmark ? `${index + 1}. ${image.bookmark}` : `Imagen ${index + 1}`;
+    }
+
+    /**
+     * Escribe el título centrado debajo de una celda
+     * @param {jsPDF} pdf - Documento
+     * @param {{x: number, y: number, width: number, height: number}} cell - Celda de la imagen
+     * @param {string} text - Título
+     */
+    drawCaption(pdf, cell, text) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor(90);
+        // Los títulos largos se cortan al ancho de la celda
+        const line = pdf.splitTextToSize(text, cell.width)[0];
+        pdf.text(line, cell.x + cell.width / 2, cell.y + cell.height + 10, { align: 'center' });
+        pdf.setTextColor(0);
+    }
+
+    /**
+     * Calcula la hoja de una página y codifica su imagen con ImageProcessing
+     * Las dimensiones se toman de la página si las trae; si no, se leen de la imagen
+     * @param {{dataUrl: string, width?: number, height?: number, rotation?: number, filter?: string}} page - Página ya filtrada
+     * @param {Object|null} [slot=null] - Celda de la hoja (ver getLayoutSlot)
+     * @returns {Promise<Object>} Hoja y posición (ver getPageLayout) y la imagen codificada en encoded
+     */
+    async preparePage(page, slot = null) {
+        const rotation = page.rotation || 0;
+        const size = page.width ? page : await Processing.getImageSize(page.dataUrl);
+        const quarterTurn = rotation === 90 || rotation === 270;
+        const layout = this.getPageLayout(
+            quarterTurn ? size.height : size.width,
+            quarterTurn ? size.width : size.height,
+            slot
+        );
+        const encoded = await Processing.optimizeImage({
+            image: page.dataUrl,
+            rotation: rotation,
+            ...this.getEncodeOptions(layout.placement, page.filter)
+        });
+        
+        return { ...layout, encoded };
+    }
+
+    /**
+     * Arma un PDF con las páginas indicadas, una a una y en orden
+     * Sin más opciones es la generación sin OCR, anotaciones, encabezados ni contraseña;
+     * la página agrega lo suyo con preparePage, pdfOptions y onPage
+     * @param {Object[]} pages - Páginas ya filtradas (ver preparePage)
+     * @param {Object} options
+     * @param {Function} options.jsPDF - Constructor de jsPDF (window.jspdf.jsPDF o require('jspdf').jsPDF)
+     * @param {Object} [options.info] - Título, autor, asunto y palabras clave del documento
+     * @param {Object} [options.pdfOptions] - Opciones adicionales para el constructor de jsPDF (p. ej. encryption)
+     * @param {Function} [options.preparePage] - Reemplaza a this.preparePage: recibe (página, celda) y devuelve lo mismo
+     * @param {number} [options.lookahead=1] - Páginas que se preparan por adelantado (en paralelo)
+     * @param {Function} [options.onProgress] - Recibe (página, total) antes de procesar cada página
+     * @param {Function} [options.onPage] - Recibe (pdf, página, hoja preparada, índice) después de dibujar la imagen;
+     *                                      puede devolver una promesa
+     * @param {AbortSignal} [options.signal] - Cancela la generación
+     * @returns {Promise<jsPDF|null>} Documento listo para guardar, o null si se canceló
+     */
+    async createPdf(pages, options) {
+        const { jsPDF, info = null, pdfOptions = {}, lookahead = 1, onProgress = null, onPage = null, signal = null } = options;
+        const prepare = options.preparePage || ((page, slot) => this.preparePage(page, slot));
+        if (pages.length === 0) {
+            throw new Error('No hay páginas para el PDF');
+        }
+        
+        const plan = this.getLayoutPlan();
+        const pending = [];
+        let next = 0;
+        let pdf = null;
+        for (const [index, page] of pages.entries()) {
+            while (next < pages.length && pending.length < Math.max(1, lookahead)) {
+                const promise = prepare(pages[next], this.getLayoutSlot(plan, next));
+                next++;
+                // Evita avisos de promesas rechazadas si se cancela antes de esperarlas
+                promise.catch(() => {});
+                pending.push(promise);
+            }
+            if (onProgress) onProgress(index + 1, pages.length);
+        
+            const prepared = await pending.shift();
+            if (signal && signal.aborted) return null;
+            const { pageWidth, pageHeight, orientation, placement, encoded } = prepared;
+        
+            // Con varias imágenes por hoja solo la primera de cada hoja abre una página nueva
+            const cell = plan ? index % plan.cells.length : 0;
+            if (!pdf) {
+                pdf = new jsPDF({ ...pdfOptions, unit: 'pt', format: [pageWidth, pageHeight], orientation: orientation });
+            } else if (cell === 0) {
+                pdf.addPage([pageWidth, pageHeight], orientation);
+            }
+            if (plan && cell === 0 && this.cutLines) {
+                this.drawCutLines(pdf, plan);
+            }
+        
+            pdf.addImage(encoded.data, encoded.format, placement.x, placement.y, placement.width, placement.height);
+            if (onPage) {
+                await onPage(pdf, page, prepared, index);
+                if (signal && signal.aborted) return null;
+            }
+            if (plan && plan.captionHeight) {
+                this.drawCaption(pdf, plan.cells[cell], this.getCaption(page, index));
+            }
+        }
+        
+        if (info) {
+            pdf.setDocumentProperties(info);
+        }
+        return pdf;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConverterCore, ImageProcessing: Processing };
+}
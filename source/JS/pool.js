@@ -0,0 +1,143 @@
+/**
+ * Grupo de Web Workers que reparte tareas de procesamiento de imágenes
+ * Los workers se crean a medida que hacen falta y se reutilizan; las tareas
+ * que no caben esperan en una cola y pueden cancelarse mientras esperan
+ */
+class WorkerPool {
+    /**
+     * @param {string} scriptUrl - Ruta del script del worker
+     * @param {number} [size] - Número máximo de workers simultáneos
+     */
+    constructor(scriptUrl, size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running = new Map(); // worker -> tarea en curso
+        this.nextId = 1;
+        this.failed = false; // true si los workers no pudieron arrancar (p. ej. página abierta con file://)
+    }
+
+    /**
+     * Indica si el navegador puede procesar imágenes dentro de un worker
+     * @returns {boolean} true si hay Worker, OffscreenCanvas y createImageBitmap
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Encola una tarea y la envía al primer worker libre
+     * @param {string} type - Nombre de la tarea
+     * @param {Object} payload - Datos de la tarea
+     * @param {AbortSignal} [signal] - Cancela la tarea si todavía no empezó
+     * @returns {Promise<Object>} Resultado del worker
+     */
+    run(type, payload, signal) {
+        return new Promise((resolve, reject) => {
+            if (this.failed) {
+                reject(new Error('Los workers no están disponibles'));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(new DOMException('Tarea cancelada', 'AbortError'));
+                return;
+            }
+            
+            const task = { id: this.nextId++, type, payload, resolve, reject };
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    const index = this.queue.indexOf(task);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(new DOMException('Tarea cancelada', 'AbortError'));
+                    }
+                }, { once: true });
+            }
+            
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Envía las tareas en espera a los workers libres, creando nuevos si hace falta
+     */
+    dispatch() {
+        while (this.queue.length > 0 && !this.failed) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this.spawn();
+                if (!worker) return;
+            }
+            
+            const task = this.queue.shift();
+            this.running.set(worker, task);
+            worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+        }
+    }
+
+    /**
+     * Crea un worker nuevo
+     * @returns {Worker|null} Worker creado o null si el navegador lo impide
+     */
+    spawn() {
+        let worker;
+        try {
+            worker = new Worker(this.scriptUrl);
+        } catch (error) {
+            this.fail(error);
+            return null;
+        }
+        
+        worker.addEventListener('message', (e) => {
+            const task = this.running.get(worker);
+            this.running.delete(worker);
+            this.idle.push(worker);
+            
+            if (task) {
+                if (e.data.error) {
+                    task.reject(new Error(e.data.error));
+                } else {
+                    task.resolve(e.data.result);
+                }
+            }
+            this.dispatch();
+        });
+        
+        // Un error fuera de las tareas significa que el script del worker no cargó
+        worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.fail(new Error(e.message || 'No se pudo iniciar el worker'));
+        });
+        
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Desactiva el grupo y rechaza todas las tareas pendientes
+     * @param {Error} error - Motivo del fallo
+     */
+    fail(error) {
+        this.failed = true;
+        const pending = [...this.running.values(), ...this.queue];
+        this.terminate();
+        pending.forEach(task => task.reject(error));
+    }
+
+    /**
+     * Detiene todos los workers y vacía la cola
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running.clear();
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Web Worker de procesamiento de imágenes
+ * Recibe tareas { id, type, payload } y ejecuta el método de ImageProcessing del mismo nombre
+ * fuera del hilo principal, con OffscreenCanvas
+ */
+importScripts('procesamiento.js');
+
+// Tareas que la página puede pedir al worker
+const TASKS = ['processImage', 'createThumbnail', 'optimizeImage', 'detectSkew', 'analyzePage', 'encodePage', 'stitchPages'];
+
+self.addEventListener('message', async (e) => {
+    const { id, type, payload } = e.data;
+    
+    try {
+        if (!TASKS.includes(type)) {
+            throw new Error(`Tarea desconocida: ${type}`);
+        }
+        const result = await ImageProcessing[type](payload);
+        
+        // Los bytes de los PNG se transfieren sin copiarlos
+        const transfer = result.data instanceof Uint8Array ? [result.data.buffer] : [];
+        self.postMessage({ id: id, result: result }, transfer);
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message || String(error) });
+    }
+});
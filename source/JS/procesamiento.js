@@ -0,0 +1,1539 @@
+/**
+ * Procesamiento de imágenes sin interfaz: corrección de perspectiva, filtros de escaneo
+ * y codificación de páginas (PDF, imágenes sueltas, TIFF y ZIP)
+ * Se usa igual desde los Web Workers (con OffscreenCanvas), desde la página
+ * cuando el navegador no puede crear workers y desde Node con un canvas propio (ver setCanvasBackend)
+ */
+class ImageProcessing {
+    /**
+     * Usa otro canvas en lugar de OffscreenCanvas y createImageBitmap, para trabajar fuera del navegador
+     * @param {Object|null} backend - null vuelve a los del navegador
+     * @param {Function} backend.createCanvas - (ancho, alto) => canvas con getContext('2d')
+     * @param {Function} backend.loadImage - (bytes: Uint8Array) => Promise de una imagen que se pueda dibujar
+     * @param {Function} backend.encode - (canvas, tipo MIME, calidad) => Promise<Uint8Array> con la imagen codificada
+     */
+    static setCanvasBackend(backend) {
+        this.canvasBackend = backend;
+    }
+
+    /**
+     * Crea un canvas del tamaño indicado, fuera de pantalla si el entorno lo permite
+     * @param {number} width - Ancho en píxeles
+     * @param {number} height - Alto en píxeles
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas vacío
+     */
+    static createCanvas(width, height) {
+        if (this.canvasBackend) {
+            return this.canvasBackend.createCanvas(width, height);
+        }
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Decodifica una imagen para dibujarla en un canvas
+     * Las páginas se guardan como Blob, que llega a los workers sin copiarse ni pasar a base64
+     * @param {string|Blob} image - Data URL, ObjectURL o Blob de la imagen
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Imagen decodificada
+     */
+    static async decodeImage(image) {
+        const isBlob = typeof Blob !== 'undefined' && image instanceof Blob;
+        if (this.canvasBackend) {
+            const bytes = isBlob ? new Uint8Array(await image.arrayBuffer()) : this.dataUrlToBytes(image);
+            return this.canvasBackend.loadImage(bytes);
+        }
+        if (typeof createImageBitmap !== 'undefined') {
+            const blob = isBlob ? image : await (await fetch(image)).blob();
+            return createImageBitmap(blob);
+        }
+        
+        // El ObjectURL temporal se libera en cuanto la imagen está decodificada
+        const src = isBlob ? URL.createObjectURL(image) : image;
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('No se pudo decodificar la imagen'));
+            img.src = src;
+        }).finally(() => {
+            if (isBlob) URL.revokeObjectURL(src);
+        });
+    }
+
+    /**
+     * Codifica el contenido de un canvas como Blob
+     * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas a codificar
+     * @param {string} type - Tipo MIME de salida
+     * @param {number} [quality] - Calidad entre 0 y 1 (solo JPEG)
+     * @returns {Promise<Blob>} Imagen codificada
+     */
+    static async canvasToBlob(canvas, type, quality) {
+        if (this.canvasBackend) {
+            return new Blob([await this.canvasBackend.encode(canvas, type, quality)], { type: type });
+        }
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: type, quality: quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('No se pudo codificar la imagen')), type, quality);
+        });
+    }
+
+    /**
+     * Convierte un Blob en data URL
+     * @param {Blob} blob - Datos binarios
+     * @returns {Promise<string>} Data URL en base64
+     */
+    static async blobToDataUrl(blob) {
+        // Node no tiene FileReader
+        if (typeof FileReader === 'undefined') {
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Convierte un data URL en base64 en los bytes que contiene
+     * @param {string} dataUrl - Data URL en base64
+     * @returns {Uint8Array} Contenido binario
+     */
+    static dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Obtiene las dimensiones de una imagen sin procesarla
+     * @param {string|Blob} image - Imagen (ver decodeImage)
+     * @returns {Promise<{width: number, height: number}>} Ancho y alto en píxeles
+     */
+    static async getImageSize(image) {
+        const img = await this.decodeImage(image);
+        const size = { width: img.width, height: img.height };
+        if (img.close) img.close();
+        return size;
+    }
+
+    /**
+     * Crea la miniatura de una página para la cuadrícula
+     * Las vistas previas muestran esta copia pequeña: la imagen completa solo se decodifica al procesarla
+     * @param {Object} options - Opciones de la miniatura
+     * @param {string|Blob} options.image - Imagen completa (ver decodeImage)
+     * @param {number} [options.maxSize=360] - Lado máximo de la miniatura en píxeles
+     * @returns {Promise<{thumbnail: Blob, width: number, height: number}>} Miniatura en JPEG y dimensiones de la imagen completa
+     */
+    static async createThumbnail(options) {
+        const { image, maxSize = 360 } = options;
+        const img = await this.decodeImage(image);
+        const result = { thumbnail: await this.encodeThumbnail(img, maxSize), width: img.width, height: img.height };
+        if (img.close) img.close();
+        return result;
+    }
+
+    /**
+     * Codifica una copia reducida de una imagen o canvas en JPEG
+     * @param {ImageBitmap|HTMLImageElement|OffscreenCanvas|HTMLCanvasElement} source - Imagen a reducir
+     * @param {number} maxSize - Lado máximo en píxeles
+     * @returns {Promise<Blob>} Miniatura en JPEG
+     */
+    static encodeThumbnail(source, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+        const canvas = this.createCanvas(Math.max(1, Math.round(source.width * scale)), Math.max(1, Math.round(source.height * scale)));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        return this.canvasToBlob(canvas, 'image/jpeg', 0.8);
+    }
+
+    /**
+     * Corrige la perspectiva de una imagen y le aplica un filtro de escaneo
+     * @param {Object} options - Opciones del procesamiento
+     * @param {string|Blob} options.image - Imagen original (ver decodeImage)
+     * @param {string} options.filterType - Tipo de filtro a aplicar
+     * @param {Object} [options.adjustments] - Ajustes del filtro (ver applyImageFilter)
+     * @param {Array<{x: number, y: number}>|null} [options.corners=null] - Esquinas del documento en píxeles de la original
+     * @param {Object|null} [options.transform=null] - Rotación fina, volteo y recorte tras corregir la perspectiva (ver transformCanvas)
+     * @param {number|null} [options.maxSize=null] - Lado máximo en píxeles (para vistas previas reducidas)
+     * @param {Array<{x: number, y: number, width: number, height: number}>} [options.redactions=[]] - Zonas tachadas, de 0 a 1 de la imagen procesada
+     * @param {number|null} [options.thumbnailSize=null] - Si se indica, devuelve además la miniatura de la página (ver createThumbnail)
+     *                                                      y la imagen como Blob en lugar de data URL
+     * @returns {Promise<{dataUrl: string, width: number, height: number}|{blob: Blob, thumbnail: Blob, width: number, height: number}>}
+     *          Imagen procesada en JPEG
+     */
+    static async processImage(options) {
+        const { image, filterType, adjustments = {}, corners = null, transform = null, maxSize = null, redactions = [], thumbnailSize = null } = options;
+        const img = await this.decodeImage(image);
+        
+        // La copia reducida conserva la proporción; las esquinas se escalan igual
+        const scale = maxSize ? Math.min(1, maxSize / Math.max(img.width, img.height)) : 1;
+        let canvas = this.createCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+        let ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        if (img.close) img.close();
+        
+        if (corners) {
+            const source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const scaledCorners = corners.map(p => ({ x: p.x * scale, y: p.y * scale }));
+            canvas = this.warpPerspective(source, scaledCorners);
+            ctx = canvas.getContext('2d');
+        }
+        
+        if (transform) {
+            canvas = this.transformCanvas(canvas, transform);
+            ctx = canvas.getContext('2d');
+        }
+        
+        if (filterType !== 'original' || !this.isNeutralAdjustments(adjustments)) {
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            ctx.putImageData(this.applyImageFilter(imageData, filterType, adjustments), 0, 0);
+        }
+        
+        // Los píxeles tachados se reemplazan por negro antes de codificar: no queda nada que recuperar
+        if (redactions.length) {
+            ctx.fillStyle = 'black';
+            redactions.forEach(box => {
+                const x = Math.floor(box.x * canvas.width);
+                const y = Math.floor(box.y * canvas.height);
+                ctx.fillRect(x, y, Math.ceil((box.x + box.width) * canvas.width) - x, Math.ceil((box.y + box.height) * canvas.height) - y);
+            });
+        }
+        
+        const blob = await this.canvasToBlob(canvas, 'image/jpeg', 0.95);
+        if (thumbnailSize) {
+            return { blob: blob, thumbnail: await this.encodeThumbnail(canvas, thumbnailSize), width: canvas.width, height: canvas.height };
+        }
+        return { dataUrl: await this.blobToDataUrl(blob), width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Indica si los ajustes dejan el filtro sin modificar
+     * @param {Object} [adjustments] - Ajustes del filtro
+     * @returns {boolean} true si todos los ajustes valen 0
+     */
+    static isNeutralAdjustments(adjustments = {}) {
+        return ['threshold', 'brightness', 'contrast', 'sharpness'].every(key => !adjustments[key]);
+    }
+
+    /**
+     * Rota, recorta, reduce y codifica una página para el PDF
+     * @param {Object} options - Opciones de optimización
+     * @param {string|Blob} options.image - Imagen (ver decodeImage)
+     * @param {number} [options.rotation=0] - Rotación de la página en grados (múltiplo de 90)
+     * @param {number|null} [options.cropRatio=null] - Proporción ancho/alto para recortar al centro (modo rellenar)
+     * @param {number} [options.maxWidth=1240] - Ancho máximo en píxeles
+     * @param {number} [options.maxHeight=1754] - Alto máximo en píxeles
+     * @param {number} [options.quality=0.85] - Calidad JPEG entre 0 y 1
+     * @param {boolean} [options.bilevel=false] - Codifica como PNG de 1 bit sin pérdida
+     * @returns {Promise<{data: string|Uint8Array, format: string, size: number, width: number, height: number}>} Imagen codificada, formato para jsPDF, tamaño en bytes y dimensiones en píxeles
+     */
+    static async optimizeImage(options) {
+        const {
+            image,
+            rotation = 0,
+            cropRatio = null,
+            maxWidth = 1240,
+            maxHeight = 1754,
+            quality = 0.85,
+            bilevel = false
+        } = options;
+        const img = await this.decodeImage(image);
+        
+        // En rotaciones de 90° y 270° se intercambian ancho y alto
+        const quarterTurn = rotation === 90 || rotation === 270;
+        let width = quarterTurn ? img.height : img.width;
+        let height = quarterTurn ? img.width : img.height;
+        
+        // Recorte centrado a la proporción del área de la página
+        if (cropRatio) {
+            if (width / height > cropRatio) {
+                width = height * cropRatio;
+            } else {
+                height = width / cropRatio;
+            }
+        }
+        
+        // Escala si es necesario (nunca agranda la imagen)
+        const ratio = Math.min(1, maxWidth / width, maxHeight / height);
+        const canvas = this.createCanvas(Math.max(1, Math.round(width * ratio)), Math.max(1, Math.round(height * ratio)));
+        const ctx = canvas.getContext('2d');
+        
+        // Dibuja rotado alrededor del centro; lo que sobra del recorte queda fuera del canvas
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(ratio, ratio);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(img, -img.width / 2, -img.height / 2);
+        if (img.close) img.close();
+        
+        if (bilevel) {
+            return this.encodeBilevelPng(canvas);
+        }
+        
+        // Comprime con la calidad configurada
+        const blob = await this.canvasToBlob(canvas, 'image/jpeg', quality);
+        return {
+            data: await this.blobToDataUrl(blob),
+            format: 'JPEG',
+            size: blob.size,
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+
+    /**
+     * Dibuja una imagen rotada en un canvas nuevo, reducida si supera el tamaño máximo
+     * @param {ImageBitmap|HTMLImageElement} img - Imagen decodificada
+     * @param {number} rotation - Rotación en grados (múltiplo de 90)
+     * @param {number|null} maxSize - Lado máximo en píxeles, o null para el tamaño original
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas con la imagen rotada
+     */
+    static drawRotated(img, rotation, maxSize) {
+        const quarterTurn = rotation === 90 || rotation === 270;
+        const width = quarterTurn ? img.height : img.width;
+        const height = quarterTurn ? img.width : img.height;
+        
+        const ratio = maxSize ? Math.min(1, maxSize / Math.max(width, height)) : 1;
+        const canvas = this.createCanvas(Math.max(1, Math.round(width * ratio)), Math.max(1, Math.round(height * ratio)));
+        const ctx = canvas.getContext('2d');
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(ratio, ratio);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(img, -img.width / 2, -img.height / 2);
+        return canvas;
+    }
+
+    /**
+     * Convierte un punto del sistema propio de una anotación a la página
+     * Las anotaciones se guardan en coordenadas de 0 a 1 de la página ya rotada; las que tienen
+     * contenido propio (texto, firma, visto) se dibujan en (u, v) de 0 a 1 dentro de su caja,
+     * girado item.angle grados en sentido horario
+     * @param {Object} item - Anotación con x, y, width, height y angle
+     * @param {number} u - Posición horizontal dentro de la caja sin girar (0 a 1)
+     * @param {number} v - Posición vertical dentro de la caja sin girar (0 a 1)
+     * @returns {{x: number, y: number}} Punto en coordenadas de 0 a 1 de la página
+     */
+    static getAnnotationPoint(item, u, v) {
+        const { x, y, width, height } = item;
+        switch (item.angle || 0) {
+            case 90: return { x: x + (1 - v) * width, y: y + u * height };
+            case 180: return { x: x + (1 - u) * width, y: y + (1 - v) * height };
+            case 270: return { x: x + v * width, y: y + (1 - u) * height };
+            default: return { x: x + u * width, y: y + v * height };
+        }
+    }
+
+    /**
+     * Tamaño de la caja de una anotación antes de girarla
+     * @param {Object} item - Anotación con width, height y angle
+     * @param {number} pageWidth - Ancho de la página en la unidad de salida
+     * @param {number} pageHeight - Alto de la página en la unidad de salida
+     * @returns {number[]} [ancho, alto] en la unidad de salida
+     */
+    static getAnnotationSize(item, pageWidth, pageHeight) {
+        const width = item.width * pageWidth;
+        const height = item.height * pageHeight;
+        return item.angle === 90 || item.angle === 270 ? [height, width] : [width, height];
+    }
+
+    /**
+     * Trazos de una firma o de una marca de visto, en coordenadas de 0 a 1 de su caja
+     * @param {Object} item - Anotación 'signature' o 'check'
+     * @returns {number[][]} Trazos como listas planas [x0, y0, x1, y1, ...]
+     */
+    static getAnnotationStrokes(item) {
+        return item.type === 'check' ? [[0.1, 0.55, 0.4, 0.85, 0.9, 0.15]] : item.strokes;
+    }
+
+    /**
+     * Líneas de texto de una anotación y su tamaño de letra
+     * El texto ocupa toda la altura de la caja: cada línea mide 1.2 veces la letra
+     * @param {Object} item - Anotación 'text'
+     * @param {number} boxHeight - Alto de la caja sin girar
+     * @returns {{lines: string[], fontSize: number}} Líneas y tamaño de letra en la unidad de salida
+     */
+    static getAnnotationText(item, boxHeight) {
+        const lines = item.text.split('\n');
+        return { lines: lines, fontSize: boxHeight / (lines.length * 1.2) };
+    }
+
+    /**
+     * Dibuja las anotaciones de una página (firma, texto, vistos, resaltados y flechas) en un canvas
+     * Se usa en el editor y al exportar imágenes; el PDF las escribe como vectores
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Contexto con la página ya dibujada
+     * @param {Object[]} annotations - Anotaciones de la página
+     * @param {number} width - Ancho de la página en píxeles
+     * @param {number} height - Alto de la página en píxeles
+     */
+    static drawAnnotations(ctx, annotations, width, height) {
+        const diagonal = Math.hypot(width, height);
+        
+        annotations.forEach(item => {
+            ctx.save();
+            ctx.fillStyle = item.color;
+            ctx.strokeStyle = item.color;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            
+            if (item.type === 'highlight') {
+                ctx.globalAlpha = 0.35;
+                ctx.fillRect(item.x * width, item.y * height, item.width * width, item.height * height);
+            } else if (item.type === 'arrow') {
+                const x1 = item.x1 * width, y1 = item.y1 * height;
+                const x2 = item.x2 * width, y2 = item.y2 * height;
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const head = diagonal * 0.025;
+                ctx.lineWidth = diagonal * 0.004;
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                // La línea termina en la base de la punta para que no asome por delante
+                ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(x2, y2);
+                ctx.lineTo(x2 - head * Math.cos(angle - 0.45), y2 - head * Math.sin(angle - 0.45));
+                ctx.lineTo(x2 - head * Math.cos(angle + 0.45), y2 - head * Math.sin(angle + 0.45));
+                ctx.closePath();
+                ctx.fill();
+            } else if (item.type === 'text') {
+                const [, boxHeight] = this.getAnnotationSize(item, width, height);
+                const { lines, fontSize } = this.getAnnotationText(item, boxHeight);
+                const origin = this.getAnnotationPoint(item, 0, 0);
+                ctx.translate(origin.x * width, origin.y * height);
+                ctx.rotate((item.angle || 0) * Math.PI / 180);
+                ctx.font = `${fontSize}px Helvetica, Arial, sans-serif`;
+                lines.forEach((line, i) => ctx.fillText(line, 0, (i * 1.2 + 0.95) * fontSize));
+            } else {
+                const [, boxHeight] = this.getAnnotationSize(item, width, height);
+                ctx.lineWidth = boxHeight * (item.type === 'check' ? 0.12 : 0.035);
+                this.getAnnotationStrokes(item).forEach(stroke => {
+                    ctx.beginPath();
+                    for (let i = 0; i < stroke.length; i += 2) {
+                        const point = this.getAnnotationPoint(item, stroke[i], stroke[i + 1]);
+                        ctx.lineTo(point.x * width, point.y * height);
+                    }
+                    ctx.stroke();
+                });
+            }
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Rota y codifica una página para exportarla fuera del PDF
+     * @param {Object} options - Opciones de la exportación
+     * @param {string|Blob} options.image - Página procesada (ver decodeImage)
+     * @param {number} [options.rotation=0] - Rotación de la página en grados (múltiplo de 90)
+     * @param {string} [options.type='image/jpeg'] - 'image/jpeg', 'image/png' o 'tiff' (tira de datos para encodeTiff)
+     * @param {number} [options.quality=0.9] - Calidad JPEG entre 0 y 1
+     * @param {number|null} [options.maxSize=null] - Lado máximo en píxeles
+     * @param {boolean} [options.bilevel=false] - La página está en blanco y negro: PNG y TIFF de 1 bit
+     * @param {Object[]} [options.annotations=[]] - Anotaciones que se dibujan sobre la página
+     * @returns {Promise<{data: Uint8Array, width: number, height: number, bilevel: boolean}>} Bytes codificados y dimensiones
+     */
+    static async encodePage(options) {
+        const { image, rotation = 0, type = 'image/jpeg', quality = 0.9, maxSize = null, bilevel = false, annotations = [] } = options;
+        const img = await this.decodeImage(image);
+        const canvas = this.drawRotated(img, rotation, maxSize);
+        if (img.close) img.close();
+        this.drawAnnotations(canvas.getContext('2d'), annotations, canvas.width, canvas.height);
+        
+        if (type === 'tiff') {
+            return this.encodeTiffStrip(canvas, bilevel);
+        }
+        if (type === 'image/png' && bilevel) {
+            const png = await this.encodeBilevelPng(canvas);
+            // Sin CompressionStream el PNG de 1 bit no está disponible y se usa el del navegador
+            if (png.data instanceof Uint8Array) {
+                return { data: png.data, width: canvas.width, height: canvas.height, bilevel: true };
+            }
+        }
+        
+        const blob = await this.canvasToBlob(canvas, type, quality);
+        return { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height, bilevel: bilevel };
+    }
+
+    /**
+     * Une las páginas una debajo de otra en una sola imagen JPEG del mismo ancho
+     * El tamaño se reduce si la imagen supera lo que admite un canvas del navegador
+     * @param {Object} options - Opciones de la unión
+     * @param {Array<{image: string|Blob, rotation: number, annotations: Object[]}>} options.pages - Páginas en orden
+     * @param {number} options.maxWidth - Ancho máximo en píxeles
+     * @param {number} [options.quality=0.9] - Calidad JPEG entre 0 y 1
+     * @returns {Promise<{data: Uint8Array, width: number, height: number}>} Imagen JPEG y dimensiones
+     */
+    static async stitchPages(options) {
+        const { pages, maxWidth, quality = 0.9 } = options;
+        
+        // Primera pasada: tamaño de cada página ya rotada (sin mantenerlas todas en memoria)
+        const sizes = [];
+        for (const page of pages) {
+            const img = await this.decodeImage(page.image);
+            const quarterTurn = page.rotation === 90 || page.rotation === 270;
+            sizes.push(quarterTurn ? [img.height, img.width] : [img.width, img.height]);
+            if (img.close) img.close();
+        }
+        
+        // Todas al mismo ancho; alto máximo de 32000 px y 200 megapíxeles en total
+        let width = Math.min(maxWidth, Math.max(...sizes.map(([w]) => w)));
+        const fullHeight = sizes.reduce((sum, [w, h]) => sum + h * width / w, 0);
+        width = Math.max(1, Math.floor(width * Math.min(1, 32000 / fullHeight, Math.sqrt(2e8 / (width * fullHeight)))));
+        const heights = sizes.map(([w, h]) => Math.max(1, Math.round(h * width / w)));
+        
+        const canvas = this.createCanvas(width, heights.reduce((sum, h) => sum + h, 0));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        let y = 0;
+        for (let i = 0; i < pages.length; i++) {
+            const img = await this.decodeImage(pages[i].image);
+            const scale = width / sizes[i][0];
+            ctx.save();
+            ctx.translate(width / 2, y + heights[i] / 2);
+            ctx.scale(scale, scale);
+            ctx.rotate(pages[i].rotation * Math.PI / 180);
+            ctx.drawImage(img, -img.width / 2, -img.height / 2);
+            ctx.restore();
+            if (img.close) img.close();
+            
+            ctx.save();
+            ctx.translate(0, y);
+            this.drawAnnotations(ctx, pages[i].annotations || [], width, heights[i]);
+            ctx.restore();
+            y += heights[i];
+        }
+        
+        const blob = await this.canvasToBlob(canvas, 'image/jpeg', quality);
+        return { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Comprime los píxeles de una página como tira única de un TIFF (PackBits)
+     * Las páginas en blanco y negro usan 1 bit por píxel (1 = negro), como los faxes;
+     * el resto, RGB de 8 bits
+     * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas con la página
+     * @param {boolean} bilevel - Codifica a 1 bit por píxel
+     * @returns {{data: Uint8Array, width: number, height: number, bilevel: boolean}} Tira comprimida y dimensiones
+     */
+    static encodeTiffStrip(canvas, bilevel) {
+        const width = canvas.width;
+        const height = canvas.height;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        
+        const rowBytes = bilevel ? Math.ceil(width / 8) : width * 3;
+        const raw = new Uint8Array(rowBytes * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (bilevel) {
+                    const gray = pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+                    if (gray < 128) {
+                        raw[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+                    }
+                } else {
+                    const o = y * rowBytes + x * 3;
+                    raw[o] = pixels[i];
+                    raw[o + 1] = pixels[i + 1];
+                    raw[o + 2] = pixels[i + 2];
+                }
+            }
+        }
+        
+        return { data: this.packBits(raw, rowBytes), width: width, height: height, bilevel: bilevel };
+    }
+
+    /**
+     * Comprime fila por fila con PackBits (compresión 32773 de TIFF)
+     * @param {Uint8Array} data - Filas sin comprimir
+     * @param {number} rowBytes - Bytes por fila
+     * @returns {Uint8Array} Datos comprimidos
+     */
+    static packBits(data, rowBytes) {
+        // En el peor caso cada 128 bytes literales llevan un byte de cabecera
+        const output = new Uint8Array(data.length + Math.ceil(data.length / 128) + data.length / rowBytes);
+        let o = 0;
+        
+        for (let rowStart = 0; rowStart < data.length; rowStart += rowBytes) {
+            const rowEnd = rowStart + rowBytes;
+            let i = rowStart;
+            while (i < rowEnd) {
+                let run = 1;
+                while (i + run < rowEnd && run < 128 && data[i + run] === data[i]) run++;
+                
+                if (run > 1) {
+                    // Repetición: -(n - 1) seguido del byte
+                    output[o++] = 257 - run;
+                    output[o++] = data[i];
+                    i += run;
+                } else {
+                    // Literales hasta la próxima repetición de tres bytes: n - 1 seguido de los bytes
+                    const start = i;
+                    while (i < rowEnd && i - start < 128 && !(i + 2 < rowEnd && data[i] === data[i + 1] && data[i] === data[i + 2])) {
+                        i++;
+                    }
+                    output[o++] = i - start - 1;
+                    output.set(data.subarray(start, i), o);
+                    o += i - start;
+                }
+            }
+        }
+        return output.slice(0, o);
+    }
+
+    /**
+     * Arma un TIFF de varias páginas con las tiras de encodePage()
+     * @param {Array<{data: Uint8Array, width: number, height: number, bilevel: boolean}>} pages - Páginas en orden
+     * @param {number} dpi - Resolución que se declara en el archivo
+     * @returns {Uint8Array} Archivo TIFF (little-endian)
+     */
+    static encodeTiff(pages, dpi) {
+        // Cada página ocupa: tira de datos, valores que no caben en el IFD y el IFD
+        const IFD_ENTRIES = 14;
+        const layout = [];
+        let offset = 8;
+        pages.forEach(page => {
+            const stripOffset = offset;
+            offset += page.data.length + (page.data.length & 1);
+            const valuesOffset = offset;
+            offset += 24; // BitsPerSample (3 SHORT + relleno) y dos RATIONAL
+            layout.push({ stripOffset, valuesOffset, ifdOffset: offset });
+            offset += 2 + IFD_ENTRIES * 12 + 4;
+        });
+        
+        const bytes = new Uint8Array(offset);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, 0x4949);
+        view.setUint16(2, 42, true);
+        view.setUint32(4, layout[0].ifdOffset, true);
+        
+        pages.forEach((page, index) => {
+            const { stripOffset, valuesOffset, ifdOffset } = layout[index];
+            const samples = page.bilevel ? 1 : 3;
+            bytes.set(page.data, stripOffset);
+            [8, 8, 8].forEach((bits, k) => view.setUint16(valuesOffset + k * 2, bits, true));
+            view.setUint32(valuesOffset + 8, Math.round(dpi), true);
+            view.setUint32(valuesOffset + 12, 1, true);
+            view.setUint32(valuesOffset + 16, Math.round(dpi), true);
+            view.setUint32(valuesOffset + 20, 1, true);
+            
+            // [etiqueta, tipo (3 SHORT, 4 LONG, 5 RATIONAL), cantidad, valor o posición]
+            const entries = [
+                [254, 4, 1, 2],                                  // NewSubfileType: página de un documento
+                [256, 4, 1, page.width],                         // ImageWidth
+                [257, 4, 1, page.height],                        // ImageLength
+                [258, 3, samples, page.bilevel ? 1 : valuesOffset], // BitsPerSample
+                [259, 3, 1, 32773],                              // Compression: PackBits
+                [262, 3, 1, page.bilevel ? 0 : 2],               // Photometric: WhiteIsZero o RGB
+                [273, 4, 1, stripOffset],                        // StripOffsets
+                [277, 3, 1, samples],                            // SamplesPerPixel
+                [278, 4, 1, page.height],                        // RowsPerStrip
+                [279, 4, 1, page.data.length],                   // StripByteCounts
+                [282, 5, 1, valuesOffset + 8],                   // XResolution
+                [283, 5, 1, valuesOffset + 16],                  // YResolution
+                [296, 3, 1, 2],                                  // ResolutionUnit: pulgadas
+                [297, 3, 2, index | (pages.length << 16)]        // PageNumber: página y total
+            ];
+            view.setUint16(ifdOffset, entries.length, true);
+            entries.forEach(([tag, type, count, value], k) => {
+                const entry = ifdOffset + 2 + k * 12;
+                view.setUint16(entry, tag, true);
+                view.setUint16(entry + 2, type, true);
+                view.setUint32(entry + 4, count, true);
+                if (type === 3 && count === 1) {
+                    view.setUint16(entry + 8, value, true);
+                } else {
+                    view.setUint32(entry + 8, value, true);
+                }
+            });
+            const next = index + 1 < pages.length ? layout[index + 1].ifdOffset : 0;
+            view.setUint32(ifdOffset + 2 + entries.length * 12, next, true);
+        });
+        
+        return bytes;
+    }
+
+    /**
+     * Crea un archivo ZIP sin compresión (las imágenes ya vienen comprimidas)
+     * @param {Array<{name: string, data: Uint8Array}>} files - Archivos a incluir
+     * @returns {Uint8Array} Archivo ZIP
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        // Fecha y hora de modificación en formato MS-DOS
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            
+            // Cabecera local: versión 2.0, nombres en UTF-8 (bit 11), método 0 (sin compresión)
+            const header = new Uint8Array(30 + name.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034b50, true);
+            view.setUint16(4, 20, true);
+            view.setUint16(6, 0x0800, true);
+            view.setUint16(10, time, true);
+            view.setUint16(12, date, true);
+            view.setUint32(14, crc, true);
+            view.setUint32(18, file.data.length, true);
+            view.setUint32(22, file.data.length, true);
+            view.setUint16(26, name.length, true);
+            header.set(name, 30);
+            
+            // Entrada del directorio central con la posición de la cabecera local
+            const entry = new Uint8Array(46 + name.length);
+            const entryView = new DataView(entry.buffer);
+            entryView.setUint32(0, 0x02014b50, true);
+            entryView.setUint16(4, 20, true);
+            entryView.setUint16(6, 20, true);
+            entryView.setUint16(8, 0x0800, true);
+            entryView.setUint16(12, time, true);
+            entryView.setUint16(14, date, true);
+            entryView.setUint32(16, crc, true);
+            entryView.setUint32(20, file.data.length, true);
+            entryView.setUint32(24, file.data.length, true);
+            entryView.setUint16(28, name.length, true);
+            entryView.setUint32(42, offset, true);
+            entry.set(name, 46);
+            
+            parts.push(header, file.data);
+            directory.push(entry);
+            offset += header.length + file.data.length;
+        });
+        
+        const centralDirectory = this.concatBytes(directory);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralDirectory.length, true);
+        endView.setUint32(16, offset, true);
+        
+        return this.concatBytes([...parts, centralDirectory, end]);
+    }
+
+    /**
+     * Corrige la perspectiva recortando el cuadrilátero del documento a un rectángulo
+     * @param {ImageData} sourceData - Píxeles de la imagen original
+     * @param {Array<{x: number, y: number}>} corners - Esquinas [TL, TR, BR, BL]
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas con el documento rectificado
+     */
+    static warpPerspective(sourceData, corners) {
+        const [tl, tr, br, bl] = corners;
+        const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        
+        // El tamaño de salida conserva los lados más largos del documento
+        const outWidth = Math.max(1, Math.round(Math.max(distance(tl, tr), distance(bl, br))));
+        const outHeight = Math.max(1, Math.round(Math.max(distance(tl, bl), distance(tr, br))));
+        
+        const sourceWidth = sourceData.width;
+        const sourceHeight = sourceData.height;
+        const source = sourceData.data;
+        
+        const canvas = this.createCanvas(outWidth, outHeight);
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(outWidth, outHeight);
+        const out = output.data;
+        
+        // Homografía del rectángulo de salida hacia el cuadrilátero de origen
+        const h = this.computeHomography(
+            [{ x: 0, y: 0 }, { x: outWidth, y: 0 }, { x: outWidth, y: outHeight }, { x: 0, y: outHeight }],
+            corners
+        );
+        
+        for (let y = 0; y < outHeight; y++) {
+            const v = y + 0.5;
+            for (let x = 0; x < outWidth; x++) {
+                const u = x + 0.5;
+                const denominator = h[6] * u + h[7] * v + 1;
+                const sx = Math.min(sourceWidth - 1, Math.max(0, (h[0] * u + h[1] * v + h[2]) / denominator - 0.5));
+                const sy = Math.min(sourceHeight - 1, Math.max(0, (h[3] * u + h[4] * v + h[5]) / denominator - 0.5));
+                
+                // Interpolación bilineal
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(sourceWidth - 1, x0 + 1);
+                const y1 = Math.min(sourceHeight - 1, y0 + 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+                
+                const i00 = (y0 * sourceWidth + x0) * 4;
+                const i10 = (y0 * sourceWidth + x1) * 4;
+                const i01 = (y1 * sourceWidth + x0) * 4;
+                const i11 = (y1 * sourceWidth + x1) * 4;
+                const o = (y * outWidth + x) * 4;
+                
+                for (let c = 0; c < 3; c++) {
+                    const top = source[i00 + c] + (source[i10 + c] - source[i00 + c]) * fx;
+                    const bottom = source[i01 + c] + (source[i11 + c] - source[i01 + c]) * fx;
+                    out[o + c] = top + (bottom - top) * fy;
+                }
+                out[o + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(output, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Calcula la homografía que transforma cuatro puntos en otros cuatro
+     * @param {Array<{x: number, y: number}>} from - Puntos de origen
+     * @param {Array<{x: number, y: number}>} to - Puntos de destino
+     * @returns {number[]} Coeficientes [h0..h7] (h8 = 1)
+     */
+    static computeHomography(from, to) {
+        // Sistema lineal de 8 ecuaciones con 8 incógnitas
+        const matrix = [];
+        const vector = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = from[i];
+            const { x: u, y: v } = to[i];
+            matrix.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+            vector.push(u);
+            matrix.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+            vector.push(v);
+        }
+        
+        // Eliminación gaussiana con pivoteo parcial
+        const n = 8;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+            
+            for (let row = col + 1; row < n; row++) {
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k < n; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+                vector[row] -= factor * vector[col];
+            }
+        }
+        
+        const result = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = vector[row];
+            for (let k = row + 1; k < n; k++) {
+                sum -= matrix[row][k] * result[k];
+            }
+            result[row] = sum / matrix[row][row];
+        }
+        return result;
+    }
+
+    /**
+     * Endereza, voltea y recorta una imagen
+     * La rotación se hace alrededor del centro conservando el tamaño; las esquinas
+     * que quedan al descubierto se rellenan de blanco, como el papel
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Imagen de origen
+     * @param {Object} transform - Transformación a aplicar
+     * @param {number} [transform.angle=0] - Rotación en grados (positivo = sentido horario)
+     * @param {boolean} [transform.flipH=false] - Voltea horizontalmente
+     * @param {boolean} [transform.flipV=false] - Voltea verticalmente
+     * @param {{x: number, y: number, width: number, height: number}|null} [transform.crop=null] - Recorte
+     *        en proporciones de 0 a 1 de la imagen ya rotada
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Imagen transformada
+     */
+    static transformCanvas(canvas, transform) {
+        const { angle = 0, flipH = false, flipV = false, crop = null } = transform;
+        let result = canvas;
+        
+        if (angle || flipH || flipV) {
+            const { width, height } = canvas;
+            result = this.createCanvas(width, height);
+            const ctx = result.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.translate(width / 2, height / 2);
+            ctx.rotate(angle * Math.PI / 180);
+            ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+            ctx.drawImage(canvas, -width / 2, -height / 2);
+        }
+        
+        if (crop) {
+            const x = Math.min(result.width - 1, Math.max(0, Math.round(crop.x * result.width)));
+            const y = Math.min(result.height - 1, Math.max(0, Math.round(crop.y * result.height)));
+            const width = Math.max(1, Math.min(result.width - x, Math.round(crop.width * result.width)));
+            const height = Math.max(1, Math.min(result.height - y, Math.round(crop.height * result.height)));
+            
+            const cropped = this.createCanvas(width, height);
+            cropped.getContext('2d').drawImage(result, x, y, width, height, 0, 0, width, height);
+            result = cropped;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Detecta la inclinación del texto de una imagen
+     * @param {Object} options - Opciones de la detección
+     * @param {string|Blob} options.image - Imagen (ver decodeImage)
+     * @param {number} [options.maxAngle=15] - Inclinación máxima que se busca, en grados
+     * @returns {Promise<{angle: number}>} Rotación en grados que endereza la imagen (ver transformCanvas)
+     */
+    static async detectSkew(options) {
+        const { image, maxAngle = 15 } = options;
+        const img = await this.decodeImage(image);
+        
+        // 800 px bastan para distinguir las líneas de texto
+        const scale = Math.min(1, 800 / Math.max(img.width, img.height));
+        const canvas = this.createCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        if (img.close) img.close();
+        
+        return { angle: this.findSkewAngle(ctx.getImageData(0, 0, canvas.width, canvas.height), maxAngle) };
+    }
+
+    /**
+     * Busca el ángulo que alinea los píxeles de tinta en filas horizontales
+     * Proyecta los píxeles oscuros sobre el eje vertical girado: con las líneas de texto
+     * derechas el perfil tiene picos marcados y la suma de cuadrados es máxima
+     * @param {ImageData} imageData - Datos de la imagen
+     * @param {number} maxAngle - Inclinación máxima que se busca, en grados
+     * @returns {number} Rotación en grados, con un decimal
+     */
+    static findSkewAngle(imageData, maxAngle) {
+        const { width, height, data } = imageData;
+        
+        const gray = new Float32Array(width * height);
+        let mean = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+            mean += gray[i];
+        }
+        mean /= gray.length;
+        
+        // Píxeles de tinta relativos al centro, a lo sumo unos 20000 para que la búsqueda sea rápida
+        const inkLimit = mean * 0.7;
+        let inkCount = 0;
+        for (let i = 0; i < gray.length; i++) {
+            if (gray[i] < inkLimit) inkCount++;
+        }
+        if (inkCount < 100) return 0;
+        
+        const stride = Math.max(1, Math.ceil(inkCount / 20000));
+        const xs = [];
+        const ys = [];
+        let seen = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (gray[y * width + x] < inkLimit && seen++ % stride === 0) {
+                    xs.push(x - width / 2);
+                    ys.push(y - height / 2);
+                }
+            }
+        }
+        
+        const radius = Math.ceil(Math.hypot(width, height) / 2);
+        const bins = new Float64Array(radius * 2 + 1);
+        const score = (degrees) => {
+            const radians = degrees * Math.PI / 180;
+            const sin = Math.sin(radians);
+            const cos = Math.cos(radians);
+            bins.fill(0);
+            for (let i = 0; i < xs.length; i++) {
+                bins[Math.round(xs[i] * sin + ys[i] * cos) + radius]++;
+            }
+            let sum = 0;
+            for (let i = 0; i < bins.length; i++) {
+                sum += bins[i] * bins[i];
+            }
+            return sum;
+        };
+        
+        // Búsqueda gruesa cada medio grado y luego fina alrededor del mejor
+        const search = (from, to, step, best) => {
+            for (let degrees = from; degrees <= to + 1e-9; degrees += step) {
+                const value = score(degrees);
+                if (value > best.value) {
+                    best.value = value;
+                    best.angle = degrees;
+                }
+            }
+            return best;
+        };
+        const coarse = search(-maxAngle, maxAngle, 0.5, { angle: 0, value: score(0) });
+        const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.1, coarse);
+        
+        return Math.round(fine.angle * 10) / 10;
+    }
+
+    /**
+     * Mide cuánta tinta tiene una página para detectar las hojas en blanco
+     * @param {Object} options - Opciones del análisis
+     * @param {string|Blob} options.image - Página (ver decodeImage)
+     * @returns {Promise<{ink: number}>} Proporción de píxeles con tinta, de 0 a 1 (ver measureInk)
+     */
+    static async analyzePage(options) {
+        const { image } = options;
+        const img = await this.decodeImage(image);
+        
+        // A 400 px una línea de texto todavía deja varios cientos de píxeles de tinta
+        const scale = Math.min(1, 400 / Math.max(img.width, img.height));
+        const canvas = this.createCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        if (img.close) img.close();
+        
+        return { ink: this.measureInk(ctx.getImageData(0, 0, canvas.width, canvas.height)) };
+    }
+
+    /**
+     * Calcula la proporción de tinta de una página
+     * El papel se lleva a blanco antes de contar, así las sombras, el papel amarillento y
+     * lo que se transparenta del reverso no cuentan como contenido. Se ignora un borde del 5 %,
+     * donde suelen quedar el canto de la hoja y la sombra del escáner
+     * @param {ImageData} imageData - Datos de la imagen (se modifican)
+     * @returns {number} Proporción de píxeles oscuros, de 0 a 1
+     */
+    static measureInk(imageData) {
+        this.divideByBackground(imageData);
+        
+        const { data, width, height } = imageData;
+        const marginX = Math.round(width * 0.05);
+        const marginY = Math.round(height * 0.05);
+        let ink = 0;
+        let total = 0;
+        for (let y = marginY; y < height - marginY; y++) {
+            for (let x = marginX; x < width - marginX; x++) {
+                const i = (y * width + x) * 4;
+                const luminance = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                if (luminance < 150) ink++;
+                total++;
+            }
+        }
+        return total ? ink / total : 0;
+    }
+
+    /**
+     * Aplica un filtro específico a los datos de imagen
+     * Los ajustes valen 0 por defecto, lo que reproduce el filtro sin modificar
+     * @param {ImageData} imageData - Datos de la imagen
+     * @param {string} filterType - Tipo de filtro a aplicar
+     * @param {Object} [adjustments] - Ajustes del usuario
+     * @param {number} [adjustments.threshold=0] - Umbral de -50 a 50 (positivo = más negro), solo filtros bitonales
+     * @param {number} [adjustments.brightness=0] - Brillo de -50 a 50
+     * @param {number} [adjustments.contrast=0] - Contraste de -50 a 50
+     * @param {number} [adjustments.sharpness=0] - Nitidez de 0 a 100
+     * @returns {ImageData} Datos de imagen filtrados
+     */
+    static applyImageFilter(imageData, filterType, adjustments = {}) {
+        const { threshold = 0, brightness = 0, contrast = 0, sharpness = 0 } = adjustments;
+        const data = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        
+        // La nitidez va primero para que los bordes del texto lleguen definidos al umbral
+        if (sharpness > 0) {
+            this.sharpen(imageData, sharpness / 50);
+        }
+        
+        switch(filterType) {
+            case 'grayscale':
+                // Convierte a escala de grises usando promedio ponderado
+                for (let i = 0; i < data.length; i += 4) {
+                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    data[i] = gray;
+                    data[i + 1] = gray;
+                    data[i + 2] = gray;
+                }
+                break;
+                
+            case 'bw':
+                // Algoritmo optimizado de escaneo suave y rápido
+                
+                // Paso 1: Convertir a escala de grises con aumento moderado de brillo
+                const grayData = new Uint8ClampedArray(width * height);
+                for (let i = 0; i < data.length; i += 4) {
+                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    // Aumenta 18% el brillo (más moderado), corregido por el ajuste del usuario
+                    grayData[i / 4] = Math.min(255, gray * 1.18 * (1 + brightness / 100));
+                }
+                
+                // Paso 2: Calcula umbral global base (más rápido que todo adaptativo)
+                let sumTotal = 0;
+                // Muestrea solo el 10% de los píxeles para calcular promedio global
+                for (let i = 0; i < grayData.length; i += 10) {
+                    sumTotal += grayData[i];
+                }
+                const globalThreshold = (sumTotal / (grayData.length / 10)) * 0.92 * (1 + threshold / 100); // 92% del promedio
+                
+                // Más contraste = transición más corta entre negro y blanco
+                const band = 25 * (1 - contrast / 100);
+                
+                // Paso 3: Aplicar umbral con ajuste local ligero (más rápido)
+                const blockSize = Math.floor(Math.min(width, height) / 16); // Bloques grandes = rápido
+                
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const idx = y * width + x;
+                        const pixelValue = grayData[idx];
+                        
+                        // Ajuste local solo en los bordes (evita sobreiluminación en costados)
+                        let adjustedThreshold = globalThreshold;
+                        
+                        // Detecta si estamos cerca de los bordes
+                        const edgeDistance = Math.min(x, width - x, y, height - y);
+                        const edgeRatio = Math.min(edgeDistance / blockSize, 1);
+                        
+                        // En los bordes, reduce el umbral para evitar blanqueo excesivo
+                        if (edgeRatio < 1) {
+                            adjustedThreshold = globalThreshold * (0.85 + 0.15 * edgeRatio);
+                        }
+                        
+                        // Calcula diferencia
+                        const diff = pixelValue - adjustedThreshold;
+                        
+                        // Umbral con transición suave
+                        let bw;
+                        if (diff > band) {
+                            bw = 255; // Blanco
+                        } else if (diff < -band) {
+                            bw = 0; // Negro
+                        } else {
+                            // Transición suave en zona de 50 valores (con el contraste por defecto)
+                            const ratio = (diff + band) / (2 * band);
+                            bw = Math.round(ratio * 255);
+                        }
+                        
+                        const dataIdx = idx * 4;
+                        data[dataIdx] = bw;
+                        data[dataIdx + 1] = bw;
+                        data[dataIdx + 2] = bw;
+                    }
+                }
+                break;
+            case 'enhanced':
+                // Mejorado: Aumenta contraste y nitidez manteniendo color
+                for (let i = 0; i < data.length; i += 4) {
+                    // Aumenta contraste 30%
+                    const contrast = 1.3;
+                    data[i] = Math.min(255, Math.max(0, ((data[i] / 255 - 0.5) * contrast + 0.5) * 255));
+                    data[i + 1] = Math.min(255, Math.max(0, ((data[i + 1] / 255 - 0.5) * contrast + 0.5) * 255));
+                    data[i + 2] = Math.min(255, Math.max(0, ((data[i + 2] / 255 - 0.5) * contrast + 0.5) * 255));
+                    
+                    // Aumenta ligeramente la saturación
+                    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+                    const min = Math.min(data[i], data[i + 1], data[i + 2]);
+                    const saturation = 1.1;
+                    
+                    if (max !== min) {
+                        data[i] = Math.min(255, min + (data[i] - min) * saturation);
+                        data[i + 1] = Math.min(255, min + (data[i + 1] - min) * saturation);
+                        data[i + 2] = Math.min(255, min + (data[i + 2] - min) * saturation);
+                    }
+                }
+                break;
+                
+            case 'sauvola':
+                // Binarización adaptativa: cada zona usa su propio umbral
+                this.sauvolaThreshold(imageData, threshold, brightness);
+                break;
+                
+            case 'shadows':
+                // Papel uniforme: se divide por la iluminación estimada de cada zona
+                this.divideByBackground(imageData);
+                break;
+                
+            case 'magic':
+                // Color mágico: sin sombras, tinta más oscura y colores más vivos
+                this.divideByBackground(imageData);
+                for (let i = 0; i < data.length; i += 4) {
+                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    // Oscurece los tonos medios sin tocar el blanco del papel
+                    const tone = Math.pow(gray / 255, 1.4) * 255 / Math.max(1, gray);
+                    for (let c = 0; c < 3; c++) {
+                        // Satura alrededor del gris del píxel
+                        const saturated = gray + (data[i + c] - gray) * 1.4;
+                        data[i + c] = saturated * tone;
+                    }
+                }
+                break;
+                
+            case 'whiten':
+                // Papel antiguo: el papel amarillento pasa a blanco y la tinta desvaída se refuerza en gris
+                this.divideByBackground(imageData);
+                for (let i = 0; i < data.length; i += 4) {
+                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    const value = Math.pow(gray / 255, 1.6) * 255;
+                    data[i] = value;
+                    data[i + 1] = value;
+                    data[i + 2] = value;
+                }
+                break;
+                
+            case 'original':
+            default:
+                // No aplica ningún filtro
+                break;
+        }
+        
+        // Los filtros bitonales ya usaron el brillo y el contraste al calcular el umbral
+        if (!this.isBilevelFilter(filterType) && (brightness !== 0 || contrast !== 0)) {
+            this.adjustTone(imageData, brightness, contrast);
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * Indica si un filtro produce páginas de solo blanco y negro
+     * @param {string} filterType - Código del filtro
+     * @returns {boolean} true si la página es bitonal
+     */
+    static isBilevelFilter(filterType) {
+        return filterType === 'bw' || filterType === 'sauvola';
+    }
+
+    /**
+     * Aplica brillo y contraste a los tres canales
+     * @param {ImageData} imageData - Datos de la imagen
+     * @param {number} brightness - Brillo de -50 a 50
+     * @param {number} contrast - Contraste de -50 a 50
+     */
+    static adjustTone(imageData, brightness, contrast) {
+        const data = imageData.data;
+        const factor = 1 + contrast / 100;
+        const offset = brightness * 2.55;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = (data[i] - 128) * factor + 128 + offset;
+            data[i + 1] = (data[i + 1] - 128) * factor + 128 + offset;
+            data[i + 2] = (data[i + 2] - 128) * factor + 128 + offset;
+        }
+    }
+
+    /**
+     * Enfoca la imagen con una máscara de desenfoque (unsharp mask) de 3×3
+     * @param {ImageData} imageData - Datos de la imagen
+     * @param {number} amount - Intensidad (0 = sin cambios)
+     */
+    static sharpen(imageData, amount) {
+        const { data, width, height } = imageData;
+        const rows = new Uint16Array(width * height);
+        
+        for (let c = 0; c < 3; c++) {
+            // Suma horizontal de cada píxel con sus vecinos
+            for (let y = 0; y < height; y++) {
+                const row = y * width;
+                for (let x = 0; x < width; x++) {
+                    const left = data[(row + Math.max(0, x - 1)) * 4 + c];
+                    const right = data[(row + Math.min(width - 1, x + 1)) * 4 + c];
+                    rows[row + x] = left + data[(row + x) * 4 + c] + right;
+                }
+            }
+            
+            // Suma vertical: promedio de 3×3 y realce de la diferencia con el original
+            for (let y = 0; y < height; y++) {
+                const above = Math.max(0, y - 1) * width;
+                const below = Math.min(height - 1, y + 1) * width;
+                const row = y * width;
+                for (let x = 0; x < width; x++) {
+                    const blur = (rows[above + x] + rows[row + x] + rows[below + x]) / 9;
+                    const i = (row + x) * 4 + c;
+                    data[i] = data[i] + (data[i] - blur) * amount;
+                }
+            }
+        }
+    }
+
+    /**
+     * Binarización de Sauvola: umbral T = m · (1 + k · (s / 128 − 1)) con la media m
+     * y la desviación s de una ventana alrededor de cada píxel
+     * Las estadísticas se calculan por bloques y el umbral se interpola, así el costo
+     * no depende del tamaño de la ventana
+     * @param {ImageData} imageData - Datos de la imagen
+     * @param {number} threshold - Ajuste de -50 a 50 (positivo = más negro)
+     * @param {number} brightness - Brillo de -50 a 50
+     */
+    static sauvolaThreshold(imageData, threshold, brightness) {
+        const { data, width, height } = imageData;
+        const k = 0.2 * (1 - threshold / 100);
+        const gain = 1 + brightness / 100;
+        
+        const gray = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            const j = i * 4;
+            gray[i] = (data[j] * 0.299 + data[j + 1] * 0.587 + data[j + 2] * 0.114) * gain;
+        }
+        
+        // Ventana de 3×3 bloques, de un 1/20 del lado menor en total
+        const block = Math.max(4, Math.round(Math.min(width, height) / 60));
+        const cols = Math.ceil(width / block);
+        const rows = Math.ceil(height / block);
+        const sums = new Float64Array(cols * rows);
+        const squares = new Float64Array(cols * rows);
+        const counts = new Uint32Array(cols * rows);
+        for (let y = 0; y < height; y++) {
+            const rowIndex = Math.floor(y / block) * cols;
+            for (let x = 0; x < width; x++) {
+                const value = gray[y * width + x];
+                const b = rowIndex + Math.floor(x / block);
+                sums[b] += value;
+                squares[b] += value * value;
+                counts[b]++;
+            }
+        }
+        
+        const thresholds = new Float32Array(cols * rows);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < cols; bx++) {
+                let sum = 0, square = 0, count = 0;
+                for (let ny = Math.max(0, by - 1); ny <= Math.min(rows - 1, by + 1); ny++) {
+                    for (let nx = Math.max(0, bx - 1); nx <= Math.min(cols - 1, bx + 1); nx++) {
+                        const b = ny * cols + nx;
+                        sum += sums[b];
+                        square += squares[b];
+                        count += counts[b];
+                    }
+                }
+                const mean = sum / count;
+                const deviation = Math.sqrt(Math.max(0, square / count - mean * mean));
+                thresholds[by * cols + bx] = mean * (1 + k * (deviation / 128 - 1));
+            }
+        }
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const t = this.sampleGrid(thresholds, cols, rows, block, x, y, 1, 0);
+                const value = gray[y * width + x] > t ? 255 : 0;
+                const i = (y * width + x) * 4;
+                data[i] = value;
+                data[i + 1] = value;
+                data[i + 2] = value;
+            }
+        }
+    }
+
+    /**
+     * Divide cada canal por el color del papel estimado en cada zona
+     * Quita sombras, degradados de luz y el tono amarillento del papel; la tinta se conserva
+     * @param {ImageData} imageData - Datos de la imagen
+     */
+    static divideByBackground(imageData) {
+        const { data, width, height } = imageData;
+        const block = Math.max(8, Math.round(Math.min(width, height) / 40));
+        const cols = Math.ceil(width / block);
+        const rows = Math.ceil(height / block);
+        
+        // El papel es lo más claro de cada bloque: se toma el máximo de cada canal
+        let background = new Float32Array(cols * rows * 3);
+        for (let y = 0; y < height; y++) {
+            const rowIndex = Math.floor(y / block) * cols;
+            for (let x = 0; x < width; x++) {
+                const b = (rowIndex + Math.floor(x / block)) * 3;
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    if (data[i + c] > background[b + c]) background[b + c] = data[i + c];
+                }
+            }
+        }
+        
+        // Los bloques cubiertos de tinta o fotos toman el papel de sus vecinos, y luego se suaviza
+        for (let pass = 0; pass < 3; pass++) {
+            const isBlur = pass === 2;
+            const next = new Float32Array(background.length);
+            for (let by = 0; by < rows; by++) {
+                for (let bx = 0; bx < cols; bx++) {
+                    for (let c = 0; c < 3; c++) {
+                        let result = 0, count = 0;
+                        for (let ny = Math.max(0, by - 1); ny <= Math.min(rows - 1, by + 1); ny++) {
+                            for (let nx = Math.max(0, bx - 1); nx <= Math.min(cols - 1, bx + 1); nx++) {
+                                const value = background[(ny * cols + nx) * 3 + c];
+                                result = isBlur ? result + value : Math.max(result, value);
+                                count++;
+                            }
+                        }
+                        next[(by * cols + bx) * 3 + c] = isBlur ? result / count : result;
+                    }
+                }
+            }
+            background = next;
+        }
+        
+        // El máximo queda un poco por encima del papel: se lleva el papel típico a blanco puro
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    const paper = this.sampleGrid(background, cols, rows, block, x, y, 3, c);
+                    data[i + c] = data[i + c] / Math.max(1, paper) * 255 * 1.1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Interpola bilinealmente un valor de una rejilla de bloques en la posición de un píxel
+     * @param {Float32Array} grid - Valores por bloque
+     * @param {number} cols - Columnas de la rejilla
+     * @param {number} rows - Filas de la rejilla
+     * @param {number} block - Tamaño del bloque en píxeles
+     * @param {number} x - Columna del píxel
+     * @param {number} y - Fila del píxel
+     * @param {number} stride - Valores por bloque
+     * @param {number} offset - Índice del valor dentro del bloque
+     * @returns {number} Valor interpolado
+     */
+    static sampleGrid(grid, cols, rows, block, x, y, stride, offset) {
+        // Los valores corresponden al centro de cada bloque
+        const gx = Math.min(cols - 1, Math.max(0, (x + 0.5) / block - 0.5));
+        const gy = Math.min(rows - 1, Math.max(0, (y + 0.5) / block - 0.5));
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const x1 = Math.min(cols - 1, x0 + 1);
+        const y1 = Math.min(rows - 1, y0 + 1);
+        const fx = gx - x0;
+        const fy = gy - y0;
+        
+        const top = grid[(y0 * cols + x0) * stride + offset] * (1 - fx) + grid[(y0 * cols + x1) * stride + offset] * fx;
+        const bottom = grid[(y1 * cols + x0) * stride + offset] * (1 - fx) + grid[(y1 * cols + x1) * stride + offset] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    /**
+     * Codifica un canvas como PNG en escala de grises de 1 bit por píxel
+     * jsPDF incrusta el flujo comprimido del PNG tal cual, así que la página ocupa
+     * una fracción de lo que ocuparía en JPEG y sin artefactos alrededor del texto
+     * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas con la página en blanco y negro
+     * @returns {Promise<{data: string|Uint8Array, format: string, size: number, width: number, height: number}>} PNG codificado
+     */
+    static async encodeBilevelPng(canvas) {
+        // Sin CompressionStream se usa el PNG sin pérdida del navegador (8 bits)
+        if (typeof CompressionStream === 'undefined') {
+            const blob = await this.canvasToBlob(canvas, 'image/png');
+            return { data: await this.blobToDataUrl(blob), format: 'PNG', size: blob.size, width: canvas.width, height: canvas.height };
+        }
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        
+        // Cada fila: byte de filtro (0 = ninguno) seguido de 8 píxeles por byte, 1 = blanco
+        const rowBytes = Math.ceil(width / 8);
+        const raw = new Uint8Array((rowBytes + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (rowBytes + 1) + 1;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const gray = pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+                if (gray >= 128) {
+                    raw[rowStart + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+        
+        // CompressionStream('deflate') produce el formato zlib que exige el chunk IDAT
+        const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+        
+        // Cabecera IHDR: ancho, alto, 1 bit, escala de grises, sin entrelazado
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 1;
+        header[9] = 0;
+        
+        const png = this.concatBytes([
+            new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            this.createPngChunk('IHDR', header),
+            this.createPngChunk('IDAT', compressed),
+            this.createPngChunk('IEND', new Uint8Array(0))
+        ]);
+        return { data: png, format: 'PNG', size: png.length, width: width, height: height };
+    }
+
+    /**
+     * Crea un chunk PNG (longitud, tipo, datos y CRC)
+     * @param {string} type - Tipo del chunk de cuatro letras
+     * @param {Uint8Array} data - Datos del chunk
+     * @returns {Uint8Array} Chunk completo
+     */
+    static createPngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+
+    /**
+     * Calcula el CRC-32 usado por PNG
+     * @param {Uint8Array} bytes - Datos
+     * @returns {number} CRC sin signo
+     */
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+
+    /**
+     * Une varios arreglos de bytes en uno solo
+     * @param {Uint8Array[]} parts - Partes a unir
+     * @returns {Uint8Array} Bytes concatenados
+     */
+    static concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+// Sin canvas propio se usan OffscreenCanvas y createImageBitmap (ver setCanvasBackend)
+ImageProcessing.canvasBackend = null;
+
+// Permite usar el módulo desde Node (require) además de la página y los workers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageProcessing;
+}
@@ -7,16 +7,162 @@ class ImageToPdfConverter {
     constructor() {
         this.images = [];
         this.stream = null;
+        this.selectedCameraId = null; // deviceId elegido en el selector de cámaras
+        this.torchOn = false;
         this.useMargins = true;
-        this.currentCapturedImage = null;
+        this.currentCapturedImage = null; // Blob de la imagen en revisión
+        this.cornerImageUrl = null; // ObjectURL con el que se muestra en el editor de esquinas
         this.currentImageSource = 'camera'; // Puede ser 'camera' o 'file'
         this.currentFilter = 'bw'; // Filtro predeterminado: Blanco y Negro
+        this.currentAdjustments = {}; // Umbral, brillo, contraste y nitidez del filtro
+        this.adjustmentTimer = null;
+        this.currentSourceImage = null; // Imagen original decodificada
+        this.currentCorners = null; // Esquinas del documento [TL, TR, BR, BL] en píxeles
+        this.currentWarpedImage = null; // Copia reducida con perspectiva corregida para la vista previa
+        this.currentTransform = this.getDefaultTransform(); // Rotación fina, volteo y recorte del editor
+        this.previewRequest = 0; // Descarta vistas previas que terminan fuera de orden
+        // Zonas tachadas de la imagen en revisión (de 0 a 1 de la imagen procesada)
+        this.currentRedactions = [];
+        this.selectedRedaction = null;
+        this.redactionBase = null; // Vista previa sobre la que se dibujan las zonas
+        // Cola de importación de archivos pendientes de revisar
+        this.importQueue = [];
+        this.queueCurrent = null; // Entrada de la cola que se está revisando
+        this.queueTotal = 0;
+        this.queueDone = 0;
+        this.queueFailed = 0;
+        this.isBatchProcessing = false;
+        this.editingImageId = null; // Página del grid que se está editando
+        // Sesión de captura continua: fotos tomadas sin cerrar la cámara
+        this.captureSession = [];
+        this.finishingCaptureSession = false;
+        this.autoShutterTimer = null;
+        this.autoShutterState = null;
         // Márgenes APA en cm convertidos a puntos (1 cm = 28.35 puntos)
         this.marginSize = 0.4 * 28.35;
+        // Opciones de página del PDF
+        this.pageSize = 'a4';
+        this.pageOrientation = 'auto'; // 'auto', 'portrait' o 'landscape'
+        this.fitMode = 'contain'; // 'contain', 'cover' u 'original'
+        // Varias imágenes por hoja: 'single', '2up', '4up', 'grid', 'idcard' o 'contact'
+        this.layout = 'single';
+        this.gridColumns = 3;
+        this.gridRows = 3;
+        this.layoutSpacing = 0.5 * 28.35;
+        this.cutLines = false;
+        this.numberImages = false;
+        // Encabezado, pie de página y marca de agua de cada hoja
+        // (posiciones 'header-left' ... 'footer-right'; opacidad y tamaño en porcentaje)
+        this.pageStamps = {
+            headerText: '',
+            headerAlign: 'center',
+            footerText: '',
+            footerAlign: 'center',
+            pageNumberPosition: 'none',
+            datePosition: 'none',
+            fontSize: 9,
+            watermarkType: 'none',
+            watermarkText: 'COPIA',
+            watermarkImage: null, // { dataUrl, width, height } en PNG
+            watermarkOpacity: 20,
+            watermarkSize: 60
+        };
+        // Calidad de salida: 'email', 'standard', 'archive' o 'custom'
+        this.qualityPreset = 'standard';
+        this.customDpi = 150;
+        this.customQuality = 0.85;
+        // Nombre y propiedades del documento que se piden al guardar
+        this.fileNameTemplate = 'imagenes_{fecha}_{paginas}p';
+        this.documentInfo = { title: '', author: '', subject: '', keywords: '' };
+        this.useOutline = false;
+        this.pdfProtection = null; // Contraseñas y permisos del próximo PDF (nunca se guardan)
+        // Formatos de exportación: extensión, título del diálogo y aviso
+        this.exportFormats = {
+            pdf: { extension: 'pdf', title: 'Guardar PDF', note: '' },
+            pdfa: {
+                extension: 'pdf',
+                title: 'PDF para archivo',
+                note: 'Incluye el perfil de color sRGB y los metadatos XMP para archivo a largo plazo. No admite contraseña.'
+            },
+            jpeg: { extension: 'zip', title: 'Exportar páginas en JPG', note: '' },
+            png: { extension: 'zip', title: 'Exportar páginas en PNG', note: 'Las páginas en Blanco y Negro se guardan sin pérdida a 1 bit por píxel.' },
+            long: { extension: 'jpg', title: 'Exportar una imagen larga', note: 'Las páginas se unen una debajo de otra con el mismo ancho.' },
+            tiff: { extension: 'tif', title: 'Exportar TIFF de varias páginas', note: 'Las páginas en Blanco y Negro se guardan a 1 bit por píxel, como en un fax; el resto, en color.' }
+        };
+        this.exportFormat = 'pdf';
+        // Servidor opcional que recibe los archivos generados (POST multipart con el archivo y sus datos)
+        this.uploadEndpoint = '';
+        this.uploadAttempts = 3;
+        this.uploadTimeout = 5 * 60 * 1000; // Por intento; los PDF grandes tardan en conexiones lentas
+        this.pendingUpload = null; // Último envío fallido, para reintentarlo a mano
+        this.pendingShare = null; // Archivo que espera un nuevo toque para compartirse
+        // Las páginas se guardan como Blob; la cuadrícula muestra miniaturas con ObjectURL que se liberan
+        // cuando la página ya no se puede recuperar (ver releasePageUrls)
+        this.pageUrls = new Set();
+        this.thumbnailSize = 360; // Lado máximo de las miniaturas en píxeles
+        // Tamaños codificados por página para estimar el peso del PDF
+        this.sizeEstimateCache = new Map();
+        this.sizeEstimateTimer = null;
+        // Procesamiento de imágenes fuera del hilo principal
+        this.workerPool = WorkerPool.isSupported() ? new WorkerPool('source/JS/procesador.js') : null;
+        this.pdfAbortController = null;
+        // Reconocimiento de texto (OCR) con Tesseract, cargado solo cuando se usa
+        this.useOcr = false;
+        this.ocrLanguage = 'spa+eng';
+        this.scriptPromises = new Map(); // Scripts cargados bajo demanda, por ruta
+        // Archivos locales de Tesseract: el OCR funciona sin conexión
+        this.ocrAssets = {
+            script: 'vendor/tesseract/tesseract.min.js',
+            workerPath: 'vendor/tesseract/worker.min.js',
+            corePath: 'vendor/tesseract-core',
+            langPath: 'vendor/tessdata'
+        };
+        // Lectores de PDF, HEIC y TIFF, también locales y cargados solo cuando se usan
+        this.importAssets = {
+            pdf: 'vendor/pdfjs/pdf.min.js',
+            pdfWorker: 'vendor/pdfjs/pdf.worker.min.js',
+            heic: 'vendor/heic2any/heic2any.min.js',
+            pako: 'vendor/pako/pako.min.js',
+            tiff: 'vendor/utif/UTIF.js'
+        };
+        this.rejectedFiles = []; // Archivos que no se pudieron importar y el motivo
+        // Archivos compartidos desde otras aplicaciones; mismo nombre que SHARE_CACHE en sw.js
+        this.shareCacheName = 'convertidor-compartidos';
+        // Borradores guardados en IndexedDB
+        this.draftStore = DraftStore.isSupported() ? new DraftStore() : null;
+        this.drafts = [];
+        this.currentDraftId = null;
+        this.savedPages = new Map(); // id de página -> datos tal como se guardaron
+        this.saveTimer = null;
+        this.saveErrorShown = false;
+        // Firma y anotaciones de una página (coordenadas de 0 a 1 de la página ya rotada)
+        this.signature = null; // Firma guardada para reutilizar: { strokes, aspect }
+        this.annotatingImageId = null;
+        this.annotations = null; // Copia que se edita; se guarda en la página al aplicar
+        this.selectedAnnotation = null;
+        this.annotationTool = 'select';
+        this.annotationBase = null; // Página rotada sobre la que se dibujan las anotaciones
+        this.signatureStrokes = [];
+        // Páginas en blanco y separación del lote en varios documentos
+        this.blankSensitivity = 50; // De 0 a 100: cuanto más alto, más contenido admite una página "en blanco"
+        this.splitMode = 'none'; // 'none', 'blank', 'qr', 'separator' (en blanco o QR) o 'every'
+        this.splitEvery = 2; // Páginas por documento con 'every'
+        this.splitOutput = 'files'; // 'files' (un PDF por documento) o 'zip'
+        this.pageAnalysis = new Map(); // Tinta y código QR de cada página, por id y contenido
+        this.blankCheckTimer = null;
+        this.qrReaderScript = 'vendor/jsqr/jsQR.js'; // Solo si el navegador no trae BarcodeDetector
+        this.barcodeDetector = null;
+        // Acción que restaura la última limpieza de la lista
+        this.undoAction = null;
+        this.undoTimer = null;
         
         this.initializeElements();
         this.initializeModals();
         this.attachEventListeners();
+        this.renderStampPreview();
+        // Los archivos compartidos o abiertos con la aplicación se agregan al borrador restaurado
+        this.sessionReady = this.restoreSession();
+        this.receiveLaunchedFiles();
     }
 
     /**
@@ -30,20 +176,184 @@ class ImageToPdfConverter {
         this.imageCount = document.getElementById('imageCount');
         this.actionsContainer = document.getElementById('actionsContainer');
         this.generatePdfBtn = document.getElementById('generatePdfBtn');
+        this.exportMenu = document.getElementById('exportMenu');
         this.clearBtn = document.getElementById('clearBtn');
         this.loading = document.getElementById('loading');
         this.cameraButton = document.getElementById('cameraButton');
         this.cameraVideo = document.getElementById('cameraVideo');
         this.cameraCanvas = document.getElementById('cameraCanvas');
         this.captureBtn = document.getElementById('captureBtn');
+        this.finishCaptureBtn = document.getElementById('finishCaptureBtn');
+        this.captureCount = document.getElementById('captureCount');
+        this.captureStrip = document.getElementById('captureStrip');
+        this.continuousCaptureCheckbox = document.getElementById('continuousCapture');
+        this.autoShutterCheckbox = document.getElementById('autoShutter');
+        this.autoShutterStatus = document.getElementById('autoShutterStatus');
+        this.cameraSelect = document.getElementById('cameraSelect');
+        this.torchBtn = document.getElementById('torchBtn');
+        this.focusBtn = document.getElementById('focusBtn');
+        this.cameraError = document.getElementById('cameraError');
+        this.cameraErrorText = document.getElementById('cameraErrorText');
+        this.cameraErrorClose = document.getElementById('cameraErrorClose');
+        this.importReport = document.getElementById('importReport');
+        this.importReportTitle = document.getElementById('importReportTitle');
+        this.importReportList = document.getElementById('importReportList');
+        this.importReportClose = document.getElementById('importReportClose');
         this.useMarginsCheckbox = document.getElementById('useMargins');
+        this.marginSizeInput = document.getElementById('marginSize');
+        this.pageSizeSelect = document.getElementById('pageSize');
+        this.pageOrientationSelect = document.getElementById('pageOrientation');
+        this.fitModeSelect = document.getElementById('fitMode');
+        this.layoutModeSelect = document.getElementById('layoutMode');
+        this.gridSettings = document.getElementById('gridSettings');
+        this.gridColumnsInput = document.getElementById('gridColumns');
+        this.gridRowsInput = document.getElementById('gridRows');
+        this.layoutOptions = document.getElementById('layoutOptions');
+        this.layoutSpacingInput = document.getElementById('layoutSpacing');
+        this.cutLinesCheckbox = document.getElementById('cutLines');
+        this.numberImagesCheckbox = document.getElementById('numberImages');
+        this.layoutInfo = document.getElementById('layoutInfo');
+        this.stampControls = document.querySelectorAll('[data-stamp]');
+        this.watermarkTextSettings = document.getElementById('watermarkTextSettings');
+        this.watermarkImageSettings = document.getElementById('watermarkImageSettings');
+        this.watermarkImageInput = document.getElementById('watermarkImage');
+        this.watermarkRanges = document.querySelectorAll('.watermark-range');
+        this.watermarkOpacityValue = document.getElementById('watermarkOpacityValue');
+        this.watermarkSizeValue = document.getElementById('watermarkSizeValue');
+        this.stampPreview = document.getElementById('stampPreview');
+        this.qualityPresetSelect = document.getElementById('qualityPreset');
+        this.customQualitySettings = document.getElementById('customQualitySettings');
+        this.customDpiInput = document.getElementById('customDpi');
+        this.customQualityInput = document.getElementById('customQuality');
+        this.customQualityValue = document.getElementById('customQualityValue');
+        this.sizeEstimateValue = document.getElementById('sizeEstimateValue');
+        this.useOcrCheckbox = document.getElementById('useOcr');
+        this.ocrLanguageSelect = document.getElementById('ocrLanguage');
+        this.loadingText = document.getElementById('loadingText');
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.draftsBar = document.getElementById('draftsBar');
+        this.draftSelect = document.getElementById('draftSelect');
+        this.newDraftBtn = document.getElementById('newDraftBtn');
+        this.renameDraftBtn = document.getElementById('renameDraftBtn');
+        this.deleteDraftBtn = document.getElementById('deleteDraftBtn');
+        this.saveStatus = document.getElementById('saveStatus');
+        this.undoBar = document.getElementById('undoBar');
+        this.undoText = document.getElementById('undoText');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.shareBar = document.getElementById('shareBar');
+        this.shareBarBtn = document.getElementById('shareBarBtn');
+        this.shareBarClose = document.getElementById('shareBarClose');
+        this.blankSensitivityInput = document.getElementById('blankSensitivity');
+        this.splitModeSelect = document.getElementById('splitMode');
+        this.splitOptions = document.getElementById('splitOptions');
+        this.splitEverySettings = document.getElementById('splitEverySettings');
+        this.splitEveryInput = document.getElementById('splitEvery');
+        this.splitOutputSelect = document.getElementById('splitOutput');
+        this.blankPages = document.getElementById('blankPages');
+        this.blankPagesText = document.getElementById('blankPagesText');
+        this.removeBlankBtn = document.getElementById('removeBlankBtn');
+        this.uploadEndpointInput = document.getElementById('uploadEndpoint');
+        this.uploadStatus = document.getElementById('uploadStatus');
+        this.uploadStatusIcon = document.getElementById('uploadStatusIcon');
+        this.uploadStatusText = document.getElementById('uploadStatusText');
+        this.retryUploadBtn = document.getElementById('retryUploadBtn');
+        this.uploadStatusClose = document.getElementById('uploadStatusClose');
+        this.pdfProgressBar = document.getElementById('pdfProgressBar');
+        this.cancelPdfBtn = document.getElementById('cancelPdfBtn');
+        
+        // Elementos del modal de guardado
+        this.fileNameTemplateInput = document.getElementById('fileNameTemplate');
+        this.fileNamePreview = document.getElementById('fileNamePreview');
+        this.saveModalTitle = document.getElementById('saveModalTitle');
+        this.fileNameExtension = document.getElementById('fileNameExtension');
+        this.exportNote = document.getElementById('exportNote');
+        this.pdfOptions = document.getElementById('pdfOptions');
+        this.protectionOptions = document.getElementById('protectionOptions');
+        this.docTitleInput = document.getElementById('docTitle');
+        this.docAuthorInput = document.getElementById('docAuthor');
+        this.docSubjectInput = document.getElementById('docSubject');
+        this.docKeywordsInput = document.getElementById('docKeywords');
+        this.useOutlineCheckbox = document.getElementById('useOutline');
+        this.outlineList = document.getElementById('outlineList');
+        this.usePasswordCheckbox = document.getElementById('usePassword');
+        this.protectionSettings = document.getElementById('protectionSettings');
+        this.userPasswordInput = document.getElementById('userPassword');
+        this.ownerPasswordInput = document.getElementById('ownerPassword');
+        this.allowPrintingCheckbox = document.getElementById('allowPrinting');
+        this.allowCopyingCheckbox = document.getElementById('allowCopying');
+        this.allowModifyingCheckbox = document.getElementById('allowModifying');
+        this.savePdfBtn = document.getElementById('savePdfBtn');
+        this.shareFileBtn = document.getElementById('shareFileBtn');
+        this.uploadFileBtn = document.getElementById('uploadFileBtn');
         
         // Elementos del modal de filtros
         this.filterPreview = document.getElementById('filterPreview');
-        this.filterCanvas = document.getElementById('filterCanvas');
         this.filterOptions = document.querySelectorAll('.filter-option');
         this.applyFilterBtn = document.getElementById('applyFilterBtn');
         this.retakeBtn = document.getElementById('retakeBtn');
+        this.filterModalTitle = document.getElementById('filterModalTitle');
+        this.adjustmentControls = document.querySelectorAll('.adjustment');
+        this.resetAdjustmentsBtn = document.getElementById('resetAdjustmentsBtn');
+        
+        // Elementos del editor de esquinas
+        this.cornerImage = document.getElementById('cornerImage');
+        this.cornerOverlay = document.getElementById('cornerOverlay');
+        this.cornerPolygon = document.getElementById('cornerPolygon');
+        this.cornerHandles = document.querySelectorAll('.corner-handle');
+        this.cornerHint = document.getElementById('cornerHint');
+        this.cornersNextBtn = document.getElementById('cornersNextBtn');
+        this.detectCornersBtn = document.getElementById('detectCornersBtn');
+        this.fullFrameBtn = document.getElementById('fullFrameBtn');
+        this.editCornersBtn = document.getElementById('editCornersBtn');
+        
+        // Elementos del editor de recorte y enderezado
+        this.editHint = document.getElementById('editHint');
+        this.cropImage = document.getElementById('cropImage');
+        this.cropBox = document.getElementById('cropBox');
+        this.rotationAngleInput = document.getElementById('rotationAngle');
+        this.rotationValue = document.getElementById('rotationValue');
+        this.cropRatioSelect = document.getElementById('cropRatio');
+        this.deskewBtn = document.getElementById('deskewBtn');
+        this.flipHorizontalBtn = document.getElementById('flipHorizontalBtn');
+        this.flipVerticalBtn = document.getElementById('flipVerticalBtn');
+        this.resetEditBtn = document.getElementById('resetEditBtn');
+        this.editTransformBtn = document.getElementById('editTransformBtn');
+        this.editDoneBtn = document.getElementById('editDoneBtn');
+        
+        // Elementos del tachado de datos
+        this.redactHint = document.getElementById('redactHint');
+        this.redactCanvas = document.getElementById('redactCanvas');
+        this.suggestRedactionsBtn = document.getElementById('suggestRedactionsBtn');
+        this.removeRedactionBtn = document.getElementById('removeRedactionBtn');
+        this.clearRedactionsBtn = document.getElementById('clearRedactionsBtn');
+        this.redactBtn = document.getElementById('redactBtn');
+        this.redactDoneBtn = document.getElementById('redactDoneBtn');
+        
+        // Elementos del editor de firma y anotaciones
+        this.annotationToolButtons = document.querySelectorAll('#annotateToolbar [data-tool]');
+        this.annotationColorInput = document.getElementById('annotationColor');
+        this.annotationTextSizeSelect = document.getElementById('annotationTextSize');
+        this.newSignatureBtn = document.getElementById('newSignatureBtn');
+        this.deleteAnnotationBtn = document.getElementById('deleteAnnotationBtn');
+        this.annotationHint = document.getElementById('annotationHint');
+        this.annotateEditor = document.getElementById('annotateEditor');
+        this.annotateCanvas = document.getElementById('annotateCanvas');
+        this.signaturePad = document.getElementById('signaturePad');
+        this.signatureCanvas = document.getElementById('signatureCanvas');
+        this.saveSignatureBtn = document.getElementById('saveSignatureBtn');
+        this.clearSignatureBtn = document.getElementById('clearSignatureBtn');
+        this.cancelSignatureBtn = document.getElementById('cancelSignatureBtn');
+        this.applyAnnotationsBtn = document.getElementById('applyAnnotationsBtn');
+        
+        // Elementos de la cola de importación
+        this.queueBar = document.getElementById('queueBar');
+        this.queuePosition = document.getElementById('queuePosition');
+        this.skipImageBtn = document.getElementById('skipImageBtn');
+        this.applyAllBtn = document.getElementById('applyAllBtn');
+        this.addAllUnfilteredBtn = document.getElementById('addAllUnfilteredBtn');
+        this.importProgress = document.getElementById('importProgress');
+        this.importProgressText = document.getElementById('importProgressText');
+        this.importProgressBar = document.getElementById('importProgressBar');
     }
 
     /**
@@ -52,18 +362,61 @@ class ImageToPdfConverter {
     initializeModals() {
         this.cameraModalElement = document.getElementById('cameraModal');
         this.filterModalElement = document.getElementById('filterModal');
+        this.saveModalElement = document.getElementById('saveModal');
+        this.annotateModalElement = document.getElementById('annotateModal');
         
         this.cameraModal = new bootstrap.Modal(this.cameraModalElement);
         this.filterModal = new bootstrap.Modal(this.filterModalElement);
+        this.saveModal = new bootstrap.Modal(this.saveModalElement);
+        this.annotateModal = new bootstrap.Modal(this.annotateModalElement);
+        
+        // Confirma antes de cerrar la cámara si hay fotos de la sesión sin revisar
+        this.cameraModalElement.addEventListener('hide.bs.modal', (e) => {
+            const pending = this.captureSession.length;
+            if (pending > 0 && !this.finishingCaptureSession &&
+                !confirm(`¿Descartar las ${pending} fotos capturadas?`)) {
+                e.preventDefault();
+            }
+        });
         
         // Event listener para limpiar stream cuando se cierra el modal de cámara
         this.cameraModalElement.addEventListener('hidden.bs.modal', () => {
+            this.stopAutoShutter();
             this.stopCamera();
+            
+            if (this.finishingCaptureSession) {
+                this.finishingCaptureSession = false;
+                this.reviewNextInQueue();
+            }
+            this.captureSession = [];
+            this.renderCaptureStrip();
         });
         
         // Event listener para limpiar cuando se cierra el modal de filtros
         this.filterModalElement.addEventListener('hidden.bs.modal', () => {
+            // Cerrar el modal durante la revisión cancela el resto de la importación
+            if (this.queueCurrent) {
+                this.cancelImportQueue();
+            }
             this.currentCapturedImage = null;
+            this.setCornerImage(null);
+            this.currentSourceImage = null;
+            this.currentCorners = null;
+            this.currentWarpedImage = null;
+            
+            // Al terminar una edición continúa la cola si quedaron imágenes pendientes
+            if (this.editingImageId !== null) {
+                this.editingImageId = null;
+                this.reviewNextInQueue();
+            }
+        });
+        
+        // Las anotaciones sin aplicar se descartan al cerrar
+        this.annotateModalElement.addEventListener('hidden.bs.modal', () => {
+            this.annotatingImageId = null;
+            this.annotations = null;
+            this.selectedAnnotation = null;
+            this.annotationBase = null;
         });
     }
 
@@ -83,44 +436,507 @@ class ImageToPdfConverter {
         this.uploadZone.addEventListener('drop', (e) => this.handleDrop(e));
         
         // Botones de acción
-        this.generatePdfBtn.addEventListener('click', () => this.generatePdf());
+        this.generatePdfBtn.addEventListener('click', () => this.openSaveDialog());
+        this.exportMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-format]');
+            if (item) this.openSaveDialog(item.dataset.format);
+        });
         this.clearBtn.addEventListener('click', () => this.clearAll());
+        this.cancelPdfBtn.addEventListener('click', () => this.cancelPdf());
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.shareBarBtn.addEventListener('click', () => this.sharePending());
+        this.shareBarClose.addEventListener('click', () => this.hideShareBar());
+        this.retryUploadBtn.addEventListener('click', () => {
+            if (this.pendingUpload) this.uploadFile(this.pendingUpload);
+        });
+        this.uploadStatusClose.addEventListener('click', () => {
+            this.pendingUpload = null;
+            this.uploadStatus.classList.add('d-none');
+        });
+        
+        // Borradores
+        this.draftSelect.addEventListener('change', (e) => this.switchDraft(e.target.value));
+        this.newDraftBtn.addEventListener('click', () => this.newDraft());
+        this.renameDraftBtn.addEventListener('click', () => this.renameDraft());
+        this.deleteDraftBtn.addEventListener('click', () => this.deleteDraft());
+        // Los controles actualizan su opción primero; el panel solo guarda el borrador
+        this.settingsPanel.addEventListener('change', () => this.scheduleSave());
         
         // Cámara
         this.cameraButton.addEventListener('click', () => this.openCamera());
-        this.captureBtn.addEventListener('click', () => this.capturePhoto());
+        this.captureBtn.addEventListener('click', () => {
+            if (this.continuousCaptureCheckbox.checked) {
+                this.captureToSession();
+            } else {
+                this.capturePhoto();
+            }
+        });
+        this.finishCaptureBtn.addEventListener('click', () => this.finishCaptureSession());
+        this.cameraSelect.addEventListener('change', (e) => this.switchCamera(e.target.value));
+        this.torchBtn.addEventListener('click', () => this.toggleTorch());
+        this.focusBtn.addEventListener('click', () => this.focusCamera());
+        this.cameraVideo.addEventListener('click', (e) => this.focusCamera(e));
+        this.cameraErrorClose.addEventListener('click', () => this.hideCameraError());
+        this.importReportClose.addEventListener('click', () => {
+            this.rejectedFiles = [];
+            this.renderImportReport();
+        });
+        this.continuousCaptureCheckbox.addEventListener('change', (e) => {
+            this.autoShutterCheckbox.disabled = !e.target.checked;
+            if (!e.target.checked) {
+                this.autoShutterCheckbox.checked = false;
+                this.stopAutoShutter();
+            }
+        });
+        this.autoShutterCheckbox.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.startAutoShutter();
+            } else {
+                this.stopAutoShutter();
+            }
+        });
         
         // Configuración de márgenes
         this.useMarginsCheckbox.addEventListener('change', (e) => {
             this.useMargins = e.target.checked;
+            this.marginSizeInput.disabled = !this.useMargins;
+            this.scheduleSizeEstimate();
+        });
+        this.marginSizeInput.addEventListener('change', (e) => {
+            const centimeters = Math.min(5, Math.max(0, parseFloat(e.target.value) || 0));
+            e.target.value = centimeters;
+            this.marginSize = centimeters * 28.35;
+            this.scheduleSizeEstimate();
+        });
+        
+        // Configuración de página
+        this.pageSizeSelect.addEventListener('change', (e) => {
+            this.pageSize = e.target.value;
+            this.scheduleSizeEstimate();
+        });
+        this.pageOrientationSelect.addEventListener('change', (e) => {
+            this.pageOrientation = e.target.value;
+            this.scheduleSizeEstimate();
+        });
+        this.fitModeSelect.addEventListener('change', (e) => {
+            this.fitMode = e.target.value;
+            this.scheduleSizeEstimate();
+        });
+        
+        // Varias imágenes por hoja
+        this.layoutModeSelect.addEventListener('change', (e) => {
+            this.layout = e.target.value;
+            this.updateLayoutControls();
+            this.scheduleSizeEstimate();
+        });
+        [this.gridColumnsInput, this.gridRowsInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.gridColumns = Math.min(8, Math.max(1, parseInt(this.gridColumnsInput.value, 10) || 1));
+                this.gridRows = Math.min(8, Math.max(1, parseInt(this.gridRowsInput.value, 10) || 1));
+                this.updateLayoutControls();
+                this.scheduleSizeEstimate();
+            });
+        });
+        this.layoutSpacingInput.addEventListener('change', (e) => {
+            const centimeters = Math.min(3, Math.max(0, parseFloat(e.target.value) || 0));
+            e.target.value = centimeters;
+            this.layoutSpacing = centimeters * 28.35;
+            this.scheduleSizeEstimate();
+        });
+        this.cutLinesCheckbox.addEventListener('change', (e) => {
+            this.cutLines = e.target.checked;
+        });
+        this.numberImagesCheckbox.addEventListener('change', (e) => {
+            this.numberImages = e.target.checked;
+            this.scheduleSizeEstimate();
+        });
+        
+        // Encabezado, pie de página y marca de agua
+        this.stampControls.forEach(control => {
+            control.addEventListener('input', () => this.readStampForm());
+        });
+        this.watermarkImageInput.addEventListener('change', (e) => this.loadWatermarkImage(e.target.files[0]));
+        // La vista previa sigue también al tamaño de hoja, la orientación y los márgenes
+        this.settingsPanel.addEventListener('change', () => this.renderStampPreview());
+        
+        // Calidad de salida
+        this.qualityPresetSelect.addEventListener('change', (e) => {
+            this.qualityPreset = e.target.value;
+            this.customQualitySettings.classList.toggle('d-none', this.qualityPreset !== 'custom');
+            this.scheduleSizeEstimate();
+        });
+        this.customDpiInput.addEventListener('change', (e) => {
+            const dpi = Math.min(600, Math.max(72, parseInt(e.target.value, 10) || 150));
+            e.target.value = dpi;
+            this.customDpi = dpi;
+            this.scheduleSizeEstimate();
+        });
+        this.customQualityInput.addEventListener('input', (e) => {
+            this.customQualityValue.textContent = e.target.value;
+            this.customQuality = parseInt(e.target.value, 10) / 100;
+            this.scheduleSizeEstimate();
+        });
+        
+        // Reconocimiento de texto
+        this.useOcrCheckbox.addEventListener('change', (e) => {
+            this.useOcr = e.target.checked;
+            this.ocrLanguageSelect.disabled = !this.useOcr;
+        });
+        this.ocrLanguageSelect.addEventListener('change', (e) => {
+            this.ocrLanguage = e.target.value;
+        });
+        this.uploadEndpointInput.addEventListener('change', (e) => {
+            this.uploadEndpoint = e.target.value.trim();
+        });
+        
+        // Páginas en blanco y separación en varios documentos
+        this.blankSensitivityInput.addEventListener('input', (e) => {
+            this.blankSensitivity = parseInt(e.target.value, 10);
+            this.renderBlankPages();
+        });
+        this.splitModeSelect.addEventListener('change', (e) => {
+            this.splitMode = e.target.value;
+            this.updateSplitControls();
+            if (this.splitMode === 'qr' || this.splitMode === 'separator') {
+                this.checkQrReader();
+            }
+        });
+        this.splitEveryInput.addEventListener('change', (e) => {
+            const pages = Math.min(999, Math.max(1, parseInt(e.target.value, 10) || 1));
+            e.target.value = pages;
+            this.splitEvery = pages;
+        });
+        this.splitOutputSelect.addEventListener('change', (e) => {
+            this.splitOutput = e.target.value;
+        });
+        this.removeBlankBtn.addEventListener('click', () => this.removeBlankPages());
+
+        // Modal de guardado
+        [this.fileNameTemplateInput, this.docTitleInput].forEach(input => {
+            input.addEventListener('input', () => {
+                this.readSaveForm();
+                this.updateFileNamePreview();
+            });
         });
+        this.useOutlineCheckbox.addEventListener('change', (e) => {
+            this.outlineList.classList.toggle('d-none', !e.target.checked);
+        });
+        this.usePasswordCheckbox.addEventListener('change', (e) => {
+            this.protectionSettings.classList.toggle('d-none', !e.target.checked);
+        });
+        this.savePdfBtn.addEventListener('click', () => this.confirmSave());
+        this.shareFileBtn.addEventListener('click', () => this.confirmSave('share'));
+        this.uploadFileBtn.addEventListener('click', () => this.confirmSave('upload'));
 
         // Modal de filtros
         this.filterOptions.forEach(option => {
             option.addEventListener('click', () => this.selectFilter(option));
         });
         this.applyFilterBtn.addEventListener('click', () => this.applyFilter());
+        this.adjustmentControls.forEach(control => {
+            control.querySelector('input').addEventListener('input', (e) => this.updateAdjustment(control, e.target.value));
+        });
+        this.resetAdjustmentsBtn.addEventListener('click', () => {
+            this.setAdjustments({});
+            this.updateFilterPreview();
+        });
         this.retakeBtn.addEventListener('click', () => this.retakePhoto());
+
+        // Editor de firma y anotaciones
+        this.annotationToolButtons.forEach(button => {
+            button.addEventListener('click', () => this.setAnnotationTool(button.dataset.tool));
+        });
+        this.annotateCanvas.addEventListener('pointerdown', (e) => this.startAnnotationPointer(e));
+        this.annotateCanvas.addEventListener('dblclick', (e) => {
+            const item = this.findAnnotationAt(this.getAnnotationPointer(e));
+            if (item && item.type === 'text') this.editTextAnnotation(item);
+        });
+        this.annotationColorInput.addEventListener('input', (e) => {
+            // El color también cambia la anotación seleccionada (salvo los resaltados)
+            const item = this.selectedAnnotation;
+            if (item && item.type !== 'highlight') {
+                item.color = e.target.value;
+                this.renderAnnotationEditor();
+            }
+        });
+        this.deleteAnnotationBtn.addEventListener('click', () => this.deleteSelectedAnnotation());
+        this.annotateModalElement.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && e.target.tagName !== 'INPUT') {
+                this.deleteSelectedAnnotation();
+            }
+        });
+        this.newSignatureBtn.addEventListener('click', () => this.openSignaturePad());
+        this.signatureCanvas.addEventListener('pointerdown', (e) => this.startSignatureStroke(e));
+        this.saveSignatureBtn.addEventListener('click', () => this.saveSignature());
+        this.clearSignatureBtn.addEventListener('click', () => this.clearSignaturePad());
+        this.cancelSignatureBtn.addEventListener('click', () => this.closeSignaturePad());
+        this.applyAnnotationsBtn.addEventListener('click', () => this.applyAnnotations());
+
+        // Editor de esquinas
+        this.cornerHandles.forEach(handle => {
+            handle.addEventListener('pointerdown', (e) => this.startCornerDrag(e, handle));
+        });
+        this.cornersNextBtn.addEventListener('click', () => this.confirmCorners());
+        this.detectCornersBtn.addEventListener('click', () => this.detectCurrentCorners());
+        this.fullFrameBtn.addEventListener('click', () => this.resetCornersToFullFrame());
+        this.editCornersBtn.addEventListener('click', () => {
+            if (this.confirmGeometryChange()) this.showFilterStage('corners');
+        });
+
+        // Editor de recorte y enderezado
+        this.editTransformBtn.addEventListener('click', () => {
+            if (this.confirmGeometryChange()) this.openEditStage();
+        });
+        this.editDoneBtn.addEventListener('click', () => {
+            this.showFilterStage('filter');
+            this.updateFilterPreview();
+        });
+        
+        // Tachado de datos
+        this.redactBtn.addEventListener('click', () => this.openRedactStage());
+        this.redactDoneBtn.addEventListener('click', () => {
+            this.showFilterStage('filter');
+            this.updateFilterPreview();
+        });
+        this.redactCanvas.addEventListener('pointerdown', (e) => this.startRedactionDrag(e));
+        this.removeRedactionBtn.addEventListener('click', () => this.removeSelectedRedaction());
+        this.clearRedactionsBtn.addEventListener('click', () => {
+            this.currentRedactions = [];
+            this.selectedRedaction = null;
+            this.renderRedactions();
+        });
+        this.suggestRedactionsBtn.addEventListener('click', () => this.suggestRedactions());
+        this.filterModalElement.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.redactionBase && e.target.tagName !== 'INPUT') {
+                this.removeSelectedRedaction();
+            }
+        });
+        this.cropBox.addEventListener('pointerdown', (e) => this.startCropDrag(e));
+        this.rotationAngleInput.addEventListener('input', (e) => {
+            this.currentTransform.angle = parseFloat(e.target.value);
+            this.renderEditView();
+        });
+        this.cropRatioSelect.addEventListener('change', () => {
+            this.fitCropToRatio();
+            this.renderEditView();
+        });
+        this.deskewBtn.addEventListener('click', () => this.autoDeskew());
+        this.flipHorizontalBtn.addEventListener('click', () => {
+            this.currentTransform.flipH = !this.currentTransform.flipH;
+            this.renderEditView();
+        });
+        this.flipVerticalBtn.addEventListener('click', () => {
+            this.currentTransform.flipV = !this.currentTransform.flipV;
+            this.renderEditView();
+        });
+        this.resetEditBtn.addEventListener('click', () => {
+            this.currentTransform = this.getDefaultTransform();
+            this.cropRatioSelect.value = '';
+            this.renderEditView();
+        });
+
+        // Cola de importación
+        this.skipImageBtn.addEventListener('click', () => this.skipQueuedImage());
+        this.applyAllBtn.addEventListener('click', () => this.processRemainingQueue(this.currentFilter, this.currentAdjustments));
+        this.addAllUnfilteredBtn.addEventListener('click', () => this.processRemainingQueue('original'));
     }
 
     /**
      * Abre la cámara para capturar fotos
      */
     async openCamera() {
+        this.hideCameraError();
+        
+        // getUserMedia solo existe en contextos seguros (HTTPS o localhost)
+        if (!window.isSecureContext) {
+            this.showCameraError('insecure');
+            return;
+        }
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.showCameraError('unsupported');
+            return;
+        }
+        
         try {
-            this.stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { 
-                    facingMode: 'environment',
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 }
-                } 
-            });
+            this.stopCamera();
+            this.stream = await this.requestCameraStream(this.selectedCameraId);
             
             this.cameraVideo.srcObject = this.stream;
             this.cameraModal.show();
+            
+            await this.updateCameraList();
+            this.setupTrackControls();
+            
+            if (this.autoShutterCheckbox.checked) {
+                this.startAutoShutter();
+            }
         } catch (error) {
             console.error('Error al acceder a la cámara:', error);
-            alert('No se pudo acceder a la cámara. Por favor verifica los permisos.');
+            
+            // Al cambiar de cámara el modal sigue abierto, sin video y tapando el mensaje:
+            // se cierra antes de mostrarlo y las fotos ya tomadas pasan a revisión
+            if (this.cameraModalElement.classList.contains('show')) {
+                if (this.captureSession.length > 0) {
+                    this.finishCaptureSession();
+                } else {
+                    this.cameraModal.hide();
+                }
+            }
+            this.showCameraError(error.name);
+        }
+    }
+
+    /**
+     * Solicita el stream de video probando resoluciones de mayor a menor
+     * Algunos dispositivos rechazan resoluciones altas; se reintenta con la siguiente
+     * @param {string|null} deviceId - Cámara elegida o null para preferir la trasera
+     * @returns {Promise<MediaStream>} Stream de video
+     */
+    async requestCameraStream(deviceId) {
+        const base = deviceId
+            ? { deviceId: { exact: deviceId } }
+            : { facingMode: { ideal: 'environment' } };
+        const resolutions = [
+            { width: { ideal: 3840 }, height: { ideal: 2160 } },
+            { width: { ideal: 1920 }, height: { ideal: 1080 } },
+            { width: { ideal: 1280 }, height: { ideal: 720 } },
+            {}
+        ];
+        
+        let lastError = null;
+        for (const resolution of resolutions) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({ video: { ...base, ...resolution } });
+            } catch (error) {
+                // Sin permiso o sin cámara no tiene sentido seguir probando
+                if (['NotAllowedError', 'SecurityError', 'NotFoundError'].includes(error.name)) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Muestra un mensaje de error de cámara según la causa
+     * @param {string} reason - Nombre del error de getUserMedia, 'insecure' o 'unsupported'
+     */
+    showCameraError(reason) {
+        const messages = {
+            'insecure': 'La cámara solo funciona en conexiones seguras. Abre esta página con https:// (o desde localhost).',
+            'unsupported': 'Este navegador no permite acceder a la cámara. Prueba con una versión reciente de Chrome, Firefox o Safari.',
+            'NotAllowedError': 'Permiso denegado: autoriza el uso de la cámara en la configuración del navegador y vuelve a intentarlo.',
+            'SecurityError': 'Permiso denegado: autoriza el uso de la cámara en la configuración del navegador y vuelve a intentarlo.',
+            'NotFoundError': 'No se encontró ninguna cámara en este dispositivo.',
+            'OverconstrainedError': 'La cámara seleccionada ya no está disponible. Elige otra cámara e inténtalo de nuevo.',
+            'NotReadableError': 'La cámara está siendo usada por otra aplicación. Ciérrala y vuelve a intentarlo.'
+        };
+        
+        if (reason === 'OverconstrainedError') {
+            this.selectedCameraId = null;
+        }
+        this.cameraErrorText.textContent = messages[reason] || 'No se pudo acceder a la cámara. Por favor verifica los permisos.';
+        this.cameraError.classList.remove('d-none');
+    }
+
+    /**
+     * Oculta el mensaje de error de cámara
+     */
+    hideCameraError() {
+        this.cameraError.classList.add('d-none');
+    }
+
+    /**
+     * Llena el selector con las cámaras disponibles
+     * Los nombres solo están disponibles después de conceder el permiso
+     */
+    async updateCameraList() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const cameras = devices.filter(device => device.kind === 'videoinput');
+        const track = this.stream.getVideoTracks()[0];
+        const activeId = track && track.getSettings ? track.getSettings().deviceId : null;
+        
+        this.cameraSelect.innerHTML = '';
+        cameras.forEach((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Cámara ${index + 1}`;
+            option.selected = camera.deviceId === activeId;
+            this.cameraSelect.appendChild(option);
+        });
+        
+        this.cameraSelect.classList.toggle('d-none', cameras.length < 2);
+    }
+
+    /**
+     * Cambia a otra cámara sin cerrar el modal
+     * @param {string} deviceId - Cámara elegida
+     */
+    async switchCamera(deviceId) {
+        this.selectedCameraId = deviceId;
+        await this.openCamera();
+    }
+
+    /**
+     * Muestra los controles de flash y enfoque que admite la pista de video
+     */
+    setupTrackControls() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        const focusModes = capabilities.focusMode || [];
+        
+        this.torchOn = false;
+        this.torchBtn.classList.remove('active');
+        this.torchBtn.classList.toggle('d-none', !capabilities.torch);
+        this.focusBtn.classList.toggle('d-none', !focusModes.includes('single-shot'));
+        
+        // Enfoque continuo por defecto cuando la cámara lo permite
+        if (focusModes.includes('continuous')) {
+            track.applyConstraints({ advanced: [{ focusMode: 'continuous' }] }).catch(error => {
+                console.warn('No se pudo activar el enfoque continuo:', error);
+            });
+        }
+    }
+
+    /**
+     * Enciende o apaga la linterna de la cámara
+     */
+    async toggleTorch() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        if (!track) return;
+        
+        try {
+            await track.applyConstraints({ advanced: [{ torch: !this.torchOn }] });
+            this.torchOn = !this.torchOn;
+            this.torchBtn.classList.toggle('active', this.torchOn);
+        } catch (error) {
+            console.error('No se pudo cambiar el flash:', error);
+        }
+    }
+
+    /**
+     * Enfoca una vez; si se toca el video, enfoca en ese punto cuando la cámara lo permite
+     * @param {MouseEvent} [e] - Click sobre el video
+     */
+    async focusCamera(e) {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        if (!(capabilities.focusMode || []).includes('single-shot')) return;
+        
+        const constraint = { focusMode: 'single-shot' };
+        if (e) {
+            const rect = this.cameraVideo.getBoundingClientRect();
+            constraint.pointsOfInterest = [{
+                x: (e.clientX - rect.left) / rect.width,
+                y: (e.clientY - rect.top) / rect.height
+            }];
+        }
+        
+        try {
+            await track.applyConstraints({ advanced: [constraint] });
+        } catch (error) {
+            console.warn('No se pudo enfocar:', error);
         }
     }
 
@@ -132,15 +948,19 @@ class ImageToPdfConverter {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        this.torchOn = false;
     }
 
     /**
      * Captura una foto desde el stream de la cámara y abre el modal de filtros
      */
-    capturePhoto() {
+    async capturePhoto() {
         const video = this.cameraVideo;
         const canvas = this.cameraCanvas;
         
+        // El video aún no tiene cuadros disponibles
+        if (!video.videoWidth) return;
+        
         // Configura el canvas con las dimensiones del video
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
@@ -149,7 +969,8 @@ class ImageToPdfConverter {
         const ctx = canvas.getContext('2d');
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         
-        // Convierte a data URL
+        // Se guarda como Blob: una foto en base64 ocupa un tercio más en memoria
+        this.currentCapturedImage = await ImageProcessing.canvasToBlob(canvas, 'image/jpeg', 0.95);
         this.currentImageSource = 'camera';
         
         // Cierra la cámara y abre el modal de filtros
@@ -160,541 +981,5152 @@ class ImageToPdfConverter {
     }
 
     /**
-     * Abre el modal de filtros con la imagen capturada
+     * Captura una foto en la sesión continua sin cerrar la cámara
+     * La foto se agrega a la tira de miniaturas del modal
      */
-    openFilterModal() {
-        // Muestra la imagen original en la vista previa
-        this.filterPreview.src = this.currentCapturedImage;
+    async captureToSession() {
+        const video = this.cameraVideo;
+        if (!video.videoWidth) return;
         
-        // Resetea la selección al filtro predeterminado
-        this.currentFilter = 'bw';
-        this.filterOptions.forEach(option => {
-            if (option.dataset.filter === 'bw') {
-                option.classList.add('active');
+        const canvas = this.cameraCanvas;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        
+        // Destello para confirmar el disparo
+        video.classList.remove('flash');
+        void video.offsetWidth;
+        video.classList.add('flash');
+        
+        // La foto entra en la tira en el orden del disparo; la miniatura aparece al estar lista
+        // Es una entrada de la cola: si se termina la sesión antes, la revisión espera a que se guarde
+        const shot = this.createQueueEntry();
+        shot.source = 'camera';
+        this.captureSession.push(shot);
+        this.renderCaptureStrip();
+        try {
+            const blob = await ImageProcessing.canvasToBlob(canvas, 'image/jpeg', 0.95);
+            this.setPageImage(shot, blob, await this.describeImage(blob));
+            shot.status = 'ready';
+        } catch (error) {
+            this.captureSession = this.captureSession.filter(s => s !== shot);
+            if (this.importQueue.includes(shot)) {
+                this.failQueueEntry(shot, 'Foto de la cámara', error);
             } else {
-                option.classList.remove('active');
+                console.error('Error guardando la foto:', error);
             }
+        }
+        shot.markLoaded();
+        this.renderCaptureStrip();
+        if (this.importQueue.includes(shot)) {
+            this.continueImport();
+        }
+    }
+
+    /**
+     * Dibuja la tira de miniaturas de la sesión de captura
+     */
+    renderCaptureStrip() {
+        this.captureStrip.innerHTML = '';
+        
+        this.captureSession.forEach((shot, index) => {
+            const item = document.createElement('div');
+            item.className = 'strip-item';
+            item.innerHTML = `
+                ${shot.thumbnailUrl ? `<img src="${shot.thumbnailUrl}" alt="Foto ${index + 1}">` : ''}
+                <span class="strip-number">${index + 1}</span>
+                <button type="button" class="strip-remove" title="Descartar foto">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            item.querySelector('.strip-remove').addEventListener('click', () => {
+                this.captureSession = this.captureSession.filter(s => s.id !== shot.id);
+                this.renderCaptureStrip();
+            });
+            this.captureStrip.appendChild(item);
         });
         
-        // Aplica el filtro predeterminado a la vista previa
-        setTimeout(() => this.updateFilterPreview(), 100);
+        const count = this.captureSession.length;
+        this.captureStrip.classList.toggle('d-none', count === 0);
+        this.finishCaptureBtn.classList.toggle('d-none', count === 0);
+        this.captureCount.textContent = count;
         
-        this.filterModal.show();
+        // Mantiene visible la última foto
+        this.captureStrip.scrollLeft = this.captureStrip.scrollWidth;
+        this.releasePageUrls();
     }
 
     /**
-     * Selecciona un filtro y actualiza la vista previa
+     * Cierra la cámara y pasa todas las fotos de la sesión a la cola de revisión
+     * En la revisión se puede aplicar un filtro a todo el lote de una vez
      */
-    selectFilter(selectedOption) {
-        // Actualiza la UI de opciones
-        this.filterOptions.forEach(option => {
-            option.classList.remove('active');
-        });
-        selectedOption.classList.add('active');
+    finishCaptureSession() {
+        if (this.captureSession.length === 0) return;
         
-        // Guarda el filtro seleccionado
-        this.currentFilter = selectedOption.dataset.filter;
+        const entries = this.captureSession;
+        this.importQueue.push(...entries);
+        this.queueTotal += entries.length;
+        this.renderPreviews();
         
-        // Actualiza la vista previa
-        this.updateFilterPreview();
+        // La revisión empieza cuando el modal de cámara termina de cerrarse
+        this.finishingCaptureSession = true;
+        this.cameraModal.hide();
     }
 
     /**
-     * Actualiza la vista previa con el filtro seleccionado
+     * Activa el disparo automático: analiza el video varias veces por segundo y
+     * captura cuando la imagen está quieta y hay un documento detectado
      */
-    updateFilterPreview() {
-        const img = new Image();
-        img.onload = () => {
-            const canvas = this.filterCanvas;
-            canvas.width = img.width;
-            canvas.height = img.height;
-            
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            
-            // Aplica el filtro correspondiente
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const filteredData = this.applyImageFilter(imageData, this.currentFilter);
-            ctx.putImageData(filteredData, 0, 0);
-            
-            // Actualiza la vista previa
-            this.filterPreview.src = canvas.toDataURL('image/jpeg', 0.95);
+    startAutoShutter() {
+        this.stopAutoShutter();
+        if (!this.stream) return;
+        
+        this.autoShutterState = {
+            previous: null,
+            steadyFrames: 0,
+            armed: true // Tras un disparo se espera a que cambie la escena
         };
-        img.src = this.currentCapturedImage;
+        this.autoShutterStatus.classList.remove('d-none');
+        this.autoShutterStatus.textContent = 'Buscando documento...';
+        this.autoShutterTimer = setInterval(() => this.checkAutoShutter(), 250);
     }
 
     /**
-     * Aplica un filtro específico a los datos de imagen
-     * @param {ImageData} imageData - Datos de la imagen
-     * @param {string} filterType - Tipo de filtro a aplicar
-     * @returns {ImageData} Datos de imagen filtrados
-     */
-    applyImageFilter(imageData, filterType) {
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        
-        switch(filterType) {
-            case 'grayscale':
-                // Convierte a escala de grises usando promedio ponderado
-                for (let i = 0; i < data.length; i += 4) {
-                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-                    data[i] = gray;
-                    data[i + 1] = gray;
-                    data[i + 2] = gray;
-                }
-                break;
-                
-            case 'bw':
-                // Algoritmo optimizado de escaneo suave y rápido
-                
-                // Paso 1: Convertir a escala de grises con aumento moderado de brillo
-                const grayData = new Uint8ClampedArray(width * height);
-                for (let i = 0; i < data.length; i += 4) {
-                    const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-                    // Aumenta solo 18% el brillo (más moderado)
-                    grayData[i / 4] = Math.min(255, gray * 1.18);
-                }
-                
-                // Paso 2: Calcula umbral global base (más rápido que todo adaptativo)
-                let sumTotal = 0;
-                // Muestrea solo el 10% de los píxeles para calcular promedio global
-                for (let i = 0; i < grayData.length; i += 10) {
-                    sumTotal += grayData[i];
-                }
-                const globalThreshold = (sumTotal / (grayData.length / 10)) * 0.92; // 92% del promedio
-                
-                // Paso 3: Aplicar umbral con ajuste local ligero (más rápido)
-                const blockSize = Math.floor(Math.min(width, height) / 16); // Bloques grandes = rápido
-                
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        const idx = y * width + x;
-                        const pixelValue = grayData[idx];
-                        
-                        // Ajuste local solo en los bordes (evita sobreiluminación en costados)
-                        let adjustedThreshold = globalThreshold;
-                        
-                        // Detecta si estamos cerca de los bordes
-                        const edgeDistance = Math.min(x, width - x, y, height - y);
-                        const edgeRatio = Math.min(edgeDistance / blockSize, 1);
-                        
-                        // En los bordes, reduce el umbral para evitar blanqueo excesivo
-                        if (edgeRatio < 1) {
-                            adjustedThreshold = globalThreshold * (0.85 + 0.15 * edgeRatio);
-                        }
-                        
-                        // Calcula diferencia
-                        const diff = pixelValue - adjustedThreshold;
-                        
-                        // Umbral con transición suave
-                        let bw;
-                        if (diff > 25) {
-                            bw = 255; // Blanco
-                        } else if (diff < -25) {
-                            bw = 0; // Negro
-                        } else {
-                            // Transición suave en zona de 50 valores
-                            const ratio = (diff + 25) / 50;
-                            bw = Math.round(ratio * 255);
-                        }
-                        
-                        const dataIdx = idx * 4;
-                        data[dataIdx] = bw;
-                        data[dataIdx + 1] = bw;
-                        data[dataIdx + 2] = bw;
-                    }
-                }
-                break;
-            case 'enhanced':
-                // Mejorado: Aumenta contraste y nitidez manteniendo color
-                for (let i = 0; i < data.length; i += 4) {
-                    // Aumenta contraste 30%
-                    const contrast = 1.3;
-                    data[i] = Math.min(255, Math.max(0, ((data[i] / 255 - 0.5) * contrast + 0.5) * 255));
-                    data[i + 1] = Math.min(255, Math.max(0, ((data[i + 1] / 255 - 0.5) * contrast + 0.5) * 255));
-                    data[i + 2] = Math.min(255, Math.max(0, ((data[i + 2] / 255 - 0.5) * contrast + 0.5) * 255));
-                    
-                    // Aumenta ligeramente la saturación
-                    const max = Math.max(data[i], data[i + 1], data[i + 2]);
-                    const min = Math.min(data[i], data[i + 1], data[i + 2]);
-                    const saturation = 1.1;
-                    
-                    if (max !== min) {
-                        data[i] = Math.min(255, min + (data[i] - min) * saturation);
-                        data[i + 1] = Math.min(255, min + (data[i + 1] - min) * saturation);
-                        data[i + 2] = Math.min(255, min + (data[i + 2] - min) * saturation);
-                    }
-                }
-                break;
-                
-            case 'original':
-            default:
-                // No aplica ningún filtro
-                break;
-        }
-        
-        return imageData;
+     * Detiene el disparo automático
+     */
+    stopAutoShutter() {
+        clearInterval(this.autoShutterTimer);
+        this.autoShutterTimer = null;
+        this.autoShutterState = null;
+        this.autoShutterStatus.classList.add('d-none');
+        this.autoShutterStatus.classList.remove('ready');
     }
 
     /**
-     * Aplica el filtro seleccionado y agrega la imagen a la colección
+     * Evalúa un cuadro del video para el disparo automático
      */
-    applyFilter() {
-        if (!this.currentCapturedImage) return;
+    checkAutoShutter() {
+        const video = this.cameraVideo;
+        const state = this.autoShutterState;
+        if (!state || !video.videoWidth) return;
         
-        // Obtiene la imagen con el filtro aplicado
-        const filteredImage = this.filterPreview.src;
+        // Cuadro reducido para medir movimiento y detectar el documento
+        const width = 160;
+        const height = Math.round(video.videoHeight * width / video.videoWidth);
+        if (!this.autoShutterCanvas) {
+            this.autoShutterCanvas = document.createElement('canvas');
+        }
+        const canvas = this.autoShutterCanvas;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, 0, 0, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
         
-        // Determina si la imagen es de cámara o archivo
-        const isFromCamera = this.currentImageSource === 'camera';
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) | 0;
+        }
         
-        // Agrega a la colección con información del filtro
-        this.images.push({
-            file: null,
-            dataUrl: filteredImage,
-            id: Date.now() + Math.random(),
-            isFromCamera: isFromCamera,
-            filter: this.currentFilter
-        });
+        // Movimiento: diferencia media con el cuadro anterior
+        let motion = 255;
+        if (state.previous && state.previous.length === gray.length) {
+            let sum = 0;
+            for (let i = 0; i < gray.length; i++) {
+                sum += Math.abs(gray[i] - state.previous[i]);
+            }
+            motion = sum / gray.length;
+        }
+        state.previous = gray;
         
-        this.renderPreviews();
-        this.filterModal.hide();
+        if (!state.armed) {
+            // Espera a que se cambie de página antes de volver a disparar
+            if (motion > 12) {
+                state.armed = true;
+                this.autoShutterStatus.classList.remove('ready');
+                this.autoShutterStatus.textContent = 'Buscando documento...';
+            }
+            return;
+        }
         
-        // Muestra feedback visual
-        this.showFilterSuccess();
+        state.steadyFrames = motion < 4 ? state.steadyFrames + 1 : 0;
+        const hasDocument = this.detectDocumentCorners(canvas) !== null;
         
-        // Resetea la fuente para la próxima imagen
-        this.currentImageSource = 'camera';
+        if (!hasDocument) {
+            this.autoShutterStatus.classList.remove('ready');
+            this.autoShutterStatus.textContent = 'Buscando documento...';
+            return;
+        }
+        
+        this.autoShutterStatus.classList.add('ready');
+        this.autoShutterStatus.textContent = 'Documento detectado, mantén la cámara quieta...';
+        
+        // Alrededor de un segundo de imagen estable
+        if (state.steadyFrames >= 4) {
+            this.captureToSession();
+            state.armed = false;
+            state.steadyFrames = 0;
+            this.autoShutterStatus.textContent = '¡Capturada! Cambia de página';
+        }
     }
 
     /**
-     * Muestra feedback visual de filtro aplicado exitosamente
+     * Abre el modal de filtros con la imagen capturada
+     * Comienza en la etapa de ajuste de bordes con las esquinas detectadas automáticamente
+     * @param {Object} [preset] - Ajustes previos de la página al reeditarla
+     * @param {Array<{x: number, y: number}>|null} [preset.corners] - Esquinas guardadas
+     * @param {string} [preset.filter] - Filtro guardado
+     * @param {Object} [preset.adjustments] - Ajustes guardados del filtro
+     * @param {Object|null} [preset.transform] - Recorte, rotación y volteo guardados
      */
-    showFilterSuccess() {
+    openFilterModal(preset = {}) {
+        this.currentSourceImage = null;
+        this.currentCorners = null;
+        this.currentWarpedImage = null;
+        this.currentTransform = this.getDefaultTransform(preset.transform);
+        this.cropRatioSelect.value = '';
+        this.currentRedactions = [];
+        this.selectedRedaction = null;
+        this.redactionBase = null;
+        
+        // Muestra la imagen original en el editor de esquinas
+        this.setCornerImage(this.currentCapturedImage);
+        this.cornerHint.textContent = 'Detectando bordes del documento...';
+        this.showFilterStage('corners');
+        this.updateQueueBar();
+        
+        // Resetea la selección al filtro predeterminado (o al guardado de la página)
+        this.currentFilter = preset.filter || 'bw';
+        this.filterOptions.forEach(option => {
+            if (option.dataset.filter === this.currentFilter) {
+                option.classList.add('active');
+            } else {
+                option.classList.remove('active');
+            }
+        });
+        this.setAdjustments(preset.adjustments || {});
+        
+        // Detecta los bordes del documento una vez decodificada la imagen
+        const source = this.currentCapturedImage;
+        this.loadImage(source).then(img => {
+            if (this.currentCapturedImage !== source) return;
+            this.currentSourceImage = img;
+            
+            if (preset.corners !== undefined) {
+                // Reedición: restaura las esquinas con las que se recortó la página
+                this.currentCorners = preset.corners ? preset.corners.map(p => ({ ...p })) : this.getFullFrameCorners(img);
+                this.cornerHint.textContent = 'Arrastra las esquinas para ajustar los bordes del documento';
+                this.renderCornerHandles();
+            } else {
+                this.detectCurrentCorners();
+            }
+        }).catch(error => {
+            if (this.currentCapturedImage !== source) return;
+            console.error('Error al abrir la imagen:', error);
+            
+            // En la importación se pasa a la siguiente imagen; si no, se cierra el editor vacío
+            if (this.queueCurrent) {
+                this.skipQueuedImage();
+            } else {
+                this.filterModal.hide();
+            }
+            alert('No se pudo abrir la imagen. Por favor intenta de nuevo.');
+        });
+        
+        this.filterModal.show();
+    }
+
+    /**
+     * Muestra una etapa del modal de filtros y oculta las demás
+     * @param {string} stage - Etapa a mostrar: 'corners', 'filter' o 'edit'
+     */
+    showFilterStage(stage) {
+        this.filterModalElement.querySelectorAll('[data-stage]').forEach(element => {
+            element.classList.toggle('d-none', element.dataset.stage !== stage);
+        });
+        
+        // Volver a capturar solo tiene sentido para fotos nuevas de la cámara
+        const isNewPhoto = this.currentImageSource === 'camera' && this.editingImageId === null && this.queueCurrent === null;
+        this.retakeBtn.classList.toggle('d-none', !isNewPhoto);
+        
+        const titles = {
+            corners: '<i class="fas fa-vector-square"></i> Ajustar Bordes del Documento',
+            filter: '<i class="fas fa-magic"></i> Aplicar Filtro de Escaneo',
+            edit: '<i class="fas fa-crop"></i> Recortar y Enderezar',
+            redact: '<i class="fas fa-user-secret"></i> Tachar Datos Sensibles'
+        };
+        this.filterModalTitle.innerHTML = titles[stage];
+        if (stage !== 'redact') {
+            this.redactionBase = null;
+        }
+        // El botón indica cuántas zonas se tacharán al aplicar
+        const count = this.currentRedactions.length;
+        this.redactBtn.innerHTML = `<i class="fas fa-user-secret"></i> Tachar Datos${count ? ` (${count})` : ''}`;
+    }
+
+    /**
+     * Detecta automáticamente las esquinas del documento en la imagen actual
+     * Si no encuentra un documento usa la imagen completa
+     */
+    detectCurrentCorners() {
+        const img = this.currentSourceImage;
+        if (!img) return;
+        
+        const corners = this.detectDocumentCorners(img);
+        if (corners) {
+            this.currentCorners = corners;
+            this.cornerHint.textContent = 'Documento detectado. Arrastra las esquinas para ajustar los bordes';
+        } else {
+            this.currentCorners = this.getFullFrameCorners(img);
+            this.cornerHint.textContent = 'No se detectó el documento. Arrastra las esquinas para marcar los bordes';
+        }
+        this.renderCornerHandles();
+    }
+
+    /**
+     * Ajusta las esquinas a la imagen completa (sin recorte)
+     */
+    resetCornersToFullFrame() {
+        if (!this.currentSourceImage) return;
+        
+        this.currentCorners = this.getFullFrameCorners(this.currentSourceImage);
+        this.renderCornerHandles();
+    }
+
+    /**
+     * Obtiene las esquinas que cubren la imagen completa
+     * @param {HTMLImageElement} img - Imagen de origen
+     * @returns {Array<{x: number, y: number}>} Esquinas [TL, TR, BR, BL]
+     */
+    getFullFrameCorners(img) {
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        return [
+            { x: 0, y: 0 },
+            { x: width, y: 0 },
+            { x: width, y: height },
+            { x: 0, y: height }
+        ];
+    }
+
+    /**
+     * Dibuja el polígono y posiciona los controles de las esquinas sobre la imagen
+     */
+    renderCornerHandles() {
+        const img = this.currentSourceImage;
+        if (!img || !this.currentCorners) return;
+        
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        
+        // El SVG usa coordenadas en píxeles de la imagen original
+        this.cornerOverlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.cornerPolygon.setAttribute('points', this.currentCorners.map(p => `${p.x},${p.y}`).join(' '));
+        
+        // Los controles se posicionan en porcentaje para seguir el tamaño mostrado
+        this.cornerHandles.forEach(handle => {
+            const corner = this.currentCorners[Number(handle.dataset.corner)];
+            handle.style.left = `${(corner.x / width) * 100}%`;
+            handle.style.top = `${(corner.y / height) * 100}%`;
+        });
+    }
+
+    /**
+     * Inicia el arrastre de una esquina (mouse o táctil)
+     * @param {PointerEvent} e - Evento pointerdown
+     * @param {HTMLElement} handle - Control de la esquina
+     */
+    startCornerDrag(e, handle) {
+        if (!this.currentCorners) return;
+        e.preventDefault();
+        
+        const index = Number(handle.dataset.corner);
+        const img = this.currentSourceImage;
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        
+        handle.setPointerCapture(e.pointerId);
+        handle.classList.add('dragging');
+        
+        const onMove = (event) => {
+            const rect = this.cornerImage.getBoundingClientRect();
+            const ratioX = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+            const ratioY = Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height));
+            
+            this.currentCorners[index] = { x: ratioX * width, y: ratioY * height };
+            this.renderCornerHandles();
+        };
+        
+        const onEnd = () => {
+            handle.classList.remove('dragging');
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+        };
+        
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Corrige la perspectiva con las esquinas actuales y pasa a la etapa de filtros
+     * La vista previa trabaja sobre una copia reducida; la imagen completa se procesa al aplicar
+     */
+    async confirmCorners() {
+        const img = this.currentSourceImage;
+        if (!img || !this.currentCorners) return;
+        
+        const source = this.currentCapturedImage;
+        const originalText = this.cornersNextBtn.innerHTML;
+        this.cornersNextBtn.disabled = true;
+        this.cornersNextBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Procesando...';
+        
+        try {
+            const proxy = await this.runImageTask('processImage', {
+                image: source,
+                filterType: 'original',
+                corners: this.getWarpCorners(),
+                maxSize: 1200
+            });
+            if (this.currentCapturedImage !== source) return;
+            
+            this.currentWarpedImage = proxy.dataUrl;
+            this.filterPreview.src = this.currentWarpedImage;
+            this.showFilterStage('filter');
+            this.updateFilterPreview();
+        } catch (error) {
+            console.error('Error corrigiendo la perspectiva:', error);
+            alert('No se pudo procesar la imagen. Por favor intenta de nuevo.');
+        } finally {
+            this.cornersNextBtn.disabled = false;
+            this.cornersNextBtn.innerHTML = originalText;
+        }
+    }
+
+    /**
+     * Obtiene las esquinas con las que hay que recortar la imagen actual
+     * @returns {Array<{x: number, y: number}>|null} Esquinas, o null si abarcan la imagen completa
+     */
+    getWarpCorners() {
+        const fullFrame = this.getFullFrameCorners(this.currentSourceImage);
+        const isFullFrame = this.currentCorners.every((p, i) =>
+            Math.abs(p.x - fullFrame[i].x) < 1 && Math.abs(p.y - fullFrame[i].y) < 1
+        );
+        return isFullFrame ? null : this.currentCorners;
+    }
+
+    /**
+     * Crea la transformación del editor de recorte (sin cambios, o a partir de una guardada)
+     * @param {Object|null} [saved] - Transformación guardada de la página
+     * @returns {{angle: number, flipH: boolean, flipV: boolean, crop: Object}} Transformación editable
+     */
+    getDefaultTransform(saved = null) {
+        return {
+            angle: saved ? saved.angle : 0,
+            flipH: saved ? saved.flipH : false,
+            flipV: saved ? saved.flipV : false,
+            crop: saved && saved.crop ? { ...saved.crop } : { x: 0, y: 0, width: 1, height: 1 }
+        };
+    }
+
+    /**
+     * Obtiene la transformación a aplicar después de corregir la perspectiva
+     * @returns {Object|null} Transformación (ver ImageProcessing.transformCanvas) o null si no hay cambios
+     */
+    getTransform() {
+        const { angle, flipH, flipV, crop } = this.currentTransform;
+        const isFullCrop = crop.x < 0.001 && crop.y < 0.001 && crop.width > 0.999 && crop.height > 0.999;
+        if (!angle && !flipH && !flipV && isFullCrop) return null;
+        
+        return {
+            angle: angle,
+            flipH: flipH,
+            flipV: flipV,
+            crop: isFullCrop ? null : { ...crop }
+        };
+    }
+
+    /**
+     * Pide confirmación antes de cambiar los bordes o el recorte, porque las zonas tachadas dejarían de coincidir
+     * @returns {boolean} true si se puede continuar (las zonas tachadas se descartan)
+     */
+    confirmGeometryChange() {
+        if (this.currentRedactions.length === 0) return true;
+        if (!confirm('Cambiar los bordes o el recorte borra las zonas tachadas. ¿Continuar?')) return false;
+        
+        this.currentRedactions = [];
+        this.selectedRedaction = null;
+        return true;
+    }
+
+    /**
+     * Pasa a la etapa de tachado sobre la vista previa con el filtro y el recorte actuales
+     * La base se genera sin las zonas para poder moverlas o quitarlas
+     */
+    async openRedactStage() {
+        try {
+            const preview = await this.runImageTask('processImage', {
+                image: this.currentWarpedImage || this.currentCapturedImage,
+                filterType: this.currentFilter,
+                adjustments: this.currentAdjustments,
+                transform: this.getTransform(),
+                maxSize: 1200
+            });
+            this.redactionBase = await this.loadImage(preview.dataUrl);
+        } catch (error) {
+            console.error('Error preparando el tachado:', error);
+            alert('No se pudo procesar la imagen. Por favor intenta de nuevo.');
+            return;
+        }
+        
+        this.redactCanvas.width = this.redactionBase.naturalWidth;
+        this.redactCanvas.height = this.redactionBase.naturalHeight;
+        this.selectedRedaction = null;
+        this.redactHint.textContent = 'Arrastra sobre la página para tapar los datos que no deben verse';
+        
+        this.showFilterStage('redact');
+        this.renderRedactions();
+    }
+
+    /**
+     * Dibuja la vista previa con las zonas tachadas; la seleccionada se marca con un borde rojo
+     * Las zonas se muestran semitransparentes para ver qué tapan; en la página quedan negras
+     */
+    renderRedactions() {
+        this.removeRedactionBtn.disabled = !this.selectedRedaction;
+        this.clearRedactionsBtn.disabled = this.currentRedactions.length === 0;
+        if (!this.redactionBase) return;
+        
+        const ctx = this.redactCanvas.getContext('2d');
+        const { width, height } = this.redactCanvas;
+        ctx.drawImage(this.redactionBase, 0, 0, width, height);
+        
+        const lineWidth = Math.max(2, Math.round(Math.max(width, height) / 300));
+        for (const box of this.currentRedactions) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillRect(box.x * width, box.y * height, box.width * width, box.height * height);
+            if (box === this.selectedRedaction) {
+                ctx.save();
+                ctx.strokeStyle = '#dc3545';
+                ctx.lineWidth = lineWidth;
+                ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+                ctx.strokeRect(box.x * width, box.y * height, box.width * width, box.height * height);
+                ctx.restore();
+            }
+        }
+    }
+
+    /**
+     * Convierte la posición del puntero en proporciones del canvas de tachado (0 a 1)
+     * @param {PointerEvent} e - Evento del puntero
+     * @returns {{x: number, y: number}} Punto dentro de la página
+     */
+    getRedactionPointer(e) {
+        const rect = this.redactCanvas.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - rect.left) / (rect.width || 1))),
+            y: Math.min(1, Math.max(0, (e.clientY - rect.top) / (rect.height || 1)))
+        };
+    }
+
+    /**
+     * Atiende un toque sobre la página: sobre una zona la selecciona y la mueve; fuera dibuja una nueva
+     * @param {PointerEvent} e - Evento pointerdown sobre el canvas de tachado
+     */
+    startRedactionDrag(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        
+        const start = this.getRedactionPointer(e);
+        let box = null;
+        for (let i = this.currentRedactions.length - 1; i >= 0 && !box; i--) {
+            const other = this.currentRedactions[i];
+            if (start.x >= other.x && start.x <= other.x + other.width &&
+                start.y >= other.y && start.y <= other.y + other.height) {
+                box = other;
+            }
+        }
+        const mode = box ? 'move' : 'draw';
+        if (!box) {
+            box = { x: start.x, y: start.y, width: 0, height: 0 };
+            this.currentRedactions.push(box);
+        }
+        
+        this.selectedRedaction = box;
+        this.renderRedactions();
+        
+        const original = { ...box };
+        this.redactCanvas.setPointerCapture(e.pointerId);
+        
+        const onMove = (event) => {
+            const point = this.getRedactionPointer(event);
+            if (mode === 'move') {
+                box.x = Math.min(1 - original.width, Math.max(0, original.x + point.x - start.x));
+                box.y = Math.min(1 - original.height, Math.max(0, original.y + point.y - start.y));
+            } else {
+                box.x = Math.min(start.x, point.x);
+                box.y = Math.min(start.y, point.y);
+                box.width = Math.abs(point.x - start.x);
+                box.height = Math.abs(point.y - start.y);
+            }
+            this.renderRedactions();
+        };
+        
+        const onEnd = () => {
+            this.redactCanvas.removeEventListener('pointermove', onMove);
+            this.redactCanvas.removeEventListener('pointerup', onEnd);
+            this.redactCanvas.removeEventListener('pointercancel', onEnd);
+            
+            // Un toque sin arrastrar no deja zonas vacías
+            if (mode === 'draw' && Math.min(box.width, box.height) < 0.01) {
+                this.currentRedactions = this.currentRedactions.filter(other => other !== box);
+                this.selectedRedaction = null;
+                this.renderRedactions();
+            }
+        };
+        
+        this.redactCanvas.addEventListener('pointermove', onMove);
+        this.redactCanvas.addEventListener('pointerup', onEnd);
+        this.redactCanvas.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Quita la zona tachada seleccionada
+     */
+    removeSelectedRedaction() {
+        if (!this.selectedRedaction) return;
+        this.currentRedactions = this.currentRedactions.filter(box => box !== this.selectedRedaction);
+        this.selectedRedaction = null;
+        this.renderRedactions();
+    }
+
+    /**
+     * Propone zonas a tachar sobre las secuencias largas de dígitos que encuentra el OCR
+     * (documentos de identidad, cuentas, tarjetas, teléfonos). Las zonas propuestas se revisan antes de aplicar
+     */
+    async suggestRedactions() {
+        const originalText = this.suggestRedactionsBtn.innerHTML;
+        this.suggestRedactionsBtn.disabled = true;
+        this.suggestRedactionsBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Buscando...';
+        
+        let worker = null;
+        try {
+            try {
+                worker = await this.createOcrWorker(this.ocrLanguage);
+            } catch (error) {
+                console.error('Error cargando el OCR:', error);
+                alert('El reconocimiento de texto no está disponible. Marca las zonas a mano.');
+                return;
+            }
+            
+            // Se reconoce la imagen completa (no la vista previa reducida) para leer bien los números pequeños
+            const page = await this.runImageTask('processImage', {
+                image: this.currentCapturedImage,
+                filterType: this.currentFilter,
+                adjustments: this.currentAdjustments,
+                corners: this.getWarpCorners(),
+                transform: this.getTransform(),
+                maxSize: 2400
+            });
+            const { data } = await worker.recognize(page.dataUrl);
+            
+            const found = this.findDigitRuns(data.lines || [], page.width, page.height);
+            // No se repiten zonas que ya están tachadas
+            const added = found.filter(box => !this.currentRedactions.some(other =>
+                box.x >= other.x - 0.005 && box.y >= other.y - 0.005 &&
+                box.x + box.width <= other.x + other.width + 0.005 &&
+                box.y + box.height <= other.y + other.height + 0.005
+            ));
+            this.currentRedactions.push(...added);
+            this.selectedRedaction = null;
+            this.redactHint.textContent = added.length
+                ? `${added.length === 1 ? 'Se marcó 1 zona' : `Se marcaron ${added.length} zonas`} con números. Revisa que tapen todo lo necesario`
+                : 'No se encontraron números largos. Marca las zonas a mano';
+            this.renderRedactions();
+        } catch (error) {
+            console.error('Error buscando datos sensibles:', error);
+            alert('No se pudo analizar la imagen. Marca las zonas a mano.');
+        } finally {
+            if (worker) await worker.terminate();
+            this.suggestRedactionsBtn.disabled = false;
+            this.suggestRedactionsBtn.innerHTML = originalText;
+        }
+    }
+
+    /**
+     * Busca en las líneas reconocidas secuencias de al menos 6 dígitos
+     * Las palabras seguidas que son sobre todo dígitos se unen ('1234 5678 9012', '12.345.678-K')
+     * @param {Object[]} lines - Líneas de Tesseract con sus palabras y cajas en píxeles
+     * @param {number} width - Ancho de la imagen reconocida
+     * @param {number} height - Alto de la imagen reconocida
+     * @returns {Array<{x: number, y: number, width: number, height: number}>} Zonas de 0 a 1 con un pequeño margen
+     */
+    findDigitRuns(lines, width, height) {
+        const minDigits = 6;
+        const boxes = [];
+        
+        for (const line of lines) {
+            let run = [];
+            const flush = () => {
+                const digits = run.reduce((sum, word) => sum + (word.text.match(/\d/g) || []).length, 0);
+                if (digits >= minDigits) {
+                    const x0 = Math.min(...run.map(word => word.bbox.x0));
+                    const y0 = Math.min(...run.map(word => word.bbox.y0));
+                    const x1 = Math.max(...run.map(word => word.bbox.x1));
+                    const y1 = Math.max(...run.map(word => word.bbox.y1));
+                    const margin = (y1 - y0) * 0.25;
+                    const left = Math.max(0, x0 - margin);
+                    const top = Math.max(0, y0 - margin);
+                    boxes.push({
+                        x: left / width,
+                        y: top / height,
+                        width: (Math.min(width, x1 + margin) - left) / width,
+                        height: (Math.min(height, y1 + margin) - top) / height
+                    });
+                }
+                run = [];
+            };
+            
+            for (const word of line.words || []) {
+                const text = word.text.trim();
+                const digits = (text.match(/\d/g) || []).length;
+                if (digits > 0 && digits * 2 >= text.length) {
+                    run.push(word);
+                } else {
+                    flush();
+                }
+            }
+            flush();
+        }
+        return boxes;
+    }
+
+    /**
+     * Pasa a la etapa de recorte con la imagen ya corregida en perspectiva
+     */
+    openEditStage() {
+        if (!this.currentWarpedImage) return;
+        
+        this.cropImage.src = this.currentWarpedImage;
+        this.editHint.textContent = 'Arrastra el marco para recortar y usa el control de rotación para enderezar';
+        this.renderEditView();
+        this.showFilterStage('edit');
+    }
+
+    /**
+     * Refleja la transformación actual en el editor de recorte
+     * La rotación y el volteo se muestran con CSS sobre la copia reducida; el marco usa porcentajes
+     */
+    renderEditView() {
+        const { angle, flipH, flipV, crop } = this.currentTransform;
+        
+        this.cropImage.style.transform = `rotate(${angle}deg) scale(${flipH ? -1 : 1}, ${flipV ? -1 : 1})`;
+        this.cropBox.style.left = `${crop.x * 100}%`;
+        this.cropBox.style.top = `${crop.y * 100}%`;
+        this.cropBox.style.width = `${crop.width * 100}%`;
+        this.cropBox.style.height = `${crop.height * 100}%`;
+        
+        this.rotationAngleInput.value = angle;
+        this.rotationValue.textContent = `${angle.toFixed(1)}°`;
+        this.flipHorizontalBtn.classList.toggle('active', flipH);
+        this.flipVerticalBtn.classList.toggle('active', flipV);
+    }
+
+    /**
+     * Obtiene la proporción ancho/alto en píxeles que debe mantener el marco de recorte
+     * Las proporciones de papel se orientan igual que el marco actual
+     * @returns {number|null} Proporción, o null para recorte libre
+     */
+    getCropAspect() {
+        const value = this.cropRatioSelect.value;
+        const width = this.cropImage.naturalWidth;
+        const height = this.cropImage.naturalHeight;
+        if (!value || !width || !height) return null;
+        if (value === 'original') return width / height;
+        
+        const ratio = parseFloat(value);
+        const crop = this.currentTransform.crop;
+        const isPortrait = crop.height * height >= crop.width * width;
+        return isPortrait ? ratio : 1 / ratio;
+    }
+
+    /**
+     * Ajusta el marco de recorte a la proporción elegida, centrado dentro del marco actual
+     */
+    fitCropToRatio() {
+        const aspect = this.getCropAspect();
+        if (!aspect) return;
+        
+        const width = this.cropImage.naturalWidth;
+        const height = this.cropImage.naturalHeight;
+        const crop = this.currentTransform.crop;
+        let cropWidth = crop.width * width;
+        let cropHeight = crop.height * height;
+        if (cropWidth / cropHeight > aspect) {
+            cropWidth = cropHeight * aspect;
+        } else {
+            cropHeight = cropWidth / aspect;
+        }
+        
+        const centerX = crop.x + crop.width / 2;
+        const centerY = crop.y + crop.height / 2;
+        crop.width = cropWidth / width;
+        crop.height = cropHeight / height;
+        crop.x = centerX - crop.width / 2;
+        crop.y = centerY - crop.height / 2;
+    }
+
+    /**
+     * Inicia el arrastre del marco de recorte (mouse o táctil)
+     * Desde una esquina cambia el tamaño con la esquina opuesta fija; desde el interior lo mueve
+     * @param {PointerEvent} e - Evento pointerdown
+     */
+    startCropDrag(e) {
+        e.preventDefault();
+        
+        const mode = e.target.dataset.handle || 'move';
+        const crop = this.currentTransform.crop;
+        const start = { ...crop };
+        const bounds = this.cropImage.getBoundingClientRect();
+        const startX = (e.clientX - bounds.left) / bounds.width;
+        const startY = (e.clientY - bounds.top) / bounds.height;
+        // Esquina opuesta a la que se arrastra
+        const anchorX = mode.includes('w') ? start.x + start.width : start.x;
+        const anchorY = mode.includes('n') ? start.y + start.height : start.y;
+        const minSize = 0.05;
+        
+        this.cropBox.setPointerCapture(e.pointerId);
+        
+        const onMove = (event) => {
+            const rect = this.cropImage.getBoundingClientRect();
+            const pointerX = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+            const pointerY = Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height));
+            
+            if (mode === 'move') {
+                crop.x = Math.min(1 - start.width, Math.max(0, start.x + pointerX - startX));
+                crop.y = Math.min(1 - start.height, Math.max(0, start.y + pointerY - startY));
+            } else {
+                // El marco crece desde la esquina opuesta y no sale de la imagen
+                const maxWidth = mode.includes('w') ? anchorX : 1 - anchorX;
+                const maxHeight = mode.includes('n') ? anchorY : 1 - anchorY;
+                let width = Math.min(maxWidth, Math.max(minSize, Math.abs(pointerX - anchorX)));
+                let height = Math.min(maxHeight, Math.max(minSize, Math.abs(pointerY - anchorY)));
+                
+                const aspect = this.getCropAspect();
+                if (aspect) {
+                    // Se conserva la proporción en píxeles reduciendo el lado que sobra
+                    const imageRatio = this.cropImage.naturalWidth / this.cropImage.naturalHeight;
+                    if (width * imageRatio / height > aspect) {
+                        width = height * aspect / imageRatio;
+                    } else {
+                        height = width * imageRatio / aspect;
+                    }
+                }
+                
+                crop.width = width;
+                crop.height = height;
+                crop.x = mode.includes('w') ? anchorX - width : anchorX;
+                crop.y = mode.includes('n') ? anchorY - height : anchorY;
+            }
+            this.renderEditView();
+        };
+        
+        const onEnd = () => {
+            this.cropBox.removeEventListener('pointermove', onMove);
+            this.cropBox.removeEventListener('pointerup', onEnd);
+            this.cropBox.removeEventListener('pointercancel', onEnd);
+        };
+        
+        this.cropBox.addEventListener('pointermove', onMove);
+        this.cropBox.addEventListener('pointerup', onEnd);
+        this.cropBox.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Detecta la inclinación del texto y ajusta la rotación para enderezarlo
+     */
+    async autoDeskew() {
+        if (!this.currentWarpedImage || this.deskewBtn.disabled) return;
+        
+        const source = this.currentWarpedImage;
+        const originalText = this.deskewBtn.innerHTML;
+        this.deskewBtn.disabled = true;
+        this.deskewBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Detectando...';
+        
+        try {
+            const { angle } = await this.runImageTask('detectSkew', { image: source });
+            if (this.currentWarpedImage !== source) return;
+            
+            // Con la imagen volteada en un solo eje la inclinación se invierte
+            const { flipH, flipV } = this.currentTransform;
+            this.currentTransform.angle = flipH !== flipV ? -angle : angle;
+            this.editHint.textContent = angle === 0
+                ? 'No se detectó inclinación en el texto'
+                : `Imagen enderezada ${Math.abs(angle).toFixed(1)}°. Ajusta la rotación si hace falta`;
+            this.renderEditView();
+        } catch (error) {
+            console.error('Error detectando la inclinación:', error);
+            this.editHint.textContent = 'No se pudo detectar la inclinación. Ajusta la rotación a mano';
+        } finally {
+            this.deskewBtn.disabled = false;
+            this.deskewBtn.innerHTML = originalText;
+        }
+    }
+
+    /**
+     * Ejecuta una tarea de ImageProcessing en un worker, o en la página si no hay workers
+     * @param {string} type - Nombre de la tarea ('processImage' u 'optimizeImage')
+     * @param {Object} payload - Opciones de la tarea
+     * @param {AbortSignal} [signal] - Cancela la tarea si todavía está en espera
+     * @returns {Promise<Object>} Resultado de la tarea
+     */
+    async runImageTask(type, payload, signal) {
+        if (this.workerPool && !this.workerPool.failed) {
+            try {
+                return await this.workerPool.run(type, payload, signal);
+            } catch (error) {
+                // Si los workers no pudieron arrancar se sigue en el hilo principal
+                if (!this.workerPool.failed) throw error;
+                console.error('Workers no disponibles, se procesa en la página:', error);
+            }
+        }
+        return ImageProcessing[type](payload);
+    }
+
+    /**
+     * Detecta las cuatro esquinas de un documento dentro de una imagen
+     * Trabaja sobre una copia reducida: busca la región encerrada por bordes y,
+     * si no la encuentra, la región clara más grande (papel sobre fondo oscuro)
+     * @param {HTMLImageElement} img - Imagen de origen
+     * @returns {Array<{x: number, y: number}>|null} Esquinas [TL, TR, BR, BL] o null si no hay documento
+     */
+    detectDocumentCorners(img) {
+        const sourceWidth = img.naturalWidth || img.width;
+        const sourceHeight = img.naturalHeight || img.height;
+        
+        // Reduce a 400 px para que la detección sea rápida
+        const scale = Math.min(1, 400 / Math.max(sourceWidth, sourceHeight));
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
+        
+        // Escala de grises suavizada para reducir ruido y texto
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+        const blurred = this.boxBlur(gray, width, height, 2);
+        
+        let corners = null;
+        const edgeRegion = this.findEdgeEnclosedRegion(blurred, width, height);
+        if (edgeRegion) {
+            corners = this.maskToQuadrilateral(edgeRegion, width, height);
+        }
+        if (!corners) {
+            const brightRegion = this.findBrightRegion(blurred, width, height);
+            if (brightRegion) {
+                corners = this.maskToQuadrilateral(brightRegion, width, height);
+            }
+        }
+        if (!corners) return null;
+        
+        // Devuelve las esquinas en coordenadas de la imagen original
+        return corners.map(p => ({
+            x: Math.min(sourceWidth, Math.max(0, p.x / scale)),
+            y: Math.min(sourceHeight, Math.max(0, p.y / scale))
+        }));
+    }
+
+    /**
+     * Desenfoque de caja separable usando sumas acumuladas
+     * @param {Float32Array} values - Valores de intensidad
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @param {number} radius - Radio del desenfoque
+     * @returns {Float32Array} Valores desenfocados
+     */
+    boxBlur(values, width, height, radius) {
+        const temp = new Float32Array(values.length);
+        const result = new Float32Array(values.length);
+        
+        // Pasada horizontal
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                let count = 0;
+                for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                    sum += values[row + k];
+                    count++;
+                }
+                temp[row + x] = sum / count;
+            }
+        }
+        
+        // Pasada vertical
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                let sum = 0;
+                let count = 0;
+                for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                    sum += temp[k * width + x];
+                    count++;
+                }
+                result[y * width + x] = sum / count;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Busca la región encerrada por bordes fuertes (el contorno de la hoja)
+     * Rellena desde los bordes de la imagen todo lo que no es borde; lo que queda sin
+     * alcanzar es el interior del documento
+     * @param {Float32Array} gray - Escala de grises suavizada
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {Uint8Array|null} Máscara de la región o null si no es plausible
+     */
+    findEdgeEnclosedRegion(gray, width, height) {
+        // Magnitud del gradiente con Sobel
+        const magnitude = new Float32Array(width * height);
+        const histogram = new Uint32Array(256);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = -gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1]
+                    + gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1];
+                const gy = -gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1]
+                    + gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1];
+                magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+                histogram[Math.min(255, Math.round(magnitude[i] / 4))]++;
+            }
+        }
+        
+        // Umbral: el 10% de gradientes más fuertes, con un mínimo fijo
+        let accumulated = 0;
+        let percentile = 255;
+        const target = width * height * 0.9;
+        for (let k = 0; k < 256; k++) {
+            accumulated += histogram[k];
+            if (accumulated >= target) {
+                percentile = k * 4;
+                break;
+            }
+        }
+        const threshold = Math.max(40, percentile);
+        
+        // Bordes dilatados para cerrar pequeños huecos en el contorno
+        let edges = new Uint8Array(width * height);
+        for (let i = 0; i < magnitude.length; i++) {
+            edges[i] = magnitude[i] > threshold ? 1 : 0;
+        }
+        edges = this.dilateMask(this.dilateMask(edges, width, height), width, height);
+        
+        // Relleno desde el borde de la imagen por los píxeles que no son borde
+        const outside = new Uint8Array(width * height);
+        const stack = [];
+        const push = (x, y) => {
+            const i = y * width + x;
+            if (!outside[i] && !edges[i]) {
+                outside[i] = 1;
+                stack.push(i);
+            }
+        };
+        for (let x = 0; x < width; x++) {
+            push(x, 0);
+            push(x, height - 1);
+        }
+        for (let y = 0; y < height; y++) {
+            push(0, y);
+            push(width - 1, y);
+        }
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            if (x > 0) push(x - 1, y);
+            if (x < width - 1) push(x + 1, y);
+            if (y > 0) push(x, y - 1);
+            if (y < height - 1) push(x, y + 1);
+        }
+        
+        // El interior incluye la banda de bordes dilatados: se erosiona dilatando el exterior
+        let grown = outside;
+        for (let k = 0; k < 3; k++) {
+            grown = this.dilateMask(grown, width, height);
+        }
+        const inside = new Uint8Array(width * height);
+        for (let i = 0; i < inside.length; i++) {
+            inside[i] = grown[i] ? 0 : 1;
+        }
+        
+        return this.largestPlausibleComponent(inside, width, height);
+    }
+
+    /**
+     * Busca la región clara más grande usando el umbral de Otsu
+     * @param {Float32Array} gray - Escala de grises suavizada
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {Uint8Array|null} Máscara de la región o null si no es plausible
+     */
+    findBrightRegion(gray, width, height) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < gray.length; i++) {
+            histogram[Math.min(255, Math.round(gray[i]))]++;
+        }
+        
+        // Umbral de Otsu: maximiza la varianza entre clases
+        const total = gray.length;
+        let sumAll = 0;
+        for (let k = 0; k < 256; k++) sumAll += k * histogram[k];
+        
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let bestVariance = 0;
+        let threshold = 128;
+        for (let k = 0; k < 256; k++) {
+            weightBackground += histogram[k];
+            if (weightBackground === 0) continue;
+            const weightForeground = total - weightBackground;
+            if (weightForeground === 0) break;
+            
+            sumBackground += k * histogram[k];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sumAll - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = k;
+            }
+        }
+        
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = gray[i] > threshold ? 1 : 0;
+        }
+        
+        return this.largestPlausibleComponent(mask, width, height);
+    }
+
+    /**
+     * Dilata una máscara binaria con un vecindario de 3x3
+     * @param {Uint8Array} mask - Máscara binaria
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {Uint8Array} Máscara dilatada
+     */
+    dilateMask(mask, width, height) {
+        const result = new Uint8Array(mask.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) continue;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        result[ny * width + nx] = 1;
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Obtiene la componente conexa más grande de una máscara si su tamaño es
+     * plausible para un documento (entre el 15% y el 98% de la imagen)
+     * @param {Uint8Array} mask - Máscara binaria
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {Uint8Array|null} Máscara con solo la componente más grande
+     */
+    largestPlausibleComponent(mask, width, height) {
+        const labels = new Int32Array(width * height);
+        let bestLabel = 0;
+        let bestSize = 0;
+        let label = 0;
+        
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || labels[start]) continue;
+            
+            label++;
+            let size = 0;
+            const stack = [start];
+            labels[start] = label;
+            while (stack.length > 0) {
+                const i = stack.pop();
+                size++;
+                const x = i % width;
+                const neighbors = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i - width,
+                    i + width
+                ];
+                for (const n of neighbors) {
+                    if (n >= 0 && n < mask.length && mask[n] && !labels[n]) {
+                        labels[n] = label;
+                        stack.push(n);
+                    }
+                }
+            }
+            
+            if (size > bestSize) {
+                bestSize = size;
+                bestLabel = label;
+            }
+        }
+        
+        const ratio = bestSize / (width * height);
+        if (ratio < 0.15 || ratio > 0.98) return null;
+        
+        const result = new Uint8Array(width * height);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = labels[i] === bestLabel ? 1 : 0;
+        }
+        return result;
+    }
+
+    /**
+     * Aproxima una región por un cuadrilátero usando su envolvente convexa
+     * @param {Uint8Array} mask - Máscara de la región
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     * @returns {Array<{x: number, y: number}>|null} Esquinas [TL, TR, BR, BL]
+     */
+    maskToQuadrilateral(mask, width, height) {
+        // Extremos izquierdo y derecho de cada fila bastan para la envolvente
+        const points = [];
+        for (let y = 0; y < height; y++) {
+            let minX = -1;
+            let maxX = -1;
+            for (let x = 0; x < width; x++) {
+                if (mask[y * width + x]) {
+                    if (minX < 0) minX = x;
+                    maxX = x;
+                }
+            }
+            if (minX >= 0) {
+                // Cada píxel cubre de y a y + 1
+                points.push({ x: minX, y: y }, { x: minX, y: y + 1 });
+                points.push({ x: maxX + 1, y: y }, { x: maxX + 1, y: y + 1 });
+            }
+        }
+        if (points.length < 4) return null;
+        
+        const hull = this.convexHull(points);
+        if (hull.length < 4) return null;
+        
+        // Diagonal: los dos puntos más alejados de la envolvente
+        let a = 0;
+        let c = 0;
+        let maxDistance = -1;
+        for (let i = 0; i < hull.length; i++) {
+            for (let j = i + 1; j < hull.length; j++) {
+                const d = (hull[i].x - hull[j].x) ** 2 + (hull[i].y - hull[j].y) ** 2;
+                if (d > maxDistance) {
+                    maxDistance = d;
+                    a = i;
+                    c = j;
+                }
+            }
+        }
+        
+        // A cada lado de la diagonal, el punto más alejado de ella
+        const p1 = hull[a];
+        const p3 = hull[c];
+        let b = -1;
+        let d = -1;
+        let maxLeft = 0;
+        let maxRight = 0;
+        for (let i = 0; i < hull.length; i++) {
+            const cross = (p3.x - p1.x) * (hull[i].y - p1.y) - (p3.y - p1.y) * (hull[i].x - p1.x);
+            if (cross > maxLeft) {
+                maxLeft = cross;
+                b = i;
+            } else if (-cross > maxRight) {
+                maxRight = -cross;
+                d = i;
+            }
+        }
+        if (b < 0 || d < 0) return null;
+        
+        const quad = [p1, hull[b], p3, hull[d]];
+        
+        // Descarta cuadriláteros demasiado pequeños
+        const area = Math.abs(
+            quad.reduce((sum, p, i) => {
+                const q = quad[(i + 1) % 4];
+                return sum + (p.x * q.y - q.x * p.y);
+            }, 0)
+        ) / 2;
+        if (area < width * height * 0.15) return null;
+        
+        return this.orderCorners(quad);
+    }
+
+    /**
+     * Calcula la envolvente convexa con el algoritmo de la cadena monótona
+     * @param {Array<{x: number, y: number}>} points - Puntos
+     * @returns {Array<{x: number, y: number}>} Vértices de la envolvente
+     */
+    convexHull(points) {
+        const sorted = points.slice().sort((p, q) => p.x - q.x || p.y - q.y);
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+        
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+        
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Ordena cuatro puntos como [superior izquierda, superior derecha, inferior derecha, inferior izquierda]
+     * @param {Array<{x: number, y: number}>} points - Cuatro puntos
+     * @returns {Array<{x: number, y: number}>} Puntos ordenados
+     */
+    orderCorners(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / 4;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / 4;
+        
+        // Orden horario alrededor del centro (el eje Y crece hacia abajo)
+        const sorted = points.slice().sort((p, q) =>
+            Math.atan2(p.y - cy, p.x - cx) - Math.atan2(q.y - cy, q.x - cx)
+        );
+        
+        // Comienza por la esquina más cercana al origen
+        let start = 0;
+        for (let i = 1; i < 4; i++) {
+            if (sorted[i].x + sorted[i].y < sorted[start].x + sorted[start].y) start = i;
+        }
+        return sorted.slice(start).concat(sorted.slice(0, start));
+    }
+
+    /**
+     * Selecciona un filtro y actualiza la vista previa
+     */
+    selectFilter(selectedOption) {
+        // Actualiza la UI de opciones
+        this.filterOptions.forEach(option => {
+            option.classList.remove('active');
+        });
+        selectedOption.classList.add('active');
+        
+        // Guarda el filtro seleccionado
+        this.currentFilter = selectedOption.dataset.filter;
+        this.updateAdjustmentControls();
+        
+        // Actualiza la vista previa
+        this.updateFilterPreview();
+    }
+
+    /**
+     * Cambia el valor de un ajuste desde su control deslizante
+     * La vista previa espera a que el usuario deje de mover el control
+     * @param {HTMLElement} control - Contenedor del ajuste
+     * @param {string} value - Valor del control
+     */
+    updateAdjustment(control, value) {
+        this.currentAdjustments[control.dataset.adjustment] = parseInt(value, 10);
+        control.querySelector('.adjustment-value').textContent = value;
+        
+        clearTimeout(this.adjustmentTimer);
+        this.adjustmentTimer = setTimeout(() => this.updateFilterPreview(), 150);
+    }
+
+    /**
+     * Establece los ajustes del filtro y actualiza los controles
+     * @param {Object} adjustments - Ajustes (los que falten valen 0)
+     */
+    setAdjustments(adjustments) {
+        this.currentAdjustments = { threshold: 0, brightness: 0, contrast: 0, sharpness: 0, ...adjustments };
+        this.adjustmentControls.forEach(control => {
+            const value = this.currentAdjustments[control.dataset.adjustment];
+            control.querySelector('input').value = value;
+            control.querySelector('.adjustment-value').textContent = value;
+        });
+        this.updateAdjustmentControls();
+    }
+
+    /**
+     * Muestra el umbral solo en los filtros que binarizan la imagen
+     */
+    updateAdjustmentControls() {
+        this.adjustmentControls.forEach(control => {
+            if (control.dataset.adjustment === 'threshold') {
+                control.classList.toggle('d-none', !this.isBilevelFilter(this.currentFilter));
+            }
+        });
+    }
+
+    /**
+     * Actualiza la vista previa con el filtro seleccionado
+     * Se filtra la copia reducida, así cambiar de filtro es inmediato aun con fotos grandes
+     */
+    async updateFilterPreview() {
+        const request = ++this.previewRequest;
+        const source = this.currentWarpedImage || this.currentCapturedImage;
+        
+        try {
+            const preview = await this.runImageTask('processImage', {
+                image: source,
+                filterType: this.currentFilter,
+                adjustments: this.currentAdjustments,
+                transform: this.getTransform(),
+                redactions: this.currentRedactions,
+                maxSize: 1200
+            });
+            
+            // Solo se muestra la última vista previa pedida
+            if (request === this.previewRequest) {
+                this.filterPreview.src = preview.dataUrl;
+            }
+        } catch (error) {
+            console.error('Error generando la vista previa:', error);
+        }
+    }
+
+    /**
+     * Procesa una imagen completa sin intervención: corrige la perspectiva y aplica el filtro
+     * @param {Blob} blob - Imagen original
+     * @param {string} filterType - Tipo de filtro a aplicar
+     * @param {Array<{x: number, y: number}>|string|null} corners - Esquinas, 'auto' para detectarlas o null para no recortar
+     * @param {Object} [adjustments] - Ajustes del filtro
+     * @param {Object|null} [transform] - Recorte, rotación y volteo (ver getTransform)
+     * @param {Object[]} [redactions] - Zonas que se pintan de negro (ver ImageProcessing.processImage)
+     * @returns {Promise<{blob: Blob, thumbnail: Blob, width: number, height: number, corners: Array|null}>}
+     *          Imagen procesada, su miniatura y dimensiones, y esquinas usadas
+     */
+    async processImage(blob, filterType, corners, adjustments = {}, transform = null, redactions = []) {
+        // La detección trabaja sobre una copia pequeña, así que puede hacerse aquí
+        const usedCorners = corners === 'auto' ? this.detectDocumentCorners(await this.loadImage(blob)) : corners;
+        
+        // Sin cambios la página comparte el Blob de la original
+        if (!usedCorners && !transform && filterType === 'original' && ImageProcessing.isNeutralAdjustments(adjustments) && !redactions.length) {
+            return { ...await this.describeImage(blob), blob: blob, corners: null };
+        }
+        
+        const result = await this.runImageTask('processImage', {
+            image: blob,
+            filterType: filterType,
+            adjustments: adjustments,
+            corners: usedCorners,
+            transform: transform,
+            redactions: redactions,
+            thumbnailSize: this.thumbnailSize
+        });
+        return { ...result, corners: usedCorners };
+    }
+
+    /**
+     * Aplica el filtro seleccionado y agrega la imagen a la colección
+     */
+    async applyFilter() {
+        if (!this.currentCapturedImage || this.applyFilterBtn.disabled) return;
+        
+        // La vista previa es reducida: se procesa la imagen completa con las mismas esquinas, recorte y filtro
+        const source = this.currentCapturedImage;
+        const transform = this.getTransform();
+        const redactions = this.currentRedactions.slice();
+        const originalText = this.applyFilterBtn.innerHTML;
+        this.applyFilterBtn.disabled = true;
+        this.applyFilterBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Procesando...';
+        
+        let filteredImage;
+        try {
+            filteredImage = await this.processImage(source, this.currentFilter, this.getWarpCorners(), this.currentAdjustments, transform, redactions);
+        } catch (error) {
+            console.error('Error aplicando el filtro:', error);
+            alert('No se pudo procesar la imagen. Por favor intenta de nuevo.');
+            return;
+        } finally {
+            this.applyFilterBtn.disabled = false;
+            this.applyFilterBtn.innerHTML = originalText;
+        }
+        
+        // El modal se cerró mientras se procesaba
+        if (this.currentCapturedImage !== source) return;
+        
+        // Una página tachada no conserva la original: la imagen procesada pasa a ser el punto de partida
+        const redacted = redactions.length > 0;
+        
+        if (this.editingImageId !== null) {
+            // Reedición: actualiza la página existente conservando su posición y rotación
+            const image = this.images.find(img => img.id === this.editingImageId);
+            if (image) {
+                this.setPageImage(image, filteredImage.blob, filteredImage);
+                image.filter = this.currentFilter;
+                image.adjustments = { ...this.currentAdjustments };
+                image.corners = redacted ? null : this.currentCorners;
+                image.transform = redacted ? null : transform;
+                if (redacted) {
+                    image.originalBlob = null;
+                    image.redacted = true;
+                }
+            }
+            this.renderPreviews();
+            this.filterModal.hide();
+            return;
+        }
+        
+        // Determina si la imagen es de cámara o archivo
+        const isFromCamera = this.currentImageSource === 'camera';
+        
+        // Agrega a la colección con información del filtro; se conserva la original para reeditarla
+        const page = {
+            file: null,
+            originalBlob: redacted ? null : this.currentCapturedImage,
+            id: Date.now() + Math.random(),
+            isFromCamera: isFromCamera,
+            filter: this.currentFilter,
+            adjustments: { ...this.currentAdjustments },
+            corners: redacted ? null : this.currentCorners,
+            transform: redacted ? null : transform,
+            rotation: 0,
+            redacted: redacted
+        };
+        this.setPageImage(page, filteredImage.blob, filteredImage);
+        this.images.push(page);
+        
+        // Muestra feedback visual
+        this.showFilterSuccess();
+        
+        if (this.queueCurrent) {
+            // Continúa con la siguiente imagen de la cola sin cerrar el modal
+            this.finishQueueEntry();
+            return;
+        }
+        
+        this.renderPreviews();
+        this.filterModal.hide();
+        
+        // Resetea la fuente para la próxima imagen
+        this.currentImageSource = 'camera';
+    }
+
+    /**
+     * Muestra feedback visual de filtro aplicado exitosamente
+     */
+    showFilterSuccess() {
         const originalText = this.applyFilterBtn.innerHTML;
         this.applyFilterBtn.innerHTML = '<i class="fas fa-check"></i> ¡Aplicado!';
         this.applyFilterBtn.classList.add('btn-success');
         this.applyFilterBtn.classList.remove('btn-primary');
         
-        setTimeout(() => {
-            this.applyFilterBtn.innerHTML = originalText;
-            this.applyFilterBtn.classList.remove('btn-success');
-            this.applyFilterBtn.classList.add('btn-primary');
-        }, 1000);
+        setTimeout(() => {
+            this.applyFilterBtn.innerHTML = originalText;
+            this.applyFilterBtn.classList.remove('btn-success');
+            this.applyFilterBtn.classList.add('btn-primary');
+        }, 1000);
+    }
+
+    /**
+     * Vuelve a abrir la cámara para capturar otra foto
+     */
+    retakePhoto() {
+        this.filterModal.hide();
+        setTimeout(() => this.openCamera(), 300);
+    }
+
+    /**
+     * Maneja el evento dragover
+     */
+    handleDragOver(e) {
+        e.preventDefault();
+        this.uploadZone.classList.add('dragover');
+    }
+
+    /**
+     * Maneja el evento dragleave
+     */
+    handleDragLeave(e) {
+        e.preventDefault();
+        this.uploadZone.classList.remove('dragover');
+    }
+
+    /**
+     * Maneja el evento drop de archivos
+     */
+    handleDrop(e) {
+        e.preventDefault();
+        this.uploadZone.classList.remove('dragover');
+        const files = e.dataTransfer.files;
+        this.handleFiles(files);
+    }
+
+    /**
+     * Procesa los archivos cargados
+     * @param {FileList} files - Lista de archivos seleccionados
+     */
+    handleFiles(files) {
+        const accepted = [];
+        Array.from(files).forEach(file => {
+            const type = this.getImportType(file);
+            if (type) {
+                accepted.push({ file, type });
+            } else {
+                this.rejectFile(file.name, 'Formato no compatible: solo se aceptan imágenes, HEIC, TIFF y PDF');
+            }
+        });
+
+        if (accepted.length === 0) return;
+
+        // Cada archivo entra en la cola de importación y se decodifica en orden
+        const entries = accepted.map(() => this.createQueueEntry());
+        
+        let previous = Promise.resolve();
+        entries.forEach((entry, index) => {
+            const { file, type } = accepted[index];
+            previous = previous.then(() => this.addImage(file, type, entry));
+        });
+        
+        this.importQueue.push(...entries);
+        this.queueTotal += entries.length;
+        this.renderPreviews();
+    }
+
+    /**
+     * Determina cómo importar un archivo por su tipo MIME o su extensión
+     * (los HEIC y TIFF a menudo llegan sin tipo MIME)
+     * @param {File} file - Archivo seleccionado
+     * @returns {string|null} 'image', 'heic', 'tiff', 'pdf' o null si no es compatible
+     */
+    getImportType(file) {
+        const name = file.name.toLowerCase();
+        if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+        if (/^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/.test(name)) return 'heic';
+        if (file.type === 'image/tiff' || /\.tiff?$/.test(name)) return 'tiff';
+        if (file.type.startsWith('image/')) return 'image';
+        return null;
+    }
+
+    /**
+     * Crea una entrada de la cola de importación
+     * loaded se resuelve cuando la imagen está lista o falló
+     * @returns {Object} Entrada en estado 'loading'
+     */
+    createQueueEntry() {
+        const entry = {
+            id: Date.now() + Math.random(),
+            status: 'loading',
+            blob: null,
+            loaded: null,
+            markLoaded: null
+        };
+        entry.loaded = new Promise(resolve => {
+            entry.markLoaded = resolve;
+        });
+        return entry;
+    }
+
+    /**
+     * Lee y decodifica un archivo de la cola de importación
+     * Los PDF y TIFF de varias páginas agregan una entrada por página justo después de la suya
+     * @param {File} file - Archivo seleccionado
+     * @param {string} type - Tipo de importación (ver getImportType)
+     * @param {Object} entry - Entrada de la cola asociada al archivo
+     * @returns {Promise<void>} Se resuelve cuando todas las páginas están listas o fallaron
+     */
+    async addImage(file, type, entry) {
+        let source = null;
+        const pageEntries = [entry];
+        
+        try {
+            source = await this.openImportSource(file, type);
+            
+            if (source.pageCount > 1 && this.importQueue.includes(entry)) {
+                for (let i = 1; i < source.pageCount; i++) {
+                    pageEntries.push(this.createQueueEntry());
+                }
+                this.importQueue.splice(this.importQueue.indexOf(entry) + 1, 0, ...pageEntries.slice(1));
+                this.queueTotal += pageEntries.length - 1;
+            }
+        } catch (error) {
+            this.failQueueEntry(entry, file.name, error);
+            pageEntries.length = 0;
+            entry.markLoaded();
+            this.continueImport();
+        }
+        
+        for (let i = 0; i < pageEntries.length; i++) {
+            const pageEntry = pageEntries[i];
+            pageEntry.name = pageEntries.length > 1 ? `${file.name} (página ${i + 1})` : file.name;
+            
+            // Si la importación fue cancelada no se decodifican las páginas restantes
+            if (this.importQueue.includes(pageEntry)) {
+                try {
+                    // La miniatura confirma además que el navegador puede decodificar la imagen
+                    const blob = await source.renderPage(i);
+                    this.setPageImage(pageEntry, blob, await this.describeImage(blob));
+                    pageEntry.source = type === 'pdf' ? 'pdf' : 'file';
+                    pageEntry.status = 'ready';
+                } catch (error) {
+                    this.failQueueEntry(pageEntry, pageEntry.name, error);
+                }
+            }
+            pageEntry.markLoaded();
+            this.continueImport();
+        }
+        
+        if (source && source.close) {
+            source.close();
+        }
+    }
+
+    /**
+     * Actualiza la vista y abre la siguiente imagen lista de la cola
+     */
+    continueImport() {
+        // Si la importación fue cancelada ya no hay nada que actualizar
+        if (this.queueTotal > 0) {
+            this.renderPreviews();
+            this.reviewNextInQueue();
+        }
+    }
+
+    /**
+     * Marca una entrada de la cola como fallida y la agrega al informe de rechazados
+     * @param {Object} entry - Entrada de la cola
+     * @param {string} name - Nombre que se muestra en el informe
+     * @param {Error} error - Motivo del fallo
+     */
+    failQueueEntry(entry, name, error) {
+        console.error(`No se pudo leer ${name}:`, error);
+        entry.status = 'error';
+        this.queueFailed++;
+        this.removeQueueEntry(entry);
+        
+        let reason = error.userMessage || 'El archivo está dañado o el navegador no puede leerlo';
+        if (error.name === 'PasswordException') {
+            reason = 'El PDF está protegido con contraseña';
+        }
+        this.rejectFile(name, reason);
+    }
+
+    /**
+     * Abre un archivo para importarlo página por página
+     * @param {File} file - Archivo seleccionado
+     * @param {string} type - Tipo de importación (ver getImportType)
+     * @returns {Promise<{pageCount: number, renderPage: Function, close: Function|undefined}>}
+     *          Número de páginas y función que devuelve el Blob de cada página
+     */
+    async openImportSource(file, type) {
+        if (type === 'pdf') return this.openPdf(file);
+        if (type === 'tiff') return this.openTiff(file);
+        
+        return {
+            pageCount: 1,
+            renderPage: async () => {
+                // El archivo ya es un Blob: no se copia a memoria hasta decodificarlo
+                if (type !== 'heic') return file;
+                try {
+                    // Verifica que el navegador pueda decodificar la imagen (Safari lee HEIC)
+                    await this.loadImage(file);
+                    return file;
+                } catch (error) {
+                    // Se convierte a JPEG
+                }
+                
+                const heic2any = await this.loadImportLibrary('heic2any', [this.importAssets.heic], 'HEIC');
+                const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.95 });
+                // Los HEIC con varias imágenes (ráfagas) devuelven una lista: se usa la principal
+                return Array.isArray(result) ? result[0] : result;
+            }
+        };
+    }
+
+    /**
+     * Carga una biblioteca de importación desde vendor/
+     * @param {string} globalName - Variable global que define la biblioteca
+     * @param {string[]} scripts - Scripts a cargar, en orden
+     * @param {string} label - Formato que lee (para el mensaje de error)
+     * @returns {Promise<*>} Biblioteca cargada
+     */
+    async loadImportLibrary(globalName, scripts, label) {
+        if (!window[globalName]) {
+            try {
+                for (const src of scripts) {
+                    await this.loadScript(src);
+                }
+            } catch (error) {
+                const failure = new Error(`No se pudo cargar el lector de ${label}`);
+                failure.userMessage = `No se pudo cargar el lector de archivos ${label} de la aplicación`;
+                throw failure;
+            }
+        }
+        return window[globalName];
+    }
+
+    /**
+     * Abre un PDF con pdf.js; cada página se dibuja a 200 ppp como imagen
+     * @param {File} file - Archivo PDF
+     * @returns {Promise<Object>} Fuente de páginas (ver openImportSource)
+     */
+    async openPdf(file) {
+        const pdfjsLib = await this.loadImportLibrary('pdfjsLib', [this.importAssets.pdf], 'PDF');
+        pdfjsLib.GlobalWorkerOptions.workerSrc = this.importAssets.pdfWorker;
+        
+        const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        return {
+            pageCount: pdf.numPages,
+            renderPage: async (index) => {
+                const page = await pdf.getPage(index + 1);
+                
+                // 200 ppp, sin pasar de 3000 píxeles en el lado mayor
+                const size = page.getViewport({ scale: 1 });
+                const scale = Math.min(200 / 72, 3000 / Math.max(size.width, size.height));
+                const viewport = page.getViewport({ scale: scale });
+                
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(viewport.width);
+                canvas.height = Math.round(viewport.height);
+                const ctx = canvas.getContext('2d');
+                // Las páginas sin fondo quedan sobre papel blanco
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                
+                await page.render({ canvasContext: ctx, viewport: viewport }).promise;
+                page.cleanup();
+                return ImageProcessing.canvasToBlob(canvas, 'image/jpeg', 0.92);
+            },
+            close: () => pdf.destroy()
+        };
+    }
+
+    /**
+     * Abre un TIFF con UTIF; cada imagen del archivo es una página
+     * @param {File} file - Archivo TIFF
+     * @returns {Promise<Object>} Fuente de páginas (ver openImportSource)
+     */
+    async openTiff(file) {
+        // pako descomprime los TIFF con compresión Deflate
+        const UTIF = await this.loadImportLibrary('UTIF', [this.importAssets.pako, this.importAssets.tiff], 'TIFF');
+        const buffer = await file.arrayBuffer();
+        
+        // Se omiten las miniaturas (NewSubfileType con el bit de resolución reducida)
+        const pages = UTIF.decode(buffer).filter(ifd => !(ifd.t254 && ifd.t254[0] & 1));
+        if (pages.length === 0) {
+            throw new Error('El TIFF no contiene imágenes');
+        }
+        
+        return {
+            pageCount: pages.length,
+            renderPage: async (index) => {
+                const ifd = pages[index];
+                UTIF.decodeImage(buffer, ifd);
+                const rgba = UTIF.toRGBA8(ifd);
+                
+                const canvas = document.createElement('canvas');
+                canvas.width = ifd.width;
+                canvas.height = ifd.height;
+                const ctx = canvas.getContext('2d');
+                const imageData = ctx.createImageData(ifd.width, ifd.height);
+                imageData.data.set(rgba);
+                ctx.putImageData(imageData, 0, 0);
+                
+                // Libera los píxeles decodificados antes de pasar a la siguiente página
+                ifd.data = null;
+                return ImageProcessing.canvasToBlob(canvas, 'image/jpeg', 0.95);
+            }
+        };
+    }
+
+    /**
+     * Agrega un archivo al informe de archivos rechazados
+     * @param {string} name - Nombre del archivo (y página, si corresponde)
+     * @param {string} reason - Motivo del rechazo
+     */
+    rejectFile(name, reason) {
+        this.rejectedFiles.push({ name, reason });
+        this.renderImportReport();
+    }
+
+    /**
+     * Muestra u oculta el informe de archivos rechazados
+     */
+    renderImportReport() {
+        const count = this.rejectedFiles.length;
+        this.importReport.classList.toggle('d-none', count === 0);
+        this.importReportTitle.textContent = count === 1
+            ? 'Un archivo no se pudo agregar'
+            : `${count} archivos no se pudieron agregar`;
+        
+        this.importReportList.innerHTML = '';
+        this.rejectedFiles.forEach(({ name, reason }) => {
+            const item = document.createElement('li');
+            const strong = document.createElement('strong');
+            strong.textContent = name;
+            item.append(strong, `: ${reason}`);
+            this.importReportList.appendChild(item);
+        });
+    }
+
+    /**
+     * Lee un archivo como data URL
+     * @param {File} file - Archivo a leer
+     * @returns {Promise<string>} Data URL del archivo
+     */
+    readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Abre en el modal de filtros la siguiente imagen de la cola si ya está decodificada
+     * Las imágenes se revisan en el orden en que fueron seleccionadas
+     */
+    reviewNextInQueue() {
+        if (this.queueCurrent || this.isBatchProcessing || this.editingImageId !== null) return;
+        if (this.finishingCaptureSession) return;
+        
+        const next = this.importQueue[0];
+        if (!next) {
+            if (this.queueTotal > 0) {
+                this.resetImportQueue();
+                this.filterModal.hide();
+            }
+            return;
+        }
+        if (next.status !== 'ready') return;
+        
+        this.queueCurrent = next;
+        this.currentCapturedImage = next.blob;
+        this.currentImageSource = next.source === 'camera' ? 'camera' : 'file';
+        // Las páginas de un PDF ya son planas: se abren sin recorte
+        this.openFilterModal(next.source === 'pdf' ? { corners: null } : {});
+        this.renderPreviews();
+    }
+
+    /**
+     * Termina la revisión de la entrada actual y avanza a la siguiente
+     */
+    finishQueueEntry() {
+        const entry = this.queueCurrent;
+        this.queueCurrent = null;
+        this.queueDone++;
+        this.removeQueueEntry(entry);
+        
+        if (this.importQueue.length > 0 && this.importQueue[0].status !== 'ready') {
+            // La siguiente imagen aún se está leyendo: espera dentro del modal
+            this.currentSourceImage = null;
+            this.setCornerImage(null);
+            this.cornerHint.textContent = 'Cargando la siguiente imagen...';
+            this.showFilterStage('corners');
+            this.updateQueueBar();
+        }
+        
+        this.renderPreviews();
+        this.reviewNextInQueue();
+    }
+
+    /**
+     * Omite la imagen actual de la cola sin agregarla
+     */
+    skipQueuedImage() {
+        if (!this.queueCurrent) return;
+        this.finishQueueEntry();
+    }
+
+    /**
+     * Procesa sin revisión la imagen actual y todas las pendientes de la cola
+     * @param {string} filterType - Filtro a aplicar ('original' las agrega sin filtro ni recorte)
+     * @param {Object} [adjustments] - Ajustes del filtro
+     */
+    async processRemainingQueue(filterType, adjustments = {}) {
+        if (!this.queueCurrent || this.isBatchProcessing) return;
+        
+        // La imagen en revisión conserva las esquinas ajustadas a mano
+        const current = this.queueCurrent;
+        const currentCorners = this.currentCorners;
+        const currentTransform = this.getTransform();
+        
+        this.isBatchProcessing = true;
+        this.queueCurrent = null;
+        this.filterModal.hide();
+        
+        this.renderPreviews();
+        
+        // La cola puede crecer mientras se procesa (páginas de un PDF o TIFF aún decodificándose)
+        // Dentro del bucle solo avanza la barra: el grid se repinta una vez por página terminada
+        let done = 0;
+        while (this.importQueue.length > 0) {
+            const entry = this.importQueue[0];
+            const total = done + this.importQueue.length;
+            
+            if (entry.status === 'ready') entry.status = 'processing';
+            this.updateImportProgress(`Procesando ${done + 1} de ${total}...`, done / total);
+            
+            await entry.loaded;
+            if (entry.status === 'error' || !this.importQueue.includes(entry)) {
+                this.removeQueueEntry(entry);
+                continue;
+            }
+            entry.status = 'processing';
+            
+            try {
+                let corners = null;
+                if (filterType !== 'original' && entry.source !== 'pdf') {
+                    corners = entry === current && currentCorners ? currentCorners : 'auto';
+                }
+                const transform = entry === current && filterType !== 'original' ? currentTransform : null;
+                const result = await this.processImage(entry.blob, filterType, corners, adjustments, transform);
+                
+                const page = {
+                    file: null,
+                    originalBlob: entry.blob,
+                    id: Date.now() + Math.random(),
+                    isFromCamera: entry.source === 'camera',
+                    filter: filterType,
+                    adjustments: { ...adjustments },
+                    corners: result.corners,
+                    transform: transform,
+                    rotation: 0
+                };
+                this.setPageImage(page, result.blob, result);
+                this.images.push(page);
+            } catch (error) {
+                console.error('Error procesando imagen de la cola:', error);
+                this.queueFailed++;
+                this.rejectFile(entry.name || 'Foto de la cámara', 'No se pudo procesar la imagen');
+            }
+            
+            done++;
+            this.removeQueueEntry(entry);
+            this.renderPreviews();
+        }
+        
+        this.isBatchProcessing = false;
+        this.resetImportQueue();
+        this.renderPreviews();
+    }
+
+    /**
+     * Cancela la importación y descarta las imágenes pendientes de la cola
+     */
+    cancelImportQueue() {
+        this.queueCurrent = null;
+        this.importQueue = [];
+        this.resetImportQueue();
+        this.renderPreviews();
+    }
+
+    /**
+     * Quita una entrada de la cola de importación
+     * @param {Object} entry - Entrada a quitar
+     */
+    removeQueueEntry(entry) {
+        this.importQueue = this.importQueue.filter(item => item !== entry);
+    }
+
+    /**
+     * Reinicia los contadores de la cola cuando ya no quedan imágenes pendientes
+     */
+    resetImportQueue() {
+        if (this.importQueue.length > 0) return;
+        
+        this.queueTotal = 0;
+        this.queueDone = 0;
+        this.queueFailed = 0;
+    }
+
+    /**
+     * Actualiza el indicador de posición de la cola dentro del modal de filtros
+     */
+    updateQueueBar() {
+        const inQueue = this.queueCurrent !== null || this.importQueue.length > 0;
+        this.queueBar.classList.toggle('d-none', !inQueue || this.queueTotal <= 1);
+        this.queuePosition.textContent = `Imagen ${this.queueDone + 1} de ${this.queueTotal}`;
+        if (this.editingImageId !== null) {
+            this.applyFilterBtn.innerHTML = '<i class="fas fa-check"></i> Guardar Cambios';
+        } else if (inQueue && this.importQueue.length > 1) {
+            this.applyFilterBtn.innerHTML = '<i class="fas fa-check"></i> Aplicar y Siguiente';
+        } else {
+            this.applyFilterBtn.innerHTML = '<i class="fas fa-check"></i> Aplicar y Agregar';
+        }
+    }
+
+    /**
+     * Muestra el progreso de la importación sobre la cuadrícula de vista previa
+     * @param {string} text - Texto descriptivo
+     * @param {number} ratio - Progreso entre 0 y 1
+     */
+    updateImportProgress(text, ratio) {
+        this.importProgressText.textContent = text;
+        this.importProgressBar.style.width = `${Math.round(ratio * 100)}%`;
+    }
+
+    /**
+     * Renderiza las vistas previas de las imágenes
+     */
+    renderPreviews() {
+        this.previewGrid.innerHTML = '';
+        
+        this.images.forEach((image, index) => {
+            const previewItem = this.createPreviewElement(image, index);
+            this.previewGrid.appendChild(previewItem);
+        });
+        
+        this.scheduleSizeEstimate();
+        this.scheduleBlankCheck();
+        this.scheduleSave();
+        this.renderStampPreview();
+        
+        // Las imágenes de la cola se muestran como marcadores pendientes
+        this.importQueue.forEach(entry => {
+            this.previewGrid.appendChild(this.createPendingElement(entry));
+        });
+
+        this.updateUI();
+        this.releasePageUrls();
+    }
+
+    /**
+     * Crea un marcador de vista previa para una imagen de la cola de importación
+     * @param {Object} entry - Entrada de la cola
+     * @returns {HTMLElement} Elemento de vista previa pendiente
+     */
+    createPendingElement(entry) {
+        const div = document.createElement('div');
+        div.className = 'preview-item pending';
+        
+        const labels = {
+            'loading': 'Cargando...',
+            'ready': entry === this.queueCurrent ? 'En revisión' : 'Pendiente',
+            'processing': 'Procesando...'
+        };
+        const isBusy = entry.status === 'loading' || entry.status === 'processing';
+        
+        div.innerHTML = `
+            ${entry.thumbnailUrl ? `<img src="${entry.thumbnailUrl}" alt="Pendiente">` : ''}
+            <div class="pending-overlay">
+                ${isBusy ? '<div class="spinner-border spinner-border-sm" role="status"></div>' : '<i class="fas fa-hourglass-half"></i>'}
+                <span>${labels[entry.status] || ''}</span>
+            </div>
+        `;
+        
+        return div;
+    }
+
+    /**
+     * Obtiene el nombre legible del filtro
+     * @param {string} filter - Código del filtro
+     * @returns {string} Nombre legible del filtro
+     */
+    getFilterName(filter) {
+        const filterNames = {
+            'original': 'Original',
+            'grayscale': 'Escala de Grises',
+            'bw': 'B/N',
+            'enhanced': 'Mejorado',
+            'sauvola': 'Adaptativo',
+            'shadows': 'Sin Sombras',
+            'magic': 'Color Mágico',
+            'whiten': 'Blanqueado'
+        };
+        return filterNames[filter] || 'Original';
+    }
+
+    /**
+     * Crea un elemento de vista previa
+     * @param {Object} image - Objeto de imagen
+     * @param {number} index - Índice de la imagen
+     * @returns {HTMLElement} Elemento de vista previa
+     */
+    createPreviewElement(image, index) {
+        const div = document.createElement('div');
+        div.className = 'preview-item';
+        div.dataset.id = image.id;
+        
+        const cameraIcon = image.isFromCamera ? '<i class="fas fa-camera" style="font-size: 0.7rem;"></i> ' : '';
+        const filterBadge = image.isFromCamera ? `<span class="filter-badge">${this.getFilterName(image.filter)}</span>` : '';
+        const redactBadge = image.redacted ? '<span class="redact-badge" title="Datos tachados; no se guarda la original">Tachado</span>' : '';
+        const isBlank = this.isBlankPage(image);
+        const blankBadge = `<span class="blank-badge${isBlank ? '' : ' d-none'}" title="Parece una página en blanco">En blanco</span>`;
+        div.classList.toggle('blank', isBlank);
+        const annotationBadge = image.annotations && image.annotations.length
+            ? '<span class="annotation-badge" title="Con firma o anotaciones"><i class="fas fa-signature"></i></span>'
+            : '';
+        
+        div.innerHTML = `
+            <span class="order-badge">${cameraIcon}${index + 1}</span>
+            <img src="${image.thumbnailUrl}" alt="Preview ${index + 1}" style="transform: rotate(${image.rotation || 0}deg);">
+            ${filterBadge}
+            ${redactBadge}
+            ${annotationBadge}
+            ${blankBadge}
+            <button class="remove-btn" data-id="${image.id}">
+                <i class="fas fa-times"></i>
+            </button>
+            <div class="preview-actions">
+                <button class="page-action drag-handle" title="Arrastrar para reordenar">
+                    <i class="fas fa-grip-vertical"></i>
+                </button>
+                <button class="page-action rotate-btn" title="Rotar 90°">
+                    <i class="fas fa-redo"></i>
+                </button>
+                <button class="page-action edit-btn" title="Editar filtro y bordes">
+                    <i class="fas fa-sliders-h"></i>
+                </button>
+                <button class="page-action annotate-btn" title="Firmar y anotar">
+                    <i class="fas fa-signature"></i>
+                </button>
+            </div>
+        `;
+
+        // Event listener para eliminar imagen
+        const removeBtn = div.querySelector('.remove-btn');
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeImage(image.id);
+        });
+        
+        // Reordenar, rotar y reeditar la página
+        div.querySelector('.drag-handle').addEventListener('pointerdown', (e) => this.startPageDrag(e, div));
+        div.querySelector('.rotate-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotateImage(image.id);
+        });
+        div.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.editImage(image.id);
+        });
+        div.querySelector('.annotate-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openAnnotationEditor(image.id);
+        });
+
+        return div;
+    }
+
+    /**
+     * Inicia el arrastre de una página para reordenarla (mouse o táctil)
+     * El elemento se mueve en vivo dentro del grid y el orden se guarda al soltar
+     * @param {PointerEvent} e - Evento pointerdown sobre el asa de arrastre
+     * @param {HTMLElement} item - Elemento de vista previa
+     */
+    startPageDrag(e, item) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        
+        const handle = e.currentTarget;
+        handle.setPointerCapture(e.pointerId);
+        item.classList.add('dragging');
+        
+        const onMove = (event) => {
+            // Desplaza la página al arrastrar cerca de los bordes de la pantalla
+            if (event.clientY < 60) {
+                window.scrollBy(0, -15);
+            } else if (event.clientY > window.innerHeight - 60) {
+                window.scrollBy(0, 15);
+            }
+            
+            const target = document.elementFromPoint(event.clientX, event.clientY);
+            const over = target ? target.closest('.preview-item[data-id]') : null;
+            if (!over || over === item || !this.previewGrid.contains(over)) return;
+            
+            // Inserta antes o después según la mitad del elemento sobre la que está el puntero
+            const rect = over.getBoundingClientRect();
+            const after = event.clientX > rect.left + rect.width / 2;
+            this.previewGrid.insertBefore(item, after ? over.nextSibling : over);
+        };
+        
+        const onEnd = () => {
+            item.classList.remove('dragging');
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+            
+            // El orden del DOM pasa a ser el orden de las páginas
+            const order = Array.from(this.previewGrid.querySelectorAll('.preview-item[data-id]'))
+                .map(element => element.dataset.id);
+            this.images.sort((a, b) => order.indexOf(String(a.id)) - order.indexOf(String(b.id)));
+            this.renderPreviews();
+        };
+        
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Rota una página 90° en sentido horario
+     * @param {number} id - ID de la imagen a rotar
+     */
+    rotateImage(id) {
+        const image = this.images.find(img => img.id === id);
+        if (!image) return;
+        
+        image.rotation = ((image.rotation || 0) + 90) % 360;
+        // Las anotaciones giran con la página, como si estuvieran escritas en el papel
+        if (image.annotations) {
+            image.annotations = image.annotations.map(item => this.rotateAnnotation(item));
+        }
+        this.renderPreviews();
+    }
+
+    /**
+     * Reabre una página en el modal de filtros partiendo de la imagen original
+     * @param {number} id - ID de la imagen a editar
+     */
+    editImage(id) {
+        const image = this.images.find(img => img.id === id);
+        if (!image || this.queueCurrent) return;
+        
+        this.editingImageId = id;
+        this.currentCapturedImage = image.originalBlob || image.blob;
+        this.currentImageSource = image.isFromCamera ? 'camera' : 'file';
+        
+        // Una página tachada ya no tiene original: su imagen lleva aplicados el recorte y el filtro
+        const original = Boolean(image.originalBlob);
+        this.openFilterModal({
+            corners: original ? image.corners || null : null,
+            filter: original ? image.filter : 'original',
+            adjustments: original ? image.adjustments : {},
+            transform: original ? image.transform || null : null
+        });
+    }
+
+    /**
+     * Gira una anotación 90° en sentido horario junto con su página
+     * @param {Object} item - Anotación en coordenadas de la página antes de girar
+     * @returns {Object} Anotación en coordenadas de la página girada
+     */
+    rotateAnnotation(item) {
+        if (item.type === 'arrow') {
+            return { ...item, x1: 1 - item.y1, y1: item.x1, x2: 1 - item.y2, y2: item.x2 };
+        }
+        return {
+            ...item,
+            x: 1 - item.y - item.height,
+            y: item.x,
+            width: item.height,
+            height: item.width,
+            angle: ((item.angle || 0) + 90) % 360
+        };
+    }
+
+    /**
+     * Abre el editor de firma y anotaciones de una página
+     * Las anotaciones se editan sobre una copia y se guardan al aplicar
+     * @param {number} id - ID de la imagen a anotar
+     */
+    async openAnnotationEditor(id) {
+        const image = this.images.find(img => img.id === id);
+        if (!image) return;
+        
+        const source = await this.loadImage(image.blob);
+        this.annotatingImageId = id;
+        this.annotations = (image.annotations || []).map(item => ({ ...item }));
+        this.selectedAnnotation = null;
+        this.annotationBase = ImageProcessing.drawRotated(source, image.rotation || 0, 1400);
+        this.annotateCanvas.width = this.annotationBase.width;
+        this.annotateCanvas.height = this.annotationBase.height;
+        
+        this.closeSignaturePad();
+        this.setAnnotationTool('select');
+        this.annotateModal.show();
+    }
+
+    /**
+     * Cambia la herramienta del editor de anotaciones
+     * @param {string} tool - 'select', 'signature', 'text', 'check', 'date', 'highlight' o 'arrow'
+     */
+    setAnnotationTool(tool) {
+        const hints = {
+            select: 'Toca una anotación para seleccionarla y arrástrala para moverla. La esquina inferior derecha cambia su tamaño; doble clic en un texto para editarlo.',
+            signature: 'Toca la página donde quieres poner la firma.',
+            text: 'Toca la página donde empieza el texto.',
+            check: 'Toca la página para poner una marca de visto.',
+            date: 'Toca la página para poner la fecha de hoy.',
+            highlight: 'Arrastra sobre la página para resaltar una zona.',
+            arrow: 'Arrastra desde el inicio de la flecha hasta la punta.'
+        };
+        this.annotationTool = tool;
+        this.annotationToolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+        this.annotationHint.textContent = hints[tool];
+        this.annotateCanvas.dataset.tool = tool;
+        
+        // Sin firma guardada, la herramienta empieza por dibujarla
+        if (tool === 'signature' && !this.signature) {
+            this.openSignaturePad();
+        }
+        this.renderAnnotationEditor();
+    }
+
+    /**
+     * Dibuja la página con sus anotaciones y marca la seleccionada
+     */
+    renderAnnotationEditor() {
+        if (!this.annotationBase) return;
+        
+        const { width, height } = this.annotateCanvas;
+        const ctx = this.annotateCanvas.getContext('2d');
+        ctx.drawImage(this.annotationBase, 0, 0);
+        ImageProcessing.drawAnnotations(ctx, this.annotations, width, height);
+        
+        const item = this.selectedAnnotation;
+        if (item) {
+            const bounds = this.getAnnotationBounds(item);
+            const unit = Math.max(width, height) / 400;
+            ctx.save();
+            ctx.strokeStyle = '#4caf50';
+            ctx.fillStyle = '#4caf50';
+            ctx.lineWidth = unit;
+            ctx.setLineDash([unit * 4, unit * 3]);
+            ctx.strokeRect(bounds.x * width, bounds.y * height, bounds.width * width, bounds.height * height);
+            if (item.type !== 'arrow') {
+                // Asa para cambiar el tamaño
+                const size = unit * 8;
+                ctx.fillRect((bounds.x + bounds.width) * width - size / 2, (bounds.y + bounds.height) * height - size / 2, size, size);
+            }
+            ctx.restore();
+        }
+        this.deleteAnnotationBtn.disabled = !item;
+    }
+
+    /**
+     * Rectángulo que ocupa una anotación, en coordenadas de 0 a 1 de la página
+     * @param {Object} item - Anotación
+     * @returns {{x: number, y: number, width: number, height: number}} Rectángulo
+     */
+    getAnnotationBounds(item) {
+        if (item.type === 'arrow') {
+            return {
+                x: Math.min(item.x1, item.x2),
+                y: Math.min(item.y1, item.y2),
+                width: Math.abs(item.x2 - item.x1),
+                height: Math.abs(item.y2 - item.y1)
+            };
+        }
+        return { x: item.x, y: item.y, width: item.width, height: item.height };
+    }
+
+    /**
+     * Posición del puntero sobre la página, de 0 a 1
+     * @param {PointerEvent|MouseEvent} e - Evento sobre el canvas del editor
+     * @returns {{x: number, y: number}} Punto dentro de la página
+     */
+    getAnnotationPointer(e) {
+        const rect = this.annotateCanvas.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+        };
+    }
+
+    /**
+     * Busca la anotación bajo el puntero (la de encima si se superponen)
+     * @param {{x: number, y: number}} point - Punto de 0 a 1
+     * @returns {Object|null} Anotación encontrada
+     */
+    findAnnotationAt(point) {
+        const { width, height } = this.annotateCanvas;
+        // Margen de unos 10 píxeles en pantalla para acertar con el dedo
+        const rect = this.annotateCanvas.getBoundingClientRect();
+        const toleranceX = rect.width ? 10 / rect.width : 0.01;
+        const toleranceY = rect.height ? 10 / rect.height : 0.01;
+        
+        for (let i = this.annotations.length - 1; i >= 0; i--) {
+            const item = this.annotations[i];
+            if (item.type === 'arrow') {
+                // Distancia en píxeles de la página al segmento de la flecha
+                const ax = item.x1 * width, ay = item.y1 * height;
+                const dx = item.x2 * width - ax, dy = item.y2 * height - ay;
+                const px = point.x * width, py = point.y * height;
+                const t = Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy || 1)));
+                if (Math.hypot(px - ax - t * dx, py - ay - t * dy) <= toleranceX * width) return item;
+                continue;
+            }
+            if (point.x >= item.x - toleranceX && point.x <= item.x + item.width + toleranceX &&
+                point.y >= item.y - toleranceY && point.y <= item.y + item.height + toleranceY) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Atiende un toque o clic sobre la página según la herramienta:
+     * coloca firma, texto, visto o fecha; dibuja resaltados y flechas; selecciona, mueve y cambia el tamaño
+     * @param {PointerEvent} e - Evento pointerdown sobre el canvas del editor
+     */
+    startAnnotationPointer(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        
+        const tool = this.annotationTool;
+        const start = this.getAnnotationPointer(e);
+        if (tool === 'signature' || tool === 'text' || tool === 'check' || tool === 'date') {
+            this.placeAnnotation(tool, start);
+            return;
+        }
+        
+        let item;
+        let mode;
+        if (tool === 'select') {
+            const selected = this.selectedAnnotation;
+            const rect = this.annotateCanvas.getBoundingClientRect();
+            if (selected && selected.type !== 'arrow' &&
+                Math.abs((selected.x + selected.width - start.x) * rect.width) <= 12 &&
+                Math.abs((selected.y + selected.height - start.y) * rect.height) <= 12) {
+                item = selected;
+                mode = 'resize';
+            } else {
+                item = this.findAnnotationAt(start);
+                mode = 'move';
+            }
+        } else {
+            item = tool === 'highlight'
+                ? { type: 'highlight', x: start.x, y: start.y, width: 0, height: 0, color: '#ffeb3b' }
+                : { type: 'arrow', x1: start.x, y1: start.y, x2: start.x, y2: start.y, color: this.annotationColorInput.value };
+            mode = 'draw';
+            this.annotations.push(item);
+        }
+        
+        this.selectedAnnotation = item || null;
+        this.renderAnnotationEditor();
+        if (!item) return;
+        
+        const original = { ...item };
+        this.annotateCanvas.setPointerCapture(e.pointerId);
+        
+        const onMove = (event) => {
+            const point = this.getAnnotationPointer(event);
+            if (mode === 'move') {
+                this.moveAnnotation(item, original, point.x - start.x, point.y - start.y);
+            } else if (mode === 'resize') {
+                this.resizeAnnotation(item, original, point);
+            } else if (item.type === 'highlight') {
+                item.x = Math.min(start.x, point.x);
+                item.y = Math.min(start.y, point.y);
+                item.width = Math.abs(point.x - start.x);
+                item.height = Math.abs(point.y - start.y);
+            } else {
+                item.x2 = point.x;
+                item.y2 = point.y;
+            }
+            this.renderAnnotationEditor();
+        };
+        
+        const onEnd = () => {
+            this.annotateCanvas.removeEventListener('pointermove', onMove);
+            this.annotateCanvas.removeEventListener('pointerup', onEnd);
+            this.annotateCanvas.removeEventListener('pointercancel', onEnd);
+            
+            // Un toque sin arrastrar no deja resaltados ni flechas vacíos
+            if (mode === 'draw') {
+                const bounds = this.getAnnotationBounds(item);
+                if (Math.max(bounds.width, bounds.height) < 0.01) {
+                    this.annotations = this.annotations.filter(other => other !== item);
+                    this.selectedAnnotation = null;
+                    this.renderAnnotationEditor();
+                }
+            }
+        };
+        
+        this.annotateCanvas.addEventListener('pointermove', onMove);
+        this.annotateCanvas.addEventListener('pointerup', onEnd);
+        this.annotateCanvas.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Desplaza una anotación sin que salga de la página
+     * @param {Object} item - Anotación que se mueve
+     * @param {Object} original - Copia de la anotación al empezar el arrastre
+     * @param {number} dx - Desplazamiento horizontal de 0 a 1
+     * @param {number} dy - Desplazamiento vertical de 0 a 1
+     */
+    moveAnnotation(item, original, dx, dy) {
+        const bounds = this.getAnnotationBounds(original);
+        dx = Math.min(1 - bounds.x - bounds.width, Math.max(-bounds.x, dx));
+        dy = Math.min(1 - bounds.y - bounds.height, Math.max(-bounds.y, dy));
+        
+        if (item.type === 'arrow') {
+            item.x1 = original.x1 + dx;
+            item.y1 = original.y1 + dy;
+            item.x2 = original.x2 + dx;
+            item.y2 = original.y2 + dy;
+        } else {
+            item.x = original.x + dx;
+            item.y = original.y + dy;
+        }
+    }
+
+    /**
+     * Cambia el tamaño de una anotación desde su esquina inferior derecha
+     * La firma, el texto y el visto conservan su proporción; el resaltado no
+     * @param {Object} item - Anotación que cambia de tamaño
+     * @param {Object} original - Copia de la anotación al empezar el arrastre
+     * @param {{x: number, y: number}} point - Posición del puntero
+     */
+    resizeAnnotation(item, original, point) {
+        const minSize = 0.01;
+        if (item.type === 'highlight') {
+            item.width = Math.max(minSize, point.x - original.x);
+            item.height = Math.max(minSize, point.y - original.y);
+            return;
+        }
+        
+        let scale = Math.max((point.x - original.x) / original.width, (point.y - original.y) / original.height);
+        scale = Math.min(scale, (1 - original.x) / original.width, (1 - original.y) / original.height);
+        scale = Math.max(scale, minSize / Math.min(original.width, original.height));
+        item.width = original.width * scale;
+        item.height = original.height * scale;
+    }
+
+    /**
+     * Coloca una firma, un texto, un visto o la fecha en el punto tocado
+     * @param {string} tool - 'signature', 'text', 'check' o 'date'
+     * @param {{x: number, y: number}} point - Punto de 0 a 1
+     */
+    placeAnnotation(tool, point) {
+        const { width, height } = this.annotateCanvas;
+        const diagonal = Math.hypot(width, height);
+        const color = this.annotationColorInput.value;
+        let item;
+        
+        if (tool === 'signature') {
+            if (!this.signature) {
+                this.openSignaturePad();
+                return;
+            }
+            // Tamaño inicial de una firma manuscrita; luego se ajusta con el asa
+            const boxWidth = Math.min(diagonal * 0.06 * this.signature.aspect, width * 0.9);
+            item = { type: 'signature', strokes: this.signature.strokes, color: color, angle: 0 };
+            this.setAnnotationBoxSize(item, boxWidth, boxWidth / this.signature.aspect);
+        } else if (tool === 'check') {
+            item = { type: 'check', color: color, angle: 0 };
+            this.setAnnotationBoxSize(item, diagonal * 0.03, diagonal * 0.03);
+        } else {
+            const text = tool === 'date' ? new Date().toLocaleDateString('es-ES') : prompt('Texto:');
+            if (text === null || !text.trim()) return;
+            
+            item = { type: 'text', text: text.trim(), color: color, angle: 0 };
+            const fontSize = diagonal * parseFloat(this.annotationTextSizeSelect.value);
+            this.setAnnotationBoxSize(item, ...this.measureAnnotationText(item.text, fontSize));
+        }
+        
+        // La firma y el visto se centran en el punto; el texto empieza en él
+        const anchorX = item.type === 'text' ? 0 : item.width / 2;
+        item.x = Math.min(1 - item.width, Math.max(0, point.x - anchorX));
+        item.y = Math.min(1 - item.height, Math.max(0, point.y - item.height / 2));
+        
+        this.annotations.push(item);
+        this.selectedAnnotation = item;
+        this.renderAnnotationEditor();
+    }
+
+    /**
+     * Mide un texto con la letra de las anotaciones
+     * @param {string} text - Texto (puede tener varias líneas)
+     * @param {number} fontSize - Tamaño de letra en píxeles de la página
+     * @returns {number[]} [ancho, alto] de la caja en píxeles
+     */
+    measureAnnotationText(text, fontSize) {
+        const ctx = this.annotateCanvas.getContext('2d');
+        ctx.font = `${fontSize}px Helvetica, Arial, sans-serif`;
+        const lines = text.split('\n');
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        return [Math.max(fontSize, textWidth), lines.length * 1.2 * fontSize];
+    }
+
+    /**
+     * Ajusta la caja de una anotación a un tamaño en píxeles antes de girarla
+     * Si no cabe en la página se reduce conservando la proporción
+     * @param {Object} item - Anotación con angle
+     * @param {number} boxWidth - Ancho sin girar en píxeles de la página
+     * @param {number} boxHeight - Alto sin girar en píxeles de la página
+     */
+    setAnnotationBoxSize(item, boxWidth, boxHeight) {
+        const { width, height } = this.annotateCanvas;
+        const quarterTurn = item.angle === 90 || item.angle === 270;
+        let itemWidth = (quarterTurn ? boxHeight : boxWidth) / width;
+        let itemHeight = (quarterTurn ? boxWidth : boxHeight) / height;
+        
+        const scale = Math.min(1, 1 / itemWidth, 1 / itemHeight);
+        item.width = itemWidth * scale;
+        item.height = itemHeight * scale;
+        if (item.x !== undefined) {
+            item.x = Math.min(item.x, 1 - item.width);
+            item.y = Math.min(item.y, 1 - item.height);
+        }
+    }
+
+    /**
+     * Cambia el contenido de un texto conservando su tamaño de letra; vacío lo elimina
+     * @param {Object} item - Anotación 'text'
+     */
+    editTextAnnotation(item) {
+        const text = prompt('Texto:', item.text);
+        if (text === null) return;
+        if (!text.trim()) {
+            this.selectedAnnotation = item;
+            this.deleteSelectedAnnotation();
+            return;
+        }
+        
+        const { width, height } = this.annotateCanvas;
+        const [, boxHeight] = ImageProcessing.getAnnotationSize(item, width, height);
+        const { fontSize } = ImageProcessing.getAnnotationText(item, boxHeight);
+        item.text = text.trim();
+        this.setAnnotationBoxSize(item, ...this.measureAnnotationText(item.text, fontSize));
+        this.selectedAnnotation = item;
+        this.renderAnnotationEditor();
+    }
+
+    /**
+     * Elimina la anotación seleccionada
+     */
+    deleteSelectedAnnotation() {
+        const item = this.selectedAnnotation;
+        if (!item) return;
+        
+        this.annotations = this.annotations.filter(other => other !== item);
+        this.selectedAnnotation = null;
+        this.renderAnnotationEditor();
+    }
+
+    /**
+     * Guarda las anotaciones en la página y cierra el editor
+     */
+    applyAnnotations() {
+        const image = this.images.find(img => img.id === this.annotatingImageId);
+        if (image) {
+            image.annotations = this.annotations;
+        }
+        this.annotateModal.hide();
+        this.renderPreviews();
+    }
+
+    /**
+     * Muestra el panel para dibujar una firma nueva
+     */
+    openSignaturePad() {
+        this.annotateEditor.classList.add('d-none');
+        this.signaturePad.classList.remove('d-none');
+        this.clearSignaturePad();
+    }
+
+    /**
+     * Vuelve del panel de firma a la página
+     */
+    closeSignaturePad() {
+        this.signaturePad.classList.add('d-none');
+        this.annotateEditor.classList.remove('d-none');
+        this.signatureStrokes = [];
+    }
+
+    /**
+     * Borra lo dibujado en el panel de firma
+     */
+    clearSignaturePad() {
+        const ctx = this.signatureCanvas.getContext('2d');
+        ctx.clearRect(0, 0, this.signatureCanvas.width, this.signatureCanvas.height);
+        this.signatureStrokes = [];
+    }
+
+    /**
+     * Dibuja un trazo de la firma con el dedo, el lápiz o el mouse
+     * @param {PointerEvent} e - Evento pointerdown sobre el panel de firma
+     */
+    startSignatureStroke(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        
+        const canvas = this.signatureCanvas;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = this.annotationColorInput.value;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        // Puntos en píxeles del canvas, que se muestra escalado
+        const toCanvas = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (event.clientX - rect.left) * canvas.width / rect.width,
+                (event.clientY - rect.top) * canvas.height / rect.height
+            ];
+        };
+        const stroke = toCanvas(e);
+        this.signatureStrokes.push(stroke);
+        canvas.setPointerCapture(e.pointerId);
+        
+        const onMove = (event) => {
+            const [x, y] = toCanvas(event);
+            const lastX = stroke[stroke.length - 2];
+            const lastY = stroke[stroke.length - 1];
+            if (Math.hypot(x - lastX, y - lastY) < 1.5) return;
+            
+            ctx.beginPath();
+            ctx.moveTo(lastX, lastY);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+            stroke.push(x, y);
+        };
+        
+        const onEnd = () => {
+            canvas.removeEventListener('pointermove', onMove);
+            canvas.removeEventListener('pointerup', onEnd);
+            canvas.removeEventListener('pointercancel', onEnd);
+        };
+        
+        canvas.addEventListener('pointermove', onMove);
+        canvas.addEventListener('pointerup', onEnd);
+        canvas.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Guarda la firma dibujada para reutilizarla y vuelve a la página para colocarla
+     * Los trazos se recortan a su rectángulo y se guardan de 0 a 1
+     */
+    saveSignature() {
+        const strokes = this.signatureStrokes.filter(stroke => stroke.length >= 4);
+        if (strokes.length === 0) {
+            alert('Dibuja tu firma antes de guardarla.');
+            return;
+        }
+        
+        const xs = strokes.flatMap(stroke => stroke.filter((_, i) => i % 2 === 0));
+        const ys = strokes.flatMap(stroke => stroke.filter((_, i) => i % 2 === 1));
+        // Margen para el grosor del trazo; una firma casi recta no queda aplastada
+        let minX = Math.min(...xs) - 3, maxX = Math.max(...xs) + 3;
+        let minY = Math.min(...ys) - 3, maxY = Math.max(...ys) + 3;
+        const minHeight = (maxX - minX) * 0.2;
+        if (maxY - minY < minHeight) {
+            const center = (minY + maxY) / 2;
+            minY = center - minHeight / 2;
+            maxY = center + minHeight / 2;
+        }
+        const boxWidth = maxX - minX;
+        const boxHeight = maxY - minY;
+        
+        this.signature = {
+            strokes: strokes.map(stroke => stroke.map((value, i) => {
+                const normalized = i % 2 === 0 ? (value - minX) / boxWidth : (value - minY) / boxHeight;
+                return Math.round(normalized * 10000) / 10000;
+            })),
+            aspect: boxWidth / boxHeight
+        };
+        this.scheduleSave();
+        this.closeSignaturePad();
+        this.setAnnotationTool('signature');
+    }
+
+    /**
+     * Escribe las anotaciones de una página como contenido vectorial del PDF, encima de la imagen
+     * @param {jsPDF} pdf - Documento en la página actual
+     * @param {Object[]} annotations - Anotaciones de la página
+     * @param {{x: number, y: number, width: number, height: number}} frame - Rectángulo de la imagen completa en puntos
+     * @param {Object|null} clip - Zona visible si la imagen se recortó para rellenar su área
+     */
+    addAnnotations(pdf, annotations, frame, clip) {
+        const diagonal = Math.hypot(frame.width, frame.height);
+        const toPage = (point) => [frame.x + point.x * frame.width, frame.y + point.y * frame.height];
+        
+        pdf.saveGraphicsState();
+        if (clip) {
+            pdf.rect(clip.x, clip.y, clip.width, clip.height, null);
+            pdf.clip();
+            pdf.discardPath();
+        }
+        pdf.setLineCap('round');
+        pdf.setLineJoin('round');
+        
+        annotations.forEach(item => {
+            if (item.type === 'highlight') {
+                pdf.saveGraphicsState();
+                pdf.setGState(new pdf.GState({ opacity: 0.35 }));
+                pdf.setFillColor(item.color);
+                pdf.rect(...toPage(item), item.width * frame.width, item.height * frame.height, 'F');
+                pdf.restoreGraphicsState();
+            } else if (item.type === 'arrow') {
+                const [x1, y1] = toPage({ x: item.x1, y: item.y1 });
+                const [x2, y2] = toPage({ x: item.x2, y: item.y2 });
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const head = diagonal * 0.025;
+                pdf.setDrawColor(item.color);
+                pdf.setFillColor(item.color);
+                pdf.setLineWidth(diagonal * 0.004);
+                pdf.line(x1, y1, x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+                pdf.triangle(
+                    x2, y2,
+                    x2 - head * Math.cos(angle - 0.45), y2 - head * Math.sin(angle - 0.45),
+                    x2 - head * Math.cos(angle + 0.45), y2 - head * Math.sin(angle + 0.45),
+                    'F'
+                );
+            } else if (item.type === 'text') {
+                const [, boxHeight] = ImageProcessing.getAnnotationSize(item, frame.width, frame.height);
+                const { lines, fontSize } = ImageProcessing.getAnnotationText(item, boxHeight);
+                pdf.setFont('helvetica', 'normal');
+                pdf.setFontSize(fontSize);
+                pdf.setTextColor(item.color);
+                lines.forEach((line, i) => {
+                    const baseline = ImageProcessing.getAnnotationPoint(item, 0, (i * 1.2 + 0.95) * fontSize / boxHeight);
+                    // jsPDF gira en sentido antihorario
+                    pdf.text(line, ...toPage(baseline), item.angle ? { angle: -item.angle } : {});
+                });
+                pdf.setTextColor(0);
+            } else {
+                const [, boxHeight] = ImageProcessing.getAnnotationSize(item, frame.width, frame.height);
+                pdf.setDrawColor(item.color);
+                pdf.setLineWidth(boxHeight * (item.type === 'check' ? 0.12 : 0.035));
+                ImageProcessing.getAnnotationStrokes(item).forEach(stroke => {
+                    const points = [];
+                    for (let i = 0; i < stroke.length; i += 2) {
+                        points.push(toPage(ImageProcessing.getAnnotationPoint(item, stroke[i], stroke[i + 1])));
+                    }
+                    // jsPDF recibe cada segmento como desplazamiento desde el punto anterior
+                    const segments = points.slice(1).map(([x, y], i) => [x - points[i][0], y - points[i][1]]);
+                    pdf.lines(segments, points[0][0], points[0][1], [1, 1], 'S', false);
+                });
+            }
+        });
+        pdf.restoreGraphicsState();
+    }
+
+    /**
+     * Elimina una imagen de la colección
+     * @param {string} id - ID de la imagen a eliminar
+     */
+    removeImage(id) {
+        this.images = this.images.filter(img => img.id !== id);
+        this.renderPreviews();
+    }
+
+    /**
+     * Programa la búsqueda de páginas en blanco después de cambiar la lista
+     */
+    scheduleBlankCheck() {
+        clearTimeout(this.blankCheckTimer);
+        if (this.images.length === 0) {
+            this.renderBlankPages();
+            return;
+        }
+        this.blankCheckTimer = setTimeout(() => this.updateBlankPages(), 300);
+    }
+
+    /**
+     * Analiza las páginas nuevas o modificadas y marca las que parecen en blanco
+     */
+    async updateBlankPages() {
+        const timer = this.blankCheckTimer;
+        try {
+            await this.analyzePages(this.images.slice());
+        } catch (error) {
+            console.error('Error buscando páginas en blanco:', error);
+            return;
+        }
+        // Si mientras tanto cambió la lista, el siguiente análisis la marca
+        if (timer !== this.blankCheckTimer) return;
+        
+        // Se olvidan las páginas que ya no están en la lista
+        const keys = new Set(this.images.map(image => this.getPageAnalysisKey(image)));
+        for (const key of this.pageAnalysis.keys()) {
+            if (!keys.has(key)) this.pageAnalysis.delete(key);
+        }
+        this.renderBlankPages();
+    }
+
+    /**
+     * Clave del análisis de una página: cambia si se vuelve a editar
+     * @param {Object} image - Imagen de la colección
+     * @returns {string} Clave en pageAnalysis
+     */
+    getPageAnalysisKey(image) {
+        return `${image.id}|${image.revision}`;
+    }
+
+    /**
+     * Mide la tinta de las páginas que todavía no se analizaron
+     * @param {Object[]} images - Páginas a analizar
+     * @param {AbortSignal} [signal] - Cancela el análisis
+     */
+    async analyzePages(images, signal) {
+        for (const image of images) {
+            const key = this.getPageAnalysisKey(image);
+            if (this.pageAnalysis.has(key)) continue;
+            
+            const result = await this.runImageTask('analyzePage', { image: image.blob }, signal);
+            // El código QR se busca solo cuando una regla de separación lo necesita
+            this.pageAnalysis.set(key, { ink: result.ink, qr: null });
+        }
+    }
+
+    /**
+     * Indica si una página parece estar en blanco con la sensibilidad configurada
+     * Las páginas con firma o anotaciones nunca se consideran en blanco
+     * @param {Object} image - Imagen de la colección
+     * @returns {boolean} true si la proporción de tinta no supera el umbral
+     */
+    isBlankPage(image) {
+        if (image.annotations && image.annotations.length) return false;
+        const analysis = this.pageAnalysis.get(this.getPageAnalysisKey(image));
+        // Sensibilidad 0: hasta 0,01 % de tinta; 50: 0,1 %; 100: 1 % (una línea corta de texto)
+        return !!analysis && analysis.ink <= 0.0001 * Math.pow(10, this.blankSensitivity / 50);
+    }
+
+    /**
+     * Marca las páginas en blanco en la vista previa y muestra cuántas hay
+     * Si separan documentos no se ofrece quitarlas, porque se perdería la separación
+     */
+    renderBlankPages() {
+        this.previewGrid.querySelectorAll('.preview-item[data-id]').forEach(item => {
+            const image = this.images.find(img => String(img.id) === item.dataset.id);
+            const isBlank = !!image && this.isBlankPage(image);
+            item.classList.toggle('blank', isBlank);
+            item.querySelector('.blank-badge').classList.toggle('d-none', !isBlank);
+        });
+        
+        const count = this.images.filter(image => this.isBlankPage(image)).length;
+        const separates = this.splitMode === 'blank' || this.splitMode === 'separator';
+        this.blankPages.classList.toggle('d-none', count === 0);
+        this.removeBlankBtn.classList.toggle('d-none', separates);
+        const pages = count === 1 ? '1 página parece estar en blanco' : `${count} páginas parecen estar en blanco`;
+        this.blankPagesText.textContent = separates ? `${pages} y separa${count === 1 ? '' : 'n'} los documentos.` : `${pages}.`;
+    }
+
+    /**
+     * Quita de una vez las páginas en blanco, con la opción de deshacer
+     */
+    removeBlankPages() {
+        const removed = [];
+        this.images = this.images.filter((image, index) => {
+            if (!this.isBlankPage(image)) return true;
+            removed.push({ image, index });
+            return false;
+        });
+        if (removed.length === 0) return;
+        
+        // Se registra antes de repintar: las miniaturas de lo que se puede recuperar siguen vivas
+        this.showUndo(removed.length === 1 ? 'Se quitó 1 página en blanco.' : `Se quitaron ${removed.length} páginas en blanco.`, () => {
+            // Cada página vuelve a su posición; las agregadas después quedan al final
+            removed.forEach(({ image, index }) => this.images.splice(Math.min(index, this.images.length), 0, image));
+            this.renderPreviews();
+        });
+        this.renderPreviews();
+    }
+
+    /**
+     * Muestra las opciones de la regla de separación elegida
+     */
+    updateSplitControls() {
+        this.splitOptions.classList.toggle('d-none', this.splitMode === 'none');
+        this.splitEverySettings.classList.toggle('d-none', this.splitMode !== 'every');
+        this.renderBlankPages();
+    }
+
+    /**
+     * Obtiene el lector de códigos QR del navegador, si lo trae
+     * @returns {Promise<BarcodeDetector|false>} Lector, o false si hay que usar jsQR
+     */
+    async getBarcodeDetector() {
+        if (this.barcodeDetector === null) {
+            let supported = false;
+            if ('BarcodeDetector' in window) {
+                try {
+                    supported = (await window.BarcodeDetector.getSupportedFormats()).includes('qr_code');
+                } catch (error) {
+                    supported = false;
+                }
+            }
+            this.barcodeDetector = supported ? new window.BarcodeDetector({ formats: ['qr_code'] }) : false;
+        }
+        return this.barcodeDetector;
+    }
+
+    /**
+     * Comprueba que haya un lector de códigos QR al elegir una regla que lo usa
+     * Si no hay BarcodeDetector y jsQR no se puede cargar, las reglas con código QR se desactivan
+     */
+    async checkQrReader() {
+        if (await this.getBarcodeDetector() || window.jsQR) return;
+        
+        try {
+            await this.loadScript(this.qrReaderScript);
+        } catch (error) {
+            console.error('No se pudo cargar el lector de códigos QR:', error);
+            [...this.splitModeSelect.options].forEach(option => {
+                if (option.value === 'qr' || option.value === 'separator') option.disabled = true;
+            });
+            
+            // Mientras tanto pudo elegirse otra regla; «en blanco o QR» sigue con las páginas en blanco
+            if (this.splitMode !== 'qr' && this.splitMode !== 'separator') return;
+            this.splitMode = this.splitMode === 'separator' ? 'blank' : 'none';
+            this.splitModeSelect.value = this.splitMode;
+            this.updateSplitControls();
+            this.scheduleSave();
+            alert('No se pudo cargar el lector de códigos QR. Elige otra forma de separar los documentos.');
+        }
+    }
+
+    /**
+     * Indica si una página lleva un código QR, como las hojas separadoras
+     * Cualquier código QR cuenta; el resultado se guarda con el análisis de la página
+     * @param {Object} image - Imagen de la colección (ya analizada con analyzePages)
+     * @returns {Promise<boolean>} true si se encontró un código QR
+     */
+    async hasSeparatorCode(image) {
+        const analysis = this.pageAnalysis.get(this.getPageAnalysisKey(image));
+        if (analysis.qr !== null) return analysis.qr;
+        
+        // 1200 px bastan para un código impreso en una parte de la hoja
+        const img = await this.loadImage(image.blob);
+        const scale = Math.min(1, 1200 / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        
+        const detector = await this.getBarcodeDetector();
+        if (detector) {
+            analysis.qr = (await detector.detect(canvas)).length > 0;
+        } else {
+            if (!window.jsQR) {
+                try {
+                    await this.loadScript(this.qrReaderScript);
+                } catch (error) {
+                    const failure = new Error('No se pudo cargar el lector de códigos QR');
+                    failure.userMessage = 'No se pudo cargar el lector de códigos QR de la aplicación. Elige otra forma de separar los documentos.';
+                    throw failure;
+                }
+            }
+            const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            analysis.qr = !!window.jsQR(data.data, canvas.width, canvas.height);
+        }
+        return analysis.qr;
+    }
+
+    /**
+     * Divide las páginas en documentos según la regla de separación configurada
+     * Las hojas separadoras (en blanco o con código QR) no quedan en ningún documento
+     * @param {Object[]} images - Páginas en orden
+     * @param {AbortSignal} signal - Cancela la búsqueda
+     * @returns {Promise<Object[][]>} Páginas de cada documento, sin documentos vacíos
+     */
+    async getDocumentGroups(images, signal) {
+        if (this.splitMode === 'none') return [images];
+        
+        const groups = [];
+        if (this.splitMode === 'every') {
+            for (let i = 0; i < images.length; i += this.splitEvery) {
+                groups.push(images.slice(i, i + this.splitEvery));
+            }
+            return groups;
+        }
+        
+        const useBlank = this.splitMode === 'blank' || this.splitMode === 'separator';
+        const useCode = this.splitMode === 'qr' || this.splitMode === 'separator';
+        this.updatePdfProgress('Buscando hojas separadoras...', 0);
+        await this.analyzePages(images, signal);
+        
+        let current = [];
+        for (const [index, image] of images.entries()) {
+            if (signal.aborted) return [];
+            this.updatePdfProgress(`Buscando hojas separadoras: página ${index + 1} de ${images.length}...`, index / images.length);
+            const isSeparator = (useBlank && this.isBlankPage(image)) || (useCode && await this.hasSeparatorCode(image));
+            if (!isSeparator) {
+                current.push(image);
+            } else if (current.length) {
+                groups.push(current);
+                current = [];
+            }
+        }
+        if (current.length) {
+            groups.push(current);
+        }
+        return groups;
+    }
+
+    /**
+     * Actualiza la interfaz según el estado actual
+     */
+    updateUI() {
+        const hasImages = this.images.length > 0;
+        const hasPending = this.importQueue.length > 0;
+        
+        this.previewContainer.style.display = hasImages || hasPending ? 'block' : 'none';
+        this.actionsContainer.style.display = hasImages ? 'flex' : 'none';
+        this.imageCount.textContent = this.images.length;
+        
+        // Progreso de la cola de importación
+        this.importProgress.classList.toggle('d-none', !hasPending);
+        if (hasPending && !this.isBatchProcessing) {
+            const loading = this.importQueue.filter(entry => entry.status === 'loading').length;
+            const decoded = this.queueTotal - this.queueFailed - loading;
+            if (loading > 0) {
+                this.updateImportProgress(`Cargando imágenes: ${decoded} de ${this.queueTotal}`, decoded / this.queueTotal);
+            } else {
+                this.updateImportProgress(`Pendientes de revisar: ${this.importQueue.length}`, this.queueDone / this.queueTotal);
+            }
+        }
+    }
+
+    /**
+     * Genera el PDF con todas las imágenes cargadas
+     * Optimiza cada imagen y aplica márgenes si está configurado
+     * Con una regla de separación (splitMode) genera un PDF por documento
+     * @param {Object} [options]
+     * @param {boolean} [options.archive=false] - Añade el perfil de color y los metadatos para archivo
+     * @param {string} [options.destination='download'] - 'download', 'share' o 'upload' (ver deliverFile)
+     */
+    async generatePdf(options = {}) {
+        if (this.images.length === 0) return;
+        const { archive = false, destination = 'download' } = options;
+
+        this.loading.style.display = 'block';
+        this.actionsContainer.style.display = 'none';
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        this.pdfAbortController = controller;
+        
+        const images = this.images.slice();
+        const core = this.getCore();
+        let ocrWorker = null;
+        let ocrFailed = false;
+
+        try {
+            const groups = await this.getDocumentGroups(images, signal);
+            if (signal.aborted) return;
+            if (groups.length === 0) {
+                alert('Todas las páginas son hojas separadoras: no queda ningún documento para generar.');
+                return;
+            }
+            
+            if (this.useOcr) {
+                this.updatePdfProgress('Cargando el reconocimiento de texto...', 0);
+                try {
+                    ocrWorker = await this.createOcrWorker(this.ocrLanguage);
+                } catch (error) {
+                    console.error('Error cargando el OCR:', error);
+                    ocrFailed = true;
+                }
+            }
+            
+            // Varios documentos se descargan uno a uno o se entregan juntos en un ZIP;
+            // al compartir o enviar siempre van en un ZIP, porque se entrega un solo archivo
+            const total = groups.reduce((sum, group) => sum + group.length, 0);
+            const separateFiles = groups.length > 1 && this.splitOutput === 'files' && destination === 'download';
+            const zipFiles = [];
+            let done = 0;
+            
+            for (const [index, group] of groups.entries()) {
+                const result = await this.renderPdf(group, { core, signal, ocrWorker, done, total });
+                if (signal.aborted) return;
+                ocrFailed = ocrFailed || result.ocrFailed;
+                done += group.length;
+                
+                const pdf = result.pdf;
+                this.addPageStamps(pdf);
+                this.addDocumentInfo(pdf, group, result.perSheet);
+                if (archive) {
+                    this.addArchiveInfo(pdf);
+                }
+                const sheetCount = core.getSheetCount(group.length);
+                let fileName = this.getFileName(sheetCount);
+                if (groups.length > 1) {
+                    fileName = fileName.replace(/\.pdf$/, `_${String(index + 1).padStart(2, '0')}.pdf`);
+                }
+                
+                if (groups.length === 1) {
+                    this.updatePdfProgress('Guardando el PDF...', 1);
+                    if (destination === 'download') {
+                        pdf.save(fileName);
+                    } else {
+                        await this.deliverFile(pdf.output('blob'), fileName, destination, sheetCount);
+                    }
+                } else if (separateFiles) {
+                    pdf.save(fileName);
+                } else {
+                    zipFiles.push({ name: fileName, data: new Uint8Array(pdf.output('arraybuffer')) });
+                }
+            }
+            
+            if (zipFiles.length) {
+                this.updatePdfProgress('Guardando los documentos...', 1);
+                const blob = new Blob([ImageProcessing.createZip(zipFiles)], { type: 'application/zip' });
+                await this.deliverFile(blob, this.getFileName(core.getSheetCount(total), 'zip'), destination, core.getSheetCount(total));
+            }
+
+            if (ocrFailed) {
+                alert('No se pudo reconocer el texto de todas las páginas. El PDF se generó, pero parte del texto no se podrá buscar.');
+            }
+            if (groups.length > 1) {
+                this.showSuccess(`¡${groups.length} PDF Generados!`, `Se generaron ${groups.length} documentos. Se vació la lista de imágenes.`);
+            } else {
+                this.showSuccess();
+            }
+        } catch (error) {
+            // La cancelación no es un error para el usuario
+            if (!signal.aborted) {
+                console.error('Error generando PDF:', error);
+                alert(error.userMessage || 'Ocurrió un error al generar el PDF. Por favor intenta de nuevo.');
+            }
+        } finally {
+            if (ocrWorker) {
+                ocrWorker.terminate();
+            }
+            this.clearProtection();
+            this.pdfAbortController = null;
+            this.cancelPdfBtn.disabled = false;
+            this.updatePdfProgress('Generando PDF, por favor espera...', 0);
+            this.loading.style.display = 'none';
+            this.actionsContainer.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Arma un PDF con las páginas de un documento, sin estampas ni propiedades
+     * @param {Object[]} images - Páginas del documento, en orden
+     * @param {Object} context
+     * @param {ConverterCore} context.core - Núcleo con la configuración de la generación
+     * @param {AbortSignal} context.signal - Cancela la generación
+     * @param {Object|null} context.ocrWorker - Worker de Tesseract, o null sin OCR
+     * @param {number} context.done - Páginas ya procesadas en documentos anteriores (para el progreso)
+     * @param {number} context.total - Páginas de todos los documentos
+     * @returns {Promise<{pdf: jsPDF|null, ocrFailed: boolean, perSheet: number}>} Documento; null si se canceló
+     */
+    async renderPdf(images, context) {
+        const { core, signal, ocrWorker, done, total } = context;
+        const plan = core.getLayoutPlan();
+        let ocrFailed = false;
+        
+        // El núcleo arma las hojas; aquí se agregan las anotaciones, el texto del OCR y la contraseña
+        const pdf = await core.createPdf(images, {
+            jsPDF: window.jspdf.jsPDF,
+            pdfOptions: this.pdfProtection ? { encryption: this.getEncryptionOptions(this.pdfProtection) } : {},
+            signal: signal,
+            // Las páginas se codifican en paralelo en los workers y se agregan al PDF en orden
+            lookahead: this.workerPool && !this.workerPool.failed ? this.workerPool.size : 1,
+            preparePage: (image, slot) => this.preparePage(image, core, signal, slot),
+            onProgress: (page) => {
+                const pageNumber = done + page;
+                this.updatePdfProgress(ocrWorker
+                    ? `Reconociendo texto: página ${pageNumber} de ${total}...`
+                    : `Procesando página ${pageNumber} de ${total}...`, (pageNumber - 1) / total);
+            },
+            onPage: async (pdf, image, { placement, frame }, index) => {
+                if (image.annotations && image.annotations.length) {
+                    this.addAnnotations(pdf, image.annotations, frame, placement.cropRatio ? placement : null);
+                }
+                if (!ocrWorker) return;
+                
+                try {
+                    const words = await this.recognizePage(ocrWorker, image, placement);
+                    this.addTextLayer(pdf, words, placement);
+                } catch (error) {
+                    console.error(`Error de OCR en la página ${done + index + 1}:`, error);
+                    ocrFailed = true;
+                }
+            }
+        });
+        
+        return { pdf: pdf, ocrFailed: ocrFailed, perSheet: plan ? plan.cells.length : 1 };
+    }
+
+    /**
+     * Abre el diálogo de guardado con el nombre y las propiedades del documento
+     * @param {string} [format='pdf'] - Formato de exportación (ver exportFormats)
+     */
+    openSaveDialog(format = 'pdf') {
+        if (this.images.length === 0) return;
+        
+        // Las imágenes solo usan el nombre; el PDF para archivo no admite contraseña
+        const { extension, title, note } = this.exportFormats[format];
+        this.exportFormat = format;
+        this.saveModalTitle.textContent = title;
+        this.fileNameExtension.textContent = `.${extension}`;
+        this.exportNote.textContent = note;
+        this.exportNote.classList.toggle('d-none', !note);
+        this.pdfOptions.classList.toggle('d-none', extension !== 'pdf');
+        this.protectionOptions.classList.toggle('d-none', format !== 'pdf');
+        this.uploadFileBtn.classList.toggle('d-none', !this.uploadEndpoint);
+        
+        this.fileNameTemplateInput.value = this.fileNameTemplate;
+        this.docTitleInput.value = this.documentInfo.title;
+        this.docAuthorInput.value = this.documentInfo.author;
+        this.docSubjectInput.value = this.documentInfo.subject;
+        this.docKeywordsInput.value = this.documentInfo.keywords;
+        this.useOutlineCheckbox.checked = this.useOutline;
+        this.protectionSettings.classList.toggle('d-none', !this.usePasswordCheckbox.checked);
+        
+        this.renderOutlineList();
+        this.updateFileNamePreview();
+        this.saveModal.show();
+    }
+
+    /**
+     * Lista las páginas con un campo para el nombre de su marcador
+     */
+    renderOutlineList() {
+        this.outlineList.innerHTML = '';
+        this.outlineList.classList.toggle('d-none', !this.useOutline);
+        
+        this.images.forEach((image, index) => {
+            const item = document.createElement('div');
+            item.className = 'outline-item';
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = image.thumbnailUrl;
+            thumbnail.alt = `Página ${index + 1}`;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-control form-control-sm';
+            input.value = image.bookmark || '';
+            input.placeholder = `Página ${index + 1}`;
+            input.dataset.id = image.id;
+            input.setAttribute('aria-label', `Marcador de la página ${index + 1}`);
+            
+            item.append(thumbnail, input);
+            this.outlineList.appendChild(item);
+        });
+    }
+
+    /**
+     * Guarda en el estado los valores del diálogo de guardado
+     */
+    readSaveForm() {
+        this.fileNameTemplate = this.fileNameTemplateInput.value.trim();
+        this.documentInfo = {
+            title: this.docTitleInput.value.trim(),
+            author: this.docAuthorInput.value.trim(),
+            subject: this.docSubjectInput.value.trim(),
+            keywords: this.docKeywordsInput.value.trim()
+        };
+        this.useOutline = this.useOutlineCheckbox.checked;
+    }
+
+    /**
+     * Lee y valida las contraseñas y permisos del diálogo de guardado
+     * @returns {Object|null|false} Protección a aplicar, null si no se protege o false si no es válida
+     */
+    readProtectionForm() {
+        if (!this.usePasswordCheckbox.checked) return null;
+        
+        const protection = {
+            userPassword: this.userPasswordInput.value,
+            ownerPassword: this.ownerPasswordInput.value,
+            permissions: []
+        };
+        if (this.allowPrintingCheckbox.checked) protection.permissions.push('print');
+        if (this.allowCopyingCheckbox.checked) protection.permissions.push('copy');
+        if (this.allowModifyingCheckbox.checked) protection.permissions.push('modify', 'annot-forms');
+        
+        // El manejador estándar usa bytes por carácter: los visores no coinciden con tildes o emojis
+        if (/[^\x20-\x7e]/.test(protection.userPassword + protection.ownerPassword)) {
+            alert('Usa solo letras sin tilde, números y símbolos comunes en las contraseñas.');
+            return false;
+        }
+        if (!protection.userPassword && protection.permissions.length === 4) {
+            alert('Escribe una contraseña para abrir o quita algún permiso para proteger el PDF.');
+            return false;
+        }
+        if (protection.ownerPassword && protection.ownerPassword === protection.userPassword) {
+            alert('La contraseña de propietario debe ser distinta de la contraseña para abrir.');
+            return false;
+        }
+        return protection;
+    }
+
+    /**
+     * Opciones de cifrado de jsPDF para la protección elegida
+     * Sin contraseña de propietario cualquiera podría quitar las restricciones,
+     * así que se usa una aleatoria que nadie conoce
+     * @param {Object} protection - Protección de readProtectionForm
+     * @returns {Object} Opción encryption del constructor de jsPDF
+     */
+    getEncryptionOptions(protection) {
+        const ownerPassword = protection.ownerPassword
+            || Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        return {
+            userPassword: protection.userPassword,
+            ownerPassword: ownerPassword,
+            userPermissions: protection.permissions
+        };
+    }
+
+    /**
+     * Olvida las contraseñas una vez usadas
+     */
+    clearProtection() {
+        this.pdfProtection = null;
+        this.userPasswordInput.value = '';
+        this.ownerPasswordInput.value = '';
+    }
+
+    /**
+     * Muestra el nombre de archivo que resulta de la plantilla
+     */
+    updateFileNamePreview() {
+        this.fileNamePreview.textContent = this.getExportFileName();
+    }
+
+    /**
+     * Obtiene el nombre del archivo en el formato de exportación elegido
+     * Las imágenes se exportan una por página, sin la distribución de la hoja
+     * @returns {string} Nombre con extensión
+     */
+    getExportFileName() {
+        const { extension } = this.exportFormats[this.exportFormat];
+        const pageCount = extension === 'pdf' ? this.getCore().getSheetCount(this.images.length) : this.images.length;
+        return this.getFileName(pageCount, extension);
+    }
+
+    /**
+     * Confirma el diálogo de guardado y genera el PDF
+     * @param {string} [destination='download'] - 'download', 'share' o 'upload'
+     */
+    confirmSave(destination = 'download') {
+        const protection = this.exportFormat === 'pdf' ? this.readProtectionForm() : null;
+        if (protection === false) return;
+        
+        this.readSaveForm();
+        this.pdfProtection = protection;
+        
+        // Los marcadores vacíos usan el nombre predeterminado de la página
+        this.outlineList.querySelectorAll('input').forEach(input => {
+            const image = this.images.find(img => String(img.id) === input.dataset.id);
+            if (image) {
+                image.bookmark = input.value.trim();
+            }
+        });
+        
+        this.scheduleSave();
+        this.saveModal.hide();
+        if (this.exportFormats[this.exportFormat].extension === 'pdf') {
+            this.generatePdf({ archive: this.exportFormat === 'pdfa', destination: destination });
+        } else {
+            this.exportImages(this.exportFormat, destination);
+        }
+    }
+
+    /**
+     * Genera el nombre de archivo a partir de la plantilla
+     * Reemplaza {fecha}, {hora}, {paginas} y {titulo} y quita los caracteres no válidos en nombres de archivo
+     * @param {number} pageCount - Número de páginas del documento
+     * @param {string} [extension='pdf'] - Extensión del archivo
+     * @returns {string} Nombre de archivo con extensión
+     */
+    getFileName(pageCount, extension = 'pdf') {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        const values = {
+            fecha: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            hora: `${pad(now.getHours())}-${pad(now.getMinutes())}`,
+            paginas: pageCount,
+            titulo: this.documentInfo.title
+        };
+        
+        let name = this.fileNameTemplate
+            .replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match)
+            .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        // Sin la extensión, que se agrega al final
+        name = name.replace(new RegExp(`\\.${extension}$`, 'i'), '').replace(/^[\s.-]+|[\s.-]+$/g, '');
+        if (!name) {
+            name = `imagenes_${now.getTime()}`;
+        }
+        return `${name}.${extension}`;
+    }
+
+    /**
+     * Obtiene el nombre del marcador de una página
+     * @param {Object} image - Imagen de la colección
+     * @param {number} index - Posición de la página
+     * @returns {string} Nombre del marcador
+     */
+    getBookmarkName(image, index) {
+        return image.bookmark || `Página ${index + 1}`;
+    }
+
+    /**
+     * Agrega las propiedades del documento y los marcadores al PDF
+     * jsPDF completa el productor (Producer) con su propio nombre y versión
+     * @param {jsPDF} pdf - Documento
+     * @param {Object[]} images - Imágenes del documento, en orden
+     * @param {number} [perSheet=1] - Imágenes por hoja: el marcador lleva a la hoja de cada imagen
+     */
+    addDocumentInfo(pdf, images, perSheet = 1) {
+        pdf.setDocumentProperties({
+            ...this.documentInfo,
+            creator: 'Convertidor de Imágenes a PDF'
+        });
+        if (this.documentInfo.title) {
+            // Los visores muestran el título en lugar del nombre de archivo
+            pdf.viewerPreferences({ DisplayDocTitle: true });
+        }
+        
+        if (this.useOutline) {
+            if (this.pdfProtection) {
+                this.encryptOutlineTitles(pdf);
+            }
+            images.forEach((image, index) => {
+                pdf.outline.add(null, this.getBookmarkName(image, index), { pageNumber: Math.floor(index / perSheet) + 1 });
+            });
+            // Abre el PDF con el panel de marcadores visible
+            pdf.setDisplayMode('fullwidth', 'continuous', 'UseOutlines');
+        }
+    }
+
+    /**
+     * Cifra los títulos de los marcadores de un PDF protegido
+     * El complemento de marcadores de jsPDF los escribe sin cifrar y los visores los mostrarían ilegibles
+     * @param {jsPDF} pdf - Documento cifrado
+     */
+    encryptOutlineTitles(pdf) {
+        const outline = pdf.outline;
+        const objStart = outline.objStart;
+        let objectId = null;
+        
+        outline.objStart = function (node) {
+            objectId = node.id;
+            return objStart.call(this, node);
+        };
+        outline.makeString = (value) => `(${pdf.internal.pdfEscape(pdf.internal.getEncryptor(objectId)(value))})`;
+    }
+
+    /**
+     * Agrega lo que pide un archivo a largo plazo al estilo de PDF/A: metadatos XMP que repiten
+     * las propiedades del documento y un OutputIntent con el perfil sRGB de las imágenes
+     * No se declara conformidad PDF/A porque jsPDF no incrusta las fuentes estándar
+     * del texto (OCR, encabezado y pie)
+     * @param {jsPDF} pdf - Documento sin cifrar
+     */
+    addArchiveInfo(pdf) {
+        const escapeXml = (value) => String(value).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+        const info = this.documentInfo;
+        
+        // La fecha de XMP debe coincidir con la de creación del diccionario Info
+        const created = pdf.getCreationDate('jsDate');
+        const offset = -created.getTimezoneOffset();
+        const pad = (value) => String(Math.floor(Math.abs(value))).padStart(2, '0');
+        const date = `${created.getFullYear()}-${pad(created.getMonth() + 1)}-${pad(created.getDate())}`
+            + `T${pad(created.getHours())}:${pad(created.getMinutes())}:${pad(created.getSeconds())}`
+            + `${offset < 0 ? '-' : '+'}${pad(offset / 60)}:${pad(offset % 60)}`;
+        
+        const properties = [
+            '<dc:format>application/pdf</dc:format>',
+            info.title && `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.title)}</rdf:li></rdf:Alt></dc:title>`,
+            info.author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.author)}</rdf:li></rdf:Seq></dc:creator>`,
+            info.subject && `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.subject)}</rdf:li></rdf:Alt></dc:description>`,
+            info.keywords && `<pdf:Keywords>${escapeXml(info.keywords)}</pdf:Keywords>`,
+            `<pdf:Producer>jsPDF ${escapeXml(window.jspdf.jsPDF.version)}</pdf:Producer>`,
+            '<xmp:CreatorTool>Convertidor de Imágenes a PDF</xmp:CreatorTool>',
+            `<xmp:CreateDate>${date}</xmp:CreateDate>`,
+            `<xmp:ModifyDate>${date}</xmp:ModifyDate>`,
+            `<xmpMM:DocumentID>uuid:${pdf.getFileId()}</xmpMM:DocumentID>`
+        ].filter(Boolean);
+        const xmp = '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+            + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            + '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/"'
+            + ' xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/">'
+            + properties.join('')
+            + '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+        
+        // Los flujos se escriben como cadenas binarias: XMP en UTF-8 y el perfil byte a byte
+        const metadata = unescape(encodeURIComponent(xmp));
+        const profile = Array.from(this.createSrgbProfile(), byte => String.fromCharCode(byte)).join('');
+        let metadataId = null;
+        let profileId = null;
+        
+        pdf.internal.events.subscribe('postPutResources', () => {
+            metadataId = pdf.internal.newObject();
+            pdf.internal.putStream({
+                data: metadata,
+                filters: [],
+                objectId: metadataId,
+                additionalKeyValues: [{ key: 'Type', value: '/Metadata' }, { key: 'Subtype', value: '/XML' }]
+            });
+            pdf.internal.write('endobj');
+            
+            profileId = pdf.internal.newObject();
+            pdf.internal.putStream({
+                data: profile,
+                objectId: profileId,
+                additionalKeyValues: [{ key: 'N', value: 3 }]
+            });
+            pdf.internal.write('endobj');
+        });
+        pdf.internal.events.subscribe('putCatalog', () => {
+            pdf.internal.write(`/Metadata ${metadataId} 0 R`);
+            pdf.internal.write(`/OutputIntents [<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (sRGB IEC61966-2.1)`
+                + ` /Info (sRGB IEC61966-2.1) /DestOutputProfile ${profileId} 0 R >>]`);
+        });
+    }
+
+    /**
+     * Crea un perfil ICC v2 de sRGB (colorantes adaptados a D50 y curva de tono de sRGB)
+     * Se genera en lugar de incluir un archivo .icc: ocupa menos de 1 KB
+     * @returns {Uint8Array} Perfil ICC
+     */
+    createSrgbProfile() {
+        const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+        const fixed = (value) => Math.round(value * 65536);
+        const xyz = (x, y, z) => {
+            const bytes = new Uint8Array(20);
+            const view = new DataView(bytes.buffer);
+            bytes.set(ascii('XYZ '));
+            [x, y, z].forEach((value, i) => view.setInt32(8 + i * 4, fixed(value)));
+            return bytes;
+        };
+        
+        // Descripción (textDescriptionType): ASCII seguido de los bloques Unicode y ScriptCode vacíos
+        const name = 'sRGB IEC61966-2.1';
+        const description = new Uint8Array(12 + name.length + 1 + 4 + 4 + 2 + 1 + 67);
+        description.set(ascii('desc'));
+        new DataView(description.buffer).setUint32(8, name.length + 1);
+        description.set(ascii(name), 12);
+        
+        const copyright = new Uint8Array(8 + 14);
+        copyright.set(ascii('text'));
+        copyright.set(ascii('Public Domain'), 8);
+        
+        // Curva de sRGB muestreada en 256 puntos (curveType)
+        const curve = new Uint8Array(12 + 256 * 2);
+        const curveView = new DataView(curve.buffer);
+        curve.set(ascii('curv'));
+        curveView.setUint32(8, 256);
+        for (let i = 0; i < 256; i++) {
+            const v = i / 255;
+            const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+            curveView.setUint16(12 + i * 2, Math.round(linear * 65535));
+        }
+        
+        // Las tres curvas comparten los mismos datos
+        const tags = [
+            ['desc', description],
+            ['cprt', copyright],
+            ['wtpt', xyz(0.9642, 1, 0.8249)],
+            ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+            ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+            ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+            ['rTRC', curve],
+            ['gTRC', curve],
+            ['bTRC', curve]
+        ];
+        const blocks = [];
+        const entries = [];
+        let offset = 128 + 4 + tags.length * 12;
+        tags.forEach(([signature, data]) => {
+            let block = blocks.find(item => item.data === data);
+            if (!block) {
+                block = { data: data, offset: offset };
+                blocks.push(block);
+                // Cada bloque empieza en un múltiplo de 4
+                offset += Math.ceil(data.length / 4) * 4;
+            }
+            entries.push([signature, block.offset, data.length]);
+        });
+        
+        const profile = new Uint8Array(offset);
+        const view = new DataView(profile.buffer);
+        view.setUint32(0, offset);
+        view.setUint32(8, 0x02100000);
+        profile.set(ascii('mntrRGB XYZ '), 12);
+        [2026, 1, 1, 0, 0, 0].forEach((value, i) => view.setUint16(24 + i * 2, value));
+        profile.set(ascii('acsp'), 36);
+        [0.9642, 1, 0.8249].forEach((value, i) => view.setInt32(68 + i * 4, fixed(value)));
+        
+        view.setUint32(128, entries.length);
+        entries.forEach(([signature, position, size], i) => {
+            profile.set(ascii(signature), 132 + i * 12);
+            view.setUint32(136 + i * 12, position);
+            view.setUint32(140 + i * 12, size);
+        });
+        blocks.forEach(block => profile.set(block.data, block.offset));
+        return profile;
+    }
+
+    /**
+     * Exporta las páginas procesadas como imágenes: ZIP de JPG o PNG, una imagen larga o un TIFF de varias páginas
+     * Usa la misma lista de páginas, rotación, resolución y calidad que el PDF, sin la distribución de la hoja
+     * ni el encabezado, el pie o la marca de agua
+     * @param {string} format - 'jpeg', 'png', 'long' o 'tiff'
+     * @param {string} [destination='download'] - 'download', 'share' o 'upload' (ver deliverFile)
+     */
+    async exportImages(format, destination = 'download') {
+        if (this.images.length === 0) return;
+
+        this.loading.style.display = 'block';
+        this.actionsContainer.style.display = 'none';
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        this.pdfAbortController = controller;
+        
+        const images = this.images.slice();
+        const fileName = this.getExportFileName();
+        // Cada página se limita al tamaño de hoja configurado con la resolución de salida
+        const core = this.getCore();
+        const { dpi, quality } = core.getQualitySettings();
+        const [sheetWidth, sheetHeight] = core.getSheetDimensions(false);
+        
+        try {
+            let blob;
+            if (format === 'long') {
+                this.updatePdfProgress('Uniendo las páginas...', 0);
+                const result = await this.runImageTask('stitchPages', {
+                    pages: images.map(image => ({
+                        image: image.blob,
+                        rotation: image.rotation,
+                        annotations: image.annotations || []
+                    })),
+                    maxWidth: Math.round(sheetWidth / 72 * dpi),
+                    quality: quality
+                }, signal);
+                blob = new Blob([result.data], { type: 'image/jpeg' });
+            } else {
+                // Las páginas se codifican en paralelo en los workers y se guardan en orden
+                const lookahead = this.workerPool && !this.workerPool.failed ? this.workerPool.size : 1;
+                const pending = [];
+                const pages = [];
+                let next = 0;
+                
+                for (let i = 0; i < images.length; i++) {
+                    while (next < images.length && pending.length < lookahead) {
+                        const image = images[next++];
+                        const promise = this.runImageTask('encodePage', {
+                            image: image.blob,
+                            rotation: image.rotation,
+                            type: format === 'tiff' ? 'tiff' : `image/${format}`,
+                            quality: quality,
+                            maxSize: Math.round(sheetHeight / 72 * dpi),
+                            bilevel: this.isBilevelFilter(image.filter),
+                            annotations: image.annotations || []
+                        }, signal);
+                        // Evita avisos de promesas rechazadas si se cancela antes de esperarlas
+                        promise.catch(() => {});
+                        pending.push(promise);
+                    }
+                    
+                    this.updatePdfProgress(`Procesando página ${i + 1} de ${images.length}...`, i / images.length);
+                    pages.push(await pending.shift());
+                    if (signal.aborted) return;
+                }
+                
+                this.updatePdfProgress('Guardando...', 1);
+                if (format === 'tiff') {
+                    blob = new Blob([ImageProcessing.encodeTiff(pages, dpi)], { type: 'image/tiff' });
+                } else {
+                    // Cada página lleva el nombre del archivo y su número
+                    const baseName = fileName.replace(/\.zip$/, '');
+                    const extension = format === 'png' ? 'png' : 'jpg';
+                    const files = pages.map((page, index) => ({
+                        name: `${baseName}_${String(index + 1).padStart(3, '0')}.${extension}`,
+                        data: page.data
+                    }));
+                    blob = new Blob([ImageProcessing.createZip(files)], { type: 'application/zip' });
+                }
+            }
+            
+            if (signal.aborted) return;
+            await this.deliverFile(blob, fileName, destination, images.length);
+            this.showSuccess('¡Exportado!', 'Páginas exportadas. Se vació la lista de imágenes.');
+        } catch (error) {
+            // La cancelación no es un error para el usuario
+            if (!signal.aborted) {
+                console.error('Error exportando las páginas:', error);
+                alert('Ocurrió un error al exportar las páginas. Por favor intenta de nuevo.');
+            }
+        } finally {
+            this.pdfAbortController = null;
+            this.cancelPdfBtn.disabled = false;
+            this.updatePdfProgress('Generando PDF, por favor espera...', 0);
+            this.loading.style.display = 'none';
+            this.actionsContainer.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Descarga un archivo generado en la página
+     * @param {Blob} blob - Contenido del archivo
+     * @param {string} fileName - Nombre con extensión
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Se libera después de que el navegador empezó la descarga
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Entrega un archivo generado: lo descarga, lo comparte o lo envía al servidor configurado
+     * @param {Blob} blob - Contenido del archivo
+     * @param {string} fileName - Nombre con extensión
+     * @param {string} destination - 'download', 'share' o 'upload'
+     * @param {number} pageCount - Páginas del archivo, para los datos del envío
+     */
+    async deliverFile(blob, fileName, destination, pageCount) {
+        if (destination === 'share') {
+            await this.shareFile(blob, fileName);
+        } else if (destination === 'upload') {
+            // El envío sigue en segundo plano con su propio indicador y reintentos
+            this.uploadFile({ blob, fileName, fields: this.getUploadFields(fileName, pageCount) });
+        } else {
+            this.downloadBlob(blob, fileName);
+        }
+    }
+
+    /**
+     * Comparte el archivo con la Web Share API (correo, mensajería, Drive...)
+     * Si el navegador no puede compartir archivos de este tipo, se descarga
+     * @param {Blob} blob - Contenido del archivo
+     * @param {string} fileName - Nombre con extensión
+     */
+    async shareFile(blob, fileName) {
+        const file = new File([blob], fileName, { type: blob.type });
+        if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+            this.downloadBlob(blob, fileName);
+            return;
+        }
+        
+        try {
+            await navigator.share({ files: [file], title: this.documentInfo.title || fileName });
+        } catch (error) {
+            // Cerrar el menú de compartir no es un error
+            if (error.name === 'AbortError') return;
+            // El permiso para compartir caduca poco después del clic: con documentos largos
+            // la generación tarda más y hay que pedir otro toque
+            if (error.name === 'NotAllowedError') {
+                this.showShareBar(file);
+                return;
+            }
+            console.error('Error al compartir:', error);
+            this.downloadBlob(blob, fileName);
+        }
+    }
+
+    /**
+     * Muestra la barra con el botón para compartir el archivo ya generado
+     * @param {File} file - Archivo pendiente
+     */
+    showShareBar(file) {
+        this.pendingShare = file;
+        this.shareBar.classList.remove('d-none');
+    }
+
+    /**
+     * Oculta la barra de compartir y descarta el archivo pendiente
+     */
+    hideShareBar() {
+        this.pendingShare = null;
+        this.shareBar.classList.add('d-none');
+    }
+
+    /**
+     * Comparte el archivo de la barra (el clic da un nuevo permiso)
+     */
+    async sharePending() {
+        const file = this.pendingShare;
+        this.hideShareBar();
+        if (!file) return;
+        
+        try {
+            await navigator.share({ files: [file], title: this.documentInfo.title || file.name });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error al compartir:', error);
+            this.downloadBlob(file, file.name);
+        }
+    }
+
+    /**
+     * Datos que acompañan al archivo en el envío al servidor
+     * Las propiedades del documento solo se envían con los PDF, que son los que las piden al guardar
+     * @param {string} fileName - Nombre con extensión
+     * @param {number} pageCount - Páginas del archivo
+     * @returns {Object<string, string>} Campos del formulario
+     */
+    getUploadFields(fileName, pageCount) {
+        const fields = {
+            nombre: fileName,
+            formato: this.exportFormat,
+            paginas: String(pageCount),
+            fecha: new Date().toISOString()
+        };
+        if (this.exportFormats[this.exportFormat].extension === 'pdf') {
+            fields.titulo = this.documentInfo.title;
+            fields.autor = this.documentInfo.author;
+            fields.asunto = this.documentInfo.subject;
+            fields.palabrasClave = this.documentInfo.keywords;
+        }
+        return fields;
+    }
+
+    /**
+     * Envía un archivo al servidor configurado como formulario multipart ('archivo' y los campos de datos)
+     * Reintenta con esperas crecientes si no hay conexión o el servidor responde 5xx o 429;
+     * si todos los intentos fallan, el indicador permite reintentar a mano
+     * @param {Object} upload - { blob, fileName, fields }
+     */
+    async uploadFile(upload) {
+        const { blob, fileName, fields } = upload;
+        const endpoint = this.uploadEndpoint;
+        this.pendingUpload = null;
+        let reason = '';
+        
+        for (let attempt = 1; attempt <= this.uploadAttempts; attempt++) {
+            this.setUploadStatus('sending', attempt === 1
+                ? `Enviando ${fileName}...`
+                : `Enviando ${fileName} (intento ${attempt} de ${this.uploadAttempts})...`);
+            
+            const body = new FormData();
+            body.append('archivo', blob, fileName);
+            Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+            
+            let retry = true;
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: body,
+                    signal: AbortSignal.timeout(this.uploadTimeout)
+                });
+                if (response.ok) {
+                    this.setUploadStatus('done', `${fileName} se envió correctamente.`);
+                    return;
+                }
+                reason = `el servidor respondió ${response.status}`;
+                // Los demás errores del cliente no se arreglan repitiendo la misma petición
+                retry = response.status >= 500 || response.status === 429;
+            } catch (error) {
+                console.error('Error enviando el archivo:', error);
+                reason = error.name === 'TimeoutError' ? 'el servidor tardó demasiado' : 'no se pudo conectar con el servidor';
+            }
+            
+            if (!retry || attempt === this.uploadAttempts) break;
+            const delay = 1000 * 2 ** (attempt - 1);
+            this.setUploadStatus('sending', `No se pudo enviar (${reason}). Reintentando en ${delay / 1000} s...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        this.pendingUpload = upload;
+        this.setUploadStatus('error', `No se pudo enviar ${fileName}: ${reason}.`);
+    }
+
+    /**
+     * Actualiza el indicador del envío al servidor
+     * @param {string} state - 'sending', 'done' o 'error'
+     * @param {string} text - Mensaje para el usuario
+     */
+    setUploadStatus(state, text) {
+        const styles = {
+            sending: { alert: 'alert-info', icon: 'fas fa-spinner fa-spin' },
+            done: { alert: 'alert-success', icon: 'fas fa-check-circle' },
+            error: { alert: 'alert-danger', icon: 'fas fa-exclamation-circle' }
+        };
+        this.uploadStatus.className = `alert upload-status ${styles[state].alert}`;
+        this.uploadStatusIcon.className = styles[state].icon;
+        this.uploadStatusText.textContent = text;
+        this.retryUploadBtn.classList.toggle('d-none', state !== 'error');
+        this.uploadStatusClose.classList.toggle('d-none', state === 'sending');
+    }
+
+    /**
+     * Muestra el avance de la generación del PDF
+     * @param {string} text - Descripción del paso actual
+     * @param {number} ratio - Avance entre 0 y 1
+     */
+    updatePdfProgress(text, ratio) {
+        this.loadingText.textContent = text;
+        this.pdfProgressBar.style.width = `${Math.round(ratio * 100)}%`;
+    }
+
+    /**
+     * Cancela la generación del PDF en curso
+     * Las páginas en espera se descartan; las que ya se están codificando terminan y se ignoran
+     */
+    cancelPdf() {
+        if (!this.pdfAbortController) return;
+        
+        this.cancelPdfBtn.disabled = true;
+        this.loadingText.textContent = 'Cancelando...';
+        this.pdfAbortController.abort();
+    }
+
+    /**
+     * Calcula la página de una imagen y la codifica con la calidad configurada
+     * @param {Object} image - Imagen de la colección
+     * @param {ConverterCore} core - Núcleo con la configuración de la operación (ver getCore)
+     * @param {AbortSignal} [signal] - Cancela la codificación si todavía está en espera
+     * @param {Object|null} [slot] - Celda de la hoja cuando hay varias imágenes por hoja (ver ConverterCore.getLayoutSlot)
+     * @returns {Promise<Object>} Dimensiones de la página, orientación, posición de la imagen (y de la imagen completa, para las anotaciones) e imagen codificada
+     */
+    async preparePage(image, core, signal, slot = null) {
+        // Dimensiones de la imagen tal como se verá en la página (ya rotada); se guardan con la página,
+        // así la imagen completa se decodifica una sola vez, en el worker que la codifica
+        const quarterTurn = image.rotation === 90 || image.rotation === 270;
+        const imgWidth = quarterTurn ? image.height : image.width;
+        const imgHeight = quarterTurn ? image.width : image.height;
+        
+        // Hoja, posición y rectángulo de la imagen completa (para las anotaciones) según la configuración
+        const { pageWidth, pageHeight, orientation, placement, frame } = core.getPageLayout(imgWidth, imgHeight, slot);
+        const encoded = await this.optimizeImage(image.blob, {
+            rotation: image.rotation,
+            ...core.getEncodeOptions(placement, image.filter)
+        }, signal);
+        
+        return { pageWidth, pageHeight, orientation, placement, frame, encoded };
+    }
+
+    /**
+     * Carga un script externo una sola vez
+     * Si falla se puede volver a intentar en la siguiente llamada
+     * @param {string} src - Ruta del script
+     * @returns {Promise<void>} Se resuelve cuando el script se ejecutó
+     */
+    loadScript(src) {
+        if (!this.scriptPromises.has(src)) {
+            this.scriptPromises.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    this.scriptPromises.delete(src);
+                    script.remove();
+                    reject(new Error(`No se pudo cargar ${src}`));
+                };
+                document.head.appendChild(script);
+            }));
+        }
+        return this.scriptPromises.get(src);
+    }
+
+    /**
+     * Crea un worker de Tesseract con los idiomas indicados
+     * El motor, el núcleo WebAssembly y los datos de idioma se sirven desde vendor/,
+     * así que el reconocimiento funciona sin conexión
+     * @param {string} language - Códigos de idioma separados por '+' (p. ej. 'spa+eng')
+     * @returns {Promise<Object>} Worker listo para reconocer
+     */
+    async createOcrWorker(language) {
+        if (!window.Tesseract) {
+            await this.loadScript(this.ocrAssets.script);
+        }
+        
+        // OEM 1: solo el motor LSTM, el único incluido en los datos de idioma
+        return window.Tesseract.createWorker(language.split('+'), 1, {
+            workerPath: this.ocrAssets.workerPath,
+            corePath: this.ocrAssets.corePath,
+            langPath: this.ocrAssets.langPath,
+            workerBlobURL: false,
+            gzip: true
+        });
+    }
+
+    /**
+     * Reconoce el texto de una página tal como aparece en el PDF
+     * Se analiza la misma imagen rotada y recortada que se incrusta, a 300 ppp,
+     * para que las coordenadas de cada palabra coincidan con la página
+     * @param {Object} worker - Worker de Tesseract
+     * @param {Object} image - Imagen de la colección
+     * @param {Object} placement - Posición de la imagen en la página
+     * @returns {Promise<Object[]>} Palabras con texto y caja en proporciones de la imagen (0 a 1)
+     */
+    async recognizePage(worker, image, placement) {
+        const ocrImage = await this.optimizeImage(image.blob, {
+            rotation: image.rotation,
+            cropRatio: placement.cropRatio,
+            maxWidth: Math.round(placement.width / 72 * 300),
+            maxHeight: Math.round(placement.height / 72 * 300),
+            quality: 0.92
+        });
+        const { data } = await worker.recognize(ocrImage.data);
+        
+        const words = [];
+        for (const line of data.lines) {
+            // Todas las palabras de la línea comparten tamaño de letra y línea base
+            const lineHeight = line.bbox.y1 - line.bbox.y0;
+            const baseline = line.baseline;
+            const slope = baseline.x1 !== baseline.x0 ? (baseline.y1 - baseline.y0) / (baseline.x1 - baseline.x0) : 0;
+            
+            for (const word of line.words) {
+                const text = word.text.trim();
+                if (!text || word.confidence < 20) continue;
+                
+                const baselineY = baseline.has_baseline
+                    ? baseline.y0 + slope * (word.bbox.x0 - baseline.x0)
+                    : word.bbox.y1;
+                words.push({
+                    text: text,
+                    x0: word.bbox.x0 / ocrImage.width,
+                    x1: word.bbox.x1 / ocrImage.width,
+                    baseline: baselineY / ocrImage.height,
+                    height: lineHeight / ocrImage.height
+                });
+            }
+        }
+        return words;
+    }
+
+    /**
+     * Escribe las palabras reconocidas como texto invisible sobre la imagen de la página
+     * Cada palabra se estira horizontalmente para ocupar el mismo ancho que en la imagen,
+     * así la selección y la búsqueda resaltan el lugar correcto
+     * @param {Object} pdf - Documento jsPDF
+     * @param {Object[]} words - Palabras devueltas por recognizePage()
+     * @param {Object} placement - Posición de la imagen en la página
+     */
+    addTextLayer(pdf, words, placement) {
+        pdf.setFont('helvetica', 'normal');
+        
+        for (const word of words) {
+            const fontSize = Math.max(1, word.height * placement.height);
+            pdf.setFontSize(fontSize);
+            
+            const textWidth = pdf.getTextWidth(word.text);
+            if (textWidth <= 0) continue;
+            
+            const width = (word.x1 - word.x0) * placement.width;
+            pdf.text(word.text, placement.x + word.x0 * placement.width, placement.y + word.baseline * placement.height, {
+                renderingMode: 'invisible',
+                horizontalScale: width / textWidth
+            });
+        }
+    }
+
+    /**
+     * Crea el núcleo del convertidor con la configuración actual
+     * Los cálculos de hoja, distribución y calidad viven en ConverterCore (nucleo.js),
+     * que también se usa sin interfaz desde Node. Cada operación crea uno y lo reutiliza
+     * @returns {ConverterCore} Núcleo configurado como el panel
+     */
+    getCore() {
+        return new ConverterCore(this.getSettings());
+    }
+
+    /**
+     * Indica si un filtro produce páginas de solo blanco y negro (se guardan a 1 bit sin pérdida)
+     * @param {string} filter - Código del filtro
+     * @returns {boolean} true si la página es bitonal
+     */
+    isBilevelFilter(filter) {
+        return ImageProcessing.isBilevelFilter(filter);
+    }
+
+    /**
+     * Programa el cálculo del tamaño estimado del PDF
+     * Espera a que el usuario deje de cambiar opciones para no codificar de más
+     */
+    scheduleSizeEstimate() {
+        clearTimeout(this.sizeEstimateTimer);
+        if (this.images.length === 0) return;
+        
+        this.sizeEstimateValue.textContent = 'calculando...';
+        this.sizeEstimateTimer = setTimeout(() => this.updateSizeEstimate(), 600);
+    }
+
+    /**
+     * Calcula el tamaño estimado del PDF codificando cada página con la configuración actual
+     * Los resultados se guardan por página y configuración para no repetir el trabajo
+     */
+    async updateSizeEstimate() {
+        const timer = this.sizeEstimateTimer;
+        const core = this.getCore();
+        const settings = JSON.stringify([
+            this.pageSize, this.pageOrientation, this.fitMode, this.useMargins,
+            this.marginSize, core.getQualitySettings(), this.layout, this.gridColumns,
+            this.gridRows, this.layoutSpacing, this.numberImages
+        ]);
+        const plan = core.getLayoutPlan();
+        
+        // Cabecera, catálogo y tabla de referencias del PDF
+        let total = 2000;
+        try {
+            for (const [index, image] of this.images.entries()) {
+                // La celda depende de la posición de la imagen en la hoja
+                const slot = core.getLayoutSlot(plan, index);
+                const cell = slot ? index % plan.cells.length : 0;
+                const key = `${image.id}|${image.revision}|${image.filter}|${image.rotation}|${cell}|${settings}`;
+                if (!this.sizeEstimateCache.has(key)) {
+                    const page = await this.preparePage(image, core, undefined, slot);
+                    this.sizeEstimateCache.set(key, page.encoded.size);
+                }
+                // Se descarta el cálculo si mientras tanto cambió algo
+                if (timer !== this.sizeEstimateTimer) return;
+                
+                // Objetos de página e imagen
+                total += this.sizeEstimateCache.get(key) + 400;
+            }
+        } catch (error) {
+            console.error('Error estimando el tamaño del PDF:', error);
+            this.sizeEstimateValue.textContent = 'no disponible';
+            return;
+        }
+        
+        this.sizeEstimateValue.textContent = `~${this.formatFileSize(total)}`;
+    }
+
+    /**
+     * Da formato legible a un tamaño en bytes
+     * @param {number} bytes - Tamaño en bytes
+     * @returns {string} Tamaño con unidad (KB o MB)
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Muestra los controles de la distribución elegida y actualiza el aviso informativo
+     */
+    updateLayoutControls() {
+        const multiple = this.layout !== 'single';
+        this.gridSettings.classList.toggle('d-none', this.layout !== 'grid');
+        this.layoutOptions.classList.toggle('d-none', !multiple);
+        
+        const descriptions = {
+            'single': 'Cada imagen ocupará una hoja completa del PDF.',
+            '2up': 'Se pondrán 2 imágenes por hoja.',
+            '4up': 'Se pondrán 4 imágenes por hoja.',
+            'grid': `Se pondrán ${this.gridColumns * this.gridRows} imágenes por hoja (${this.gridColumns} × ${this.gridRows}).`,
+            'idcard': 'Cada par de imágenes (anverso y reverso) se imprimirá a tamaño real de documento de identidad en una hoja.',
+            'contact': 'Las imágenes se imprimirán como miniaturas con título en una hoja de contactos.'
+        };
+        this.layoutInfo.textContent = descriptions[this.layout];
+    }
+
+    /**
+     * Lee los controles de encabezado, pie y marca de agua y actualiza la vista previa
+     */
+    readStampForm() {
+        const stamps = { ...this.pageStamps };
+        this.stampControls.forEach(control => {
+            const key = control.dataset.stamp;
+            stamps[key] = control.type === 'number' || control.type === 'range'
+                ? parseFloat(control.value) || 0
+                : control.value;
+        });
+        stamps.fontSize = Math.min(24, Math.max(6, stamps.fontSize));
+        this.pageStamps = stamps;
+        
+        this.updateStampControls();
+        this.renderStampPreview();
+    }
+
+    /**
+     * Muestra los controles del tipo de marca de agua elegido
+     */
+    updateStampControls() {
+        const type = this.pageStamps.watermarkType;
+        this.watermarkTextSettings.classList.toggle('d-none', type !== 'text');
+        this.watermarkImageSettings.classList.toggle('d-none', type !== 'image');
+        this.watermarkRanges.forEach(range => range.classList.toggle('d-none', type === 'none'));
+        this.watermarkOpacityValue.textContent = this.pageStamps.watermarkOpacity;
+        this.watermarkSizeValue.textContent = this.pageStamps.watermarkSize;
+    }
+
+    /**
+     * Carga la imagen de la marca de agua y la guarda como PNG para conservar la transparencia
+     * @param {File} file - Imagen elegida
+     */
+    async loadWatermarkImage(file) {
+        if (!file) return;
+        
+        try {
+            const img = await this.loadImage(await this.readFileAsDataUrl(file));
+            // Un logotipo no necesita más resolución; así el borrador no crece
+            const scale = Math.min(1, 1000 / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            
+            this.pageStamps = {
+                ...this.pageStamps,
+                watermarkImage: {
+                    dataUrl: canvas.toDataURL('image/png'),
+                    width: canvas.width,
+                    height: canvas.height
+                }
+            };
+            this.renderStampPreview();
+            this.scheduleSave();
+        } catch (error) {
+            console.error('Error cargando la marca de agua:', error);
+            alert('No se pudo abrir la imagen de la marca de agua.');
+        }
+        this.watermarkImageInput.value = '';
+    }
+
+    /**
+     * Calcula qué se escribe en una hoja y dónde
+     * Los textos del encabezado y del pie se centran en el margen superior e inferior;
+     * varios textos en la misma posición se unen en una línea
+     * @param {number} pageWidth - Ancho de la hoja en puntos
+     * @param {number} pageHeight - Alto de la hoja en puntos
+     * @param {number} pageNumber - Número de la hoja
+     * @param {number} pageCount - Total de hojas
+     * @returns {{texts: Object[], watermark: Object|null}} Textos con su línea base y alineación,
+     *          y marca de agua con su centro, ancho, ángulo y opacidad
+     */
+    getStampLayout(pageWidth, pageHeight, pageNumber, pageCount) {
+        const stamps = this.pageStamps;
+        const margin = this.useMargins ? this.marginSize : 0;
+        // Sin margen suficiente, los textos quedan lo justo para no cortarse al imprimir
+        const band = Math.max(margin, stamps.fontSize * 2.5);
+        const inset = Math.max(margin, 20);
+        
+        const slots = new Map();
+        const put = (position, text) => {
+            if (!text || position === 'none') return;
+            slots.set(position, (slots.get(position) || []).concat(text));
+        };
+        put(`header-${stamps.headerAlign}`, stamps.headerText.trim());
+        put(`footer-${stamps.footerAlign}`, stamps.footerText.trim());
+        put(stamps.pageNumberPosition, `Página ${pageNumber} de ${pageCount}`);
+        put(stamps.datePosition, new Date().toLocaleDateString('es-ES'));
+        
+        const texts = [...slots].map(([position, parts]) => {
+            const [area, align] = position.split('-');
+            const x = { left: inset, center: pageWidth / 2, right: pageWidth - inset }[align];
+            const middle = area === 'header' ? band / 2 : pageHeight - band / 2;
+            return { text: parts.join(' · '), x: x, y: middle + stamps.fontSize * 0.35, align: align };
+        });
+        
+        let watermark = null;
+        const size = stamps.watermarkSize / 100;
+        if (stamps.watermarkType === 'text' && stamps.watermarkText.trim()) {
+            // El texto recorre la diagonal de la hoja, de abajo a la izquierda hacia arriba a la derecha
+            watermark = {
+                type: 'text',
+                text: stamps.watermarkText.trim(),
+                width: Math.hypot(pageWidth, pageHeight) * size,
+                angle: Math.atan2(pageHeight, pageWidth) * 180 / Math.PI
+            };
+        } else if (stamps.watermarkType === 'image' && stamps.watermarkImage) {
+            const { width, height } = stamps.watermarkImage;
+            const scale = Math.min(pageWidth * size / width, pageHeight * size / height);
+            watermark = { type: 'image', width: width * scale, height: height * scale, angle: 0 };
+        }
+        if (watermark) {
+            watermark.x = pageWidth / 2;
+            watermark.y = pageHeight / 2;
+            watermark.opacity = stamps.watermarkOpacity / 100;
+        }
+        
+        return { texts, watermark };
+    }
+
+    /**
+     * Escribe el encabezado, el pie y la marca de agua en todas las hojas del documento
+     * @param {jsPDF} pdf - Documento con todas sus hojas
+     */
+    addPageStamps(pdf) {
+        const pageCount = pdf.getNumberOfPages();
+        
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            pdf.setPage(pageNumber);
+            const pageWidth = pdf.internal.pageSize.getWidth();
+            const pageHeight = pdf.internal.pageSize.getHeight();
+            const { texts, watermark } = this.getStampLayout(pageWidth, pageHeight, pageNumber, pageCount);
+            
+            if (watermark) {
+                this.drawWatermark(pdf, watermark);
+            }
+            if (texts.length > 0) {
+                pdf.setFont('helvetica', 'normal');
+                pdf.setFontSize(this.pageStamps.fontSize);
+                pdf.setTextColor(80);
+                texts.forEach(item => pdf.text(item.text, item.x, item.y, { align: item.align }));
+                pdf.setTextColor(0);
+            }
+        }
+    }
+
+    /**
+     * Dibuja la marca de agua semitransparente centrada en la hoja actual
+     * @param {jsPDF} pdf - Documento
+     * @param {Object} watermark - Marca de agua de getStampLayout()
+     */
+    drawWatermark(pdf, watermark) {
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity: watermark.opacity }));
+        
+        if (watermark.type === 'text') {
+            pdf.setFont('helvetica', 'bold');
+            const fontSize = watermark.width / pdf.getStringUnitWidth(watermark.text);
+            pdf.setFontSize(fontSize);
+            pdf.setTextColor(128);
+            // jsPDF gira el texto alrededor del inicio de su línea base: se parte de un punto
+            // tal que el centro del texto caiga en el centro de la hoja
+            const radians = watermark.angle * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const x = watermark.x - cos * watermark.width / 2 + sin * fontSize * 0.35;
+            const y = watermark.y + sin * watermark.width / 2 + cos * fontSize * 0.35;
+            pdf.text(watermark.text, x, y, { angle: watermark.angle });
+            pdf.setTextColor(0);
+        } else {
+            // El alias hace que el logotipo se guarde una sola vez en el PDF
+            pdf.addImage(this.pageStamps.watermarkImage.dataUrl, 'PNG',
+                watermark.x - watermark.width / 2, watermark.y - watermark.height / 2,
+                watermark.width, watermark.height, 'marca-de-agua');
+        }
+        
+        pdf.restoreGraphicsState();
+    }
+
+    /**
+     * Dibuja la vista previa de la primera hoja con el encabezado, el pie y la marca de agua
+     */
+    renderStampPreview() {
+        const core = this.getCore();
+        const [pageWidth, pageHeight] = core.getSheetDimensions(this.pageOrientation === 'landscape');
+        const scale = Math.min(240 / pageWidth, 340 / pageHeight);
+        const pageCount = Math.max(1, core.getSheetCount(this.images.length));
+        const { texts, watermark } = this.getStampLayout(pageWidth, pageHeight, 1, pageCount);
+        
+        const page = this.stampPreview;
+        page.replaceChildren();
+        page.style.width = `${pageWidth * scale}px`;
+        page.style.height = `${pageHeight * scale}px`;
+        
+        // Área de la imagen (sin márgenes)
+        const area = core.getPrintableArea(pageWidth, pageHeight);
+        const image = document.createElement('div');
+        image.className = 'stamp-preview-image';
+        Object.assign(image.style, {
+            left: `${area.x * scale}px`,
+            top: `${area.y * scale}px`,
+            width: `${area.width * scale}px`,
+            height: `${area.height * scale}px`
+        });
+        page.appendChild(image);
+        
+        if (watermark) {
+            let mark;
+            if (watermark.type === 'text') {
+                mark = document.createElement('div');
+                mark.className = 'stamp-preview-watermark';
+                mark.textContent = watermark.text;
+                // Mismo ancho que en el PDF: se mide el texto a 100 px y se escala
+                const context = document.createElement('canvas').getContext('2d');
+                context.font = 'bold 100px Helvetica, Arial, sans-serif';
+                mark.style.fontSize = `${watermark.width * scale * 100 / context.measureText(watermark.text).width}px`;
+            } else {
+                mark = document.createElement('img');
+                mark.className = 'stamp-preview-watermark';
+                mark.src = this.pageStamps.watermarkImage.dataUrl;
+                mark.alt = '';
+                mark.style.width = `${watermark.width * scale}px`;
+            }
+            mark.style.left = `${watermark.x * scale}px`;
+            mark.style.top = `${watermark.y * scale}px`;
+            mark.style.opacity = watermark.opacity;
+            mark.style.transform = `translate(-50%, -50%) rotate(${-watermark.angle}deg)`;
+            page.appendChild(mark);
+        }
+        
+        texts.forEach(item => {
+            const text = document.createElement('div');
+            text.className = 'stamp-preview-text';
+            text.textContent = item.text;
+            const shift = { left: '0', center: '-50%', right: '-100%' }[item.align];
+            Object.assign(text.style, {
+                left: `${item.x * scale}px`,
+                top: `${item.y * scale}px`,
+                fontSize: `${this.pageStamps.fontSize * scale}px`,
+                transform: `translate(${shift}, -80%)`
+            });
+            page.appendChild(text);
+        });
     }
 
     /**
-     * Vuelve a abrir la cámara para capturar otra foto
+     * Optimiza una imagen para reducir su tamaño (rotación, recorte, escala y compresión)
+     * El trabajo se hace en un worker; ver ImageProcessing.optimizeImage() para las opciones
+     * @param {Blob|string} image - Imagen (Blob de la página o data URL)
+     * @param {Object} [options] - Opciones de optimización
+     * @param {AbortSignal} [signal] - Cancela la tarea si todavía está en espera
+     * @returns {Promise<{data: string|Uint8Array, format: string, size: number, width: number, height: number}>} Imagen codificada, formato para jsPDF, tamaño en bytes y dimensiones en píxeles
      */
-    retakePhoto() {
-        this.filterModal.hide();
-        setTimeout(() => this.openCamera(), 300);
+    optimizeImage(image, options = {}, signal) {
+        return this.runImageTask('optimizeImage', { ...options, image: image }, signal);
     }
 
     /**
-     * Maneja el evento dragover
+     * Carga una imagen y retorna el elemento Image
+     * @param {string|Blob} src - URL o Blob de la imagen; el Blob se abre con un ObjectURL temporal
+     * @returns {Promise<HTMLImageElement>} Elemento Image cargado
      */
-    handleDragOver(e) {
-        e.preventDefault();
-        this.uploadZone.classList.add('dragover');
+    loadImage(src) {
+        const url = src instanceof Blob ? URL.createObjectURL(src) : src;
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('No se pudo decodificar la imagen'));
+            img.src = url;
+        }).finally(() => {
+            if (url !== src) URL.revokeObjectURL(url);
+        });
     }
 
     /**
-     * Maneja el evento dragleave
+     * Crea la miniatura de una imagen y obtiene sus dimensiones en un worker
+     * @param {Blob} blob - Imagen completa
+     * @returns {Promise<{thumbnail: Blob, width: number, height: number}>} Miniatura y dimensiones de la imagen
      */
-    handleDragLeave(e) {
-        e.preventDefault();
-        this.uploadZone.classList.remove('dragover');
+    describeImage(blob) {
+        return this.runImageTask('createThumbnail', { image: blob, maxSize: this.thumbnailSize });
     }
 
     /**
-     * Maneja el evento drop de archivos
+     * Asigna la imagen de una página (o de una foto o entrada de la cola) con su miniatura
+     * La página conserva el Blob; la cuadrícula solo decodifica la miniatura
+     * Cada cambio de imagen sube la revisión, que invalida los análisis y estimaciones guardados
+     * @param {Object} page - Página a actualizar
+     * @param {Blob} blob - Imagen completa
+     * @param {{thumbnail: Blob, width: number, height: number}} described - Resultado de describeImage
      */
-    handleDrop(e) {
-        e.preventDefault();
-        this.uploadZone.classList.remove('dragover');
-        const files = e.dataTransfer.files;
-        this.handleFiles(files);
+    setPageImage(page, blob, described) {
+        page.blob = blob;
+        page.thumbnailBlob = described.thumbnail;
+        page.thumbnailUrl = this.createPageUrl(described.thumbnail);
+        page.width = described.width;
+        page.height = described.height;
+        page.revision = (page.revision || 0) + 1;
     }
 
     /**
-     * Procesa los archivos cargados
-     * @param {FileList} files - Lista de archivos seleccionados
+     * Crea un ObjectURL para mostrar una miniatura
+     * @param {Blob} blob - Miniatura
+     * @returns {string} ObjectURL registrado para liberarlo con releasePageUrls
      */
-    handleFiles(files) {
-        const imageFiles = Array.from(files).filter(file => 
-            file.type.startsWith('image/')
-        );
+    createPageUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.pageUrls.add(url);
+        return url;
+    }
 
-        if (imageFiles.length === 0) {
-            alert('Por favor selecciona al menos una imagen válida.');
-            return;
+    /**
+     * Libera los ObjectURL de las miniaturas que ya no se usan (páginas quitadas, reeditadas o de otro borrador)
+     * Mientras se puede deshacer una acción se conservan todas, porque deshacer las vuelve a mostrar
+     */
+    releasePageUrls() {
+        if (this.undoAction) return;
+        
+        const inUse = new Set();
+        [this.images, this.importQueue, this.captureSession].forEach(list => {
+            list.forEach(item => inUse.add(item.thumbnailUrl));
+        });
+        this.pageUrls.forEach(url => {
+            if (!inUse.has(url)) {
+                URL.revokeObjectURL(url);
+                this.pageUrls.delete(url);
+            }
+        });
+    }
+
+    /**
+     * Muestra la imagen en revisión en el editor de esquinas
+     * @param {Blob|null} blob - Imagen completa, o null para vaciar el editor y liberar su ObjectURL
+     */
+    setCornerImage(blob) {
+        if (this.cornerImageUrl) {
+            URL.revokeObjectURL(this.cornerImageUrl);
+            this.cornerImageUrl = null;
+        }
+        if (blob) {
+            this.cornerImageUrl = URL.createObjectURL(blob);
+            this.cornerImage.src = this.cornerImageUrl;
+        } else {
+            this.cornerImage.removeAttribute('src');
         }
+    }
 
-        imageFiles.forEach(file => this.addImage(file));
-        this.updateUI();
+    /**
+     * Muestra mensaje de éxito y limpia automáticamente las imágenes
+     * @param {string} [label='¡PDF Generado!'] - Texto del botón mientras dura el mensaje
+     * @param {string} [undoMessage] - Texto de la barra de deshacer al vaciar la lista
+     */
+    showSuccess(label = '¡PDF Generado!', undoMessage = 'PDF generado. Se vació la lista de imágenes.') {
+        const originalText = this.generatePdfBtn.innerHTML;
+        this.generatePdfBtn.innerHTML = `<i class="fas fa-check"></i> ${label}`;
+        this.generatePdfBtn.classList.add('btn-success');
+        this.generatePdfBtn.classList.remove('btn-primary');
+        
+        setTimeout(() => {
+            this.generatePdfBtn.innerHTML = originalText;
+            this.generatePdfBtn.classList.remove('btn-success');
+            this.generatePdfBtn.classList.add('btn-primary');
+            
+            // Limpia automáticamente todas las imágenes después de generar el PDF
+            this.clearImagesWithUndo(undoMessage);
+        }, 3000);
     }
 
     /**
-     * Agrega una imagen a la colección (desde archivo)
-     * @param {File} file - Archivo de imagen
+     * Limpia todas las imágenes y reinicia la aplicación
+     * En lugar de pedir confirmación se ofrece deshacer
      */
-    addImage(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            // Guarda la imagen capturada y abre el modal de filtros
-            this.currentCapturedImage = e.target.result;
-            this.currentImageSource = 'file';
-            this.openFilterModal();
-        };
-        reader.readAsDataURL(file);
+    clearAll() {
+        if (this.images.length === 0) return;
+        this.clearImagesWithUndo(`Se eliminaron ${this.images.length} imágenes.`);
     }
 
     /**
-     * Renderiza las vistas previas de las imágenes
+     * Vacía la lista de imágenes y muestra la opción de deshacer
+     * @param {string} message - Texto de la barra de deshacer
      */
-    renderPreviews() {
-        this.previewGrid.innerHTML = '';
+    clearImagesWithUndo(message) {
+        const removed = this.images;
+        this.images = [];
+        this.fileInput.value = '';
         
-        this.images.forEach((image, index) => {
-            const previewItem = this.createPreviewElement(image, index);
-            this.previewGrid.appendChild(previewItem);
+        // Primero la acción de deshacer, para que el repintado conserve las miniaturas quitadas
+        this.showUndo(message, () => {
+            // Las imágenes agregadas después de limpiar quedan al final
+            this.images = removed.concat(this.images);
+            this.renderPreviews();
         });
-
-        this.updateUI();
+        this.renderPreviews();
     }
 
     /**
-     * Obtiene el nombre legible del filtro
-     * @param {string} filter - Código del filtro
-     * @returns {string} Nombre legible del filtro
+     * Muestra la barra de deshacer durante unos segundos
+     * @param {string} message - Texto a mostrar
+     * @param {Function} action - Restaura el estado anterior
      */
-    getFilterName(filter) {
-        const filterNames = {
-            'original': 'Original',
-            'grayscale': 'Escala de Grises',
-            'bw': 'B/N',
-            'enhanced': 'Mejorado'
-        };
-        return filterNames[filter] || 'Original';
+    showUndo(message, action) {
+        this.undoAction = action;
+        this.undoText.textContent = message;
+        this.undoBar.classList.remove('d-none');
+        
+        clearTimeout(this.undoTimer);
+        this.undoTimer = setTimeout(() => this.hideUndo(), 10000);
     }
 
     /**
-     * Crea un elemento de vista previa
-     * @param {Object} image - Objeto de imagen
-     * @param {number} index - Índice de la imagen
-     * @returns {HTMLElement} Elemento de vista previa
+     * Oculta la barra de deshacer y descarta la acción pendiente
      */
-    createPreviewElement(image, index) {
-        const div = document.createElement('div');
-        div.className = 'preview-item';
-        
-        const cameraIcon = image.isFromCamera ? '<i class="fas fa-camera" style="font-size: 0.7rem;"></i> ' : '';
-        const filterBadge = image.isFromCamera ? `<span class="filter-badge">${this.getFilterName(image.filter)}</span>` : '';
+    hideUndo() {
+        clearTimeout(this.undoTimer);
+        const discarded = this.undoAction !== null;
+        this.undoAction = null;
+        this.undoBar.classList.add('d-none');
         
-        div.innerHTML = `
-            <span class="order-badge">${cameraIcon}${index + 1}</span>
-            <img src="${image.dataUrl}" alt="Preview ${index + 1}">
-            ${filterBadge}
-            <button class="remove-btn" data-id="${image.id}">
-                <i class="fas fa-times"></i>
-            </button>
-        `;
-
-        // Event listener para eliminar imagen
-        const removeBtn = div.querySelector('.remove-btn');
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.removeImage(image.id);
-        });
+        // Lo que ya no se puede recuperar libera sus miniaturas
+        if (discarded) this.releasePageUrls();
+    }
 
-        return div;
+    /**
+     * Deshace la última limpieza de la lista
+     */
+    undo() {
+        const action = this.undoAction;
+        this.undoAction = null;
+        this.hideUndo();
+        if (action) action();
     }
 
     /**
-     * Elimina una imagen de la colección
-     * @param {string} id - ID de la imagen a eliminar
+     * Obtiene la configuración actual para guardarla con el borrador
+     * @returns {Object} Opciones de página, calidad y OCR
      */
-    removeImage(id) {
-        this.images = this.images.filter(img => img.id !== id);
-        this.renderPreviews();
+    getSettings() {
+        return {
+            pageSize: this.pageSize,
+            pageOrientation: this.pageOrientation,
+            fitMode: this.fitMode,
+            useMargins: this.useMargins,
+            marginSize: this.marginSize,
+            qualityPreset: this.qualityPreset,
+            customDpi: this.customDpi,
+            customQuality: this.customQuality,
+            useOcr: this.useOcr,
+            ocrLanguage: this.ocrLanguage,
+            layout: this.layout,
+            gridColumns: this.gridColumns,
+            gridRows: this.gridRows,
+            layoutSpacing: this.layoutSpacing,
+            cutLines: this.cutLines,
+            numberImages: this.numberImages,
+            pageStamps: { ...this.pageStamps },
+            fileNameTemplate: this.fileNameTemplate,
+            documentInfo: { ...this.documentInfo },
+            useOutline: this.useOutline,
+            blankSensitivity: this.blankSensitivity,
+            splitMode: this.splitMode,
+            splitEvery: this.splitEvery,
+            splitOutput: this.splitOutput,
+            uploadEndpoint: this.uploadEndpoint,
+            signature: this.signature
+        };
     }
 
     /**
-     * Actualiza la interfaz según el estado actual
+     * Aplica una configuración guardada y actualiza los controles del panel
+     * @param {Object} [settings] - Configuración de getSettings(); lo que falte no cambia
      */
-    updateUI() {
-        const hasImages = this.images.length > 0;
+    applySettings(settings = {}) {
+        Object.assign(this, this.getSettings(), settings);
         
-        this.previewContainer.style.display = hasImages ? 'block' : 'none';
-        this.actionsContainer.style.display = hasImages ? 'flex' : 'none';
-        this.imageCount.textContent = this.images.length;
+        this.pageSizeSelect.value = this.pageSize;
+        this.pageOrientationSelect.value = this.pageOrientation;
+        this.fitModeSelect.value = this.fitMode;
+        this.useMarginsCheckbox.checked = this.useMargins;
+        this.marginSizeInput.value = Math.round(this.marginSize / 28.35 * 10) / 10;
+        this.marginSizeInput.disabled = !this.useMargins;
+        this.qualityPresetSelect.value = this.qualityPreset;
+        this.customQualitySettings.classList.toggle('d-none', this.qualityPreset !== 'custom');
+        this.customDpiInput.value = this.customDpi;
+        this.customQualityInput.value = Math.round(this.customQuality * 100);
+        this.customQualityValue.textContent = this.customQualityInput.value;
+        this.useOcrCheckbox.checked = this.useOcr;
+        this.ocrLanguageSelect.value = this.ocrLanguage;
+        this.ocrLanguageSelect.disabled = !this.useOcr;
+        this.uploadEndpointInput.value = this.uploadEndpoint;
+        this.blankSensitivityInput.value = this.blankSensitivity;
+        this.splitModeSelect.value = this.splitMode;
+        this.splitEveryInput.value = this.splitEvery;
+        this.splitOutputSelect.value = this.splitOutput;
+        this.updateSplitControls();
+        this.renderBlankPages();
+        this.layoutModeSelect.value = this.layout;
+        this.gridColumnsInput.value = this.gridColumns;
+        this.gridRowsInput.value = this.gridRows;
+        this.layoutSpacingInput.value = Math.round(this.layoutSpacing / 28.35 * 10) / 10;
+        this.cutLinesCheckbox.checked = this.cutLines;
+        this.numberImagesCheckbox.checked = this.numberImages;
+        this.updateLayoutControls();
+        this.stampControls.forEach(control => {
+            control.value = this.pageStamps[control.dataset.stamp];
+        });
+        this.updateStampControls();
+        this.renderStampPreview();
     }
 
     /**
-     * Genera el PDF con todas las imágenes cargadas
-     * Optimiza cada imagen y aplica márgenes si está configurado
+     * Restaura el último borrador al cargar la página
+     * Si el navegador no permite IndexedDB la aplicación funciona sin guardar
      */
-    async generatePdf() {
-        if (this.images.length === 0) return;
-
-        this.loading.style.display = 'block';
-        this.actionsContainer.style.display = 'none';
+    async restoreSession() {
+        if (!this.draftStore) return;
+        
+        try {
+            this.drafts = await this.draftStore.listDrafts();
+            const draft = this.drafts[0] || await this.createDraft('Borrador 1');
+            await this.loadDraft(draft);
+            this.draftsBar.classList.remove('d-none');
+        } catch (error) {
+            console.error('No se pudo restaurar la sesión:', error);
+            this.draftStore = null;
+        }
+    }
 
+    /**
+     * Importa los archivos con los que se abrió la aplicación instalada
+     * - File Handling: archivos abiertos con la aplicación desde el sistema (launchQueue)
+     * - Web Share Target: archivos compartidos desde la galería, que sw.js deja en la caché
+     */
+    async receiveLaunchedFiles() {
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (params) => {
+                if (!params.files || params.files.length === 0) return;
+                const files = await Promise.all(params.files.map(handle => handle.getFile()));
+                await this.sessionReady;
+                this.handleFiles(files);
+            });
+        }
+        
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has('compartido') || !('caches' in window)) return;
+        // Sin el parámetro, recargar la página no vuelve a buscar archivos compartidos
+        url.searchParams.delete('compartido');
+        history.replaceState(null, '', url.href);
+        
         try {
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF();
+            const cache = await caches.open(this.shareCacheName);
+            const requests = await cache.keys();
+            const files = [];
+            for (const request of requests) {
+                const response = await cache.match(request);
+                const blob = await response.blob();
+                const name = decodeURIComponent(response.headers.get('X-Nombre-Archivo') || 'compartido');
+                files.push(new File([blob], name, { type: blob.type }));
+                await cache.delete(request);
+            }
             
-            for (let i = 0; i < this.images.length; i++) {
-                if (i > 0) {
-                    pdf.addPage();
-                }
-
-                // Optimiza la imagen antes de agregarla
-                const optimizedImage = await this.optimizeImage(this.images[i].dataUrl);
-                
-                // Obtiene dimensiones de la página
-                const pageWidth = pdf.internal.pageSize.getWidth();
-                const pageHeight = pdf.internal.pageSize.getHeight();
-                
-                // Calcula el área disponible considerando márgenes
-                let availableWidth = pageWidth;
-                let availableHeight = pageHeight;
-                let xStart = 0;
-                let yStart = 0;
-                
-                if (this.useMargins) {
-                    availableWidth = pageWidth - (2 * this.marginSize);
-                    availableHeight = pageHeight - (2 * this.marginSize);
-                    xStart = this.marginSize;
-                    yStart = this.marginSize;
-                }
-                
-                // Calcula dimensiones manteniendo proporción
-                const img = await this.loadImage(optimizedImage);
-                const imgRatio = img.width / img.height;
-                const areaRatio = availableWidth / availableHeight;
-                
-                let finalWidth, finalHeight, xOffset, yOffset;
-                
-                if (imgRatio > areaRatio) {
-                    // La imagen es más ancha que el área disponible
-                    finalWidth = availableWidth;
-                    finalHeight = availableWidth / imgRatio;
-                    xOffset = xStart;
-                    yOffset = yStart + (availableHeight - finalHeight) / 2;
-                } else {
-                    // La imagen es más alta que el área disponible
-                    finalHeight = availableHeight;
-                    finalWidth = availableHeight * imgRatio;
-                    xOffset = xStart + (availableWidth - finalWidth) / 2;
-                    yOffset = yStart;
-                }
-
-                pdf.addImage(optimizedImage, 'JPEG', xOffset, yOffset, finalWidth, finalHeight);
+            await this.sessionReady;
+            if (files.length > 0) {
+                this.handleFiles(files);
             }
-
-            // Genera el nombre del archivo
-            const marginText = this.useMargins ? '_APA' : '';
-            const fileName = `imagenes${marginText}_${new Date().getTime()}.pdf`;
-            pdf.save(fileName);
-
-            this.showSuccess();
         } catch (error) {
-            console.error('Error generando PDF:', error);
-            alert('Ocurrió un error al generar el PDF. Por favor intenta de nuevo.');
-        } finally {
-            this.loading.style.display = 'none';
-            this.actionsContainer.style.display = 'flex';
+            console.error('No se pudieron leer los archivos compartidos:', error);
         }
     }
 
     /**
-     * Optimiza una imagen para reducir su tamaño
-     * @param {string} dataUrl - Data URL de la imagen
-     * @returns {Promise<string>} Data URL de la imagen optimizada
+     * Crea un borrador vacío con la configuración actual
+     * @param {string} name - Nombre del borrador
+     * @returns {Promise<Object>} Borrador creado
      */
-    optimizeImage(dataUrl) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                
-                // Define tamaño máximo (A4 en 150 DPI)
-                const maxWidth = 1240;
-                const maxHeight = 1754;
-                
-                let width = img.width;
-                let height = img.height;
-                
-                // Escala si es necesario
-                if (width > maxWidth || height > maxHeight) {
-                    const ratio = Math.min(maxWidth / width, maxHeight / height);
-                    width = width * ratio;
-                    height = height * ratio;
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                ctx.drawImage(img, 0, 0, width, height);
-                
-                // Comprime con calidad del 85%
-                resolve(canvas.toDataURL('image/jpeg', 0.85));
-            };
-            img.src = dataUrl;
+    async createDraft(name) {
+        const draft = {
+            id: `borrador-${Date.now()}`,
+            name: name,
+            updatedAt: Date.now(),
+            order: [],
+            settings: this.getSettings()
+        };
+        await this.draftStore.saveDraft(draft);
+        this.drafts.unshift(draft);
+        return draft;
+    }
+
+    /**
+     * Carga las páginas y la configuración de un borrador
+     * @param {Object} draft - Borrador a cargar
+     */
+    async loadDraft(draft) {
+        const pages = await this.draftStore.getPages(draft.id);
+        const pagesById = new Map(pages.map(page => [page.id, page]));
+        
+        this.currentDraftId = draft.id;
+        this.savedPages = new Map();
+        const restored = draft.order.filter(id => pagesById.has(id)).map(id => {
+            const { draftId, ...image } = pagesById.get(id);
+            this.restorePage(image);
+            this.savedPages.set(image.id, this.getPageSnapshot(image));
+            return image;
         });
+        
+        // Lo que se agregó mientras se leía la base de datos se conserva al final
+        this.images = restored.concat(this.images);
+        this.applySettings(draft.settings);
+        this.hideUndo();
+        this.renderDraftList();
+        this.renderPreviews();
     }
 
     /**
-     * Carga una imagen y retorna el elemento Image
-     * @param {string} src - Source de la imagen
-     * @returns {Promise<HTMLImageElement>} Elemento Image cargado
+     * Prepara una página leída de IndexedDB para mostrarla
+     * Los ObjectURL no sobreviven a la sesión: la miniatura se vuelve a abrir desde su Blob
+     * @param {Object} image - Página guardada
      */
-    loadImage(src) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.src = src;
+    restorePage(image) {
+        image.thumbnailUrl = this.createPageUrl(image.thumbnailBlob);
+    }
+
+    /**
+     * Actualiza el selector de borradores
+     */
+    renderDraftList() {
+        this.draftSelect.innerHTML = '';
+        this.drafts.forEach(draft => {
+            const option = document.createElement('option');
+            option.value = draft.id;
+            option.textContent = draft.name;
+            this.draftSelect.appendChild(option);
         });
+        this.draftSelect.value = this.currentDraftId;
     }
 
     /**
-     * Muestra mensaje de éxito y limpia automáticamente las imágenes
+     * Indica si se puede cambiar de borrador (no hay imágenes a medio importar)
+     * @returns {boolean} true si no hay trabajo pendiente
      */
-    showSuccess() {
-        const originalText = this.generatePdfBtn.innerHTML;
-        this.generatePdfBtn.innerHTML = '<i class="fas fa-check"></i> ¡PDF Generado!';
-        this.generatePdfBtn.classList.add('btn-success');
-        this.generatePdfBtn.classList.remove('btn-primary');
+    canSwitchDraft() {
+        if (this.importQueue.length > 0 || this.isBatchProcessing) {
+            alert('Termina de revisar las imágenes pendientes antes de cambiar de borrador.');
+            this.draftSelect.value = this.currentDraftId;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Guarda el borrador actual y abre otro
+     * @param {string} draftId - Id del borrador a abrir
+     */
+    async switchDraft(draftId) {
+        if (draftId === this.currentDraftId || !this.canSwitchDraft()) return;
         
-        setTimeout(() => {
-            this.generatePdfBtn.innerHTML = originalText;
-            this.generatePdfBtn.classList.remove('btn-success');
-            this.generatePdfBtn.classList.add('btn-primary');
-            
-            // Limpia automáticamente todas las imágenes después de generar el PDF
-            this.images = [];
-            this.fileInput.value = '';
-            this.renderPreviews();
-        }, 3000);
+        await this.saveSession();
+        const draft = this.drafts.find(d => d.id === draftId);
+        this.images = [];
+        await this.loadDraft(draft);
     }
 
     /**
-     * Limpia todas las imágenes y reinicia la aplicación
+     * Crea un borrador nuevo y vacío y lo abre
      */
-    clearAll() {
-        if (confirm('¿Estás seguro de que deseas eliminar todas las imágenes?')) {
-            this.images = [];
-            this.fileInput.value = '';
-            this.renderPreviews();
+    async newDraft() {
+        if (!this.canSwitchDraft()) return;
+        
+        const name = prompt('Nombre del nuevo borrador:', `Borrador ${this.drafts.length + 1}`);
+        if (name === null || !name.trim()) return;
+        
+        await this.saveSession();
+        const draft = await this.createDraft(name.trim());
+        this.images = [];
+        await this.loadDraft(draft);
+    }
+
+    /**
+     * Cambia el nombre del borrador actual
+     */
+    async renameDraft() {
+        const draft = this.drafts.find(d => d.id === this.currentDraftId);
+        if (!draft) return;
+        
+        const name = prompt('Nuevo nombre del borrador:', draft.name);
+        if (name === null || !name.trim()) return;
+        
+        draft.name = name.trim();
+        this.renderDraftList();
+        await this.saveSession();
+    }
+
+    /**
+     * Elimina el borrador actual con sus páginas y abre el más reciente de los restantes
+     */
+    async deleteDraft() {
+        const draft = this.drafts.find(d => d.id === this.currentDraftId);
+        if (!draft || !this.canSwitchDraft()) return;
+        if (!confirm(`¿Eliminar el borrador "${draft.name}" y sus ${this.images.length} imágenes?`)) return;
+        
+        clearTimeout(this.saveTimer);
+        await this.draftStore.deleteDraft(draft.id);
+        this.drafts = this.drafts.filter(d => d !== draft);
+        
+        const next = this.drafts[0] || await this.createDraft('Borrador 1');
+        this.images = [];
+        await this.loadDraft(next);
+    }
+
+    /**
+     * Programa el guardado del borrador actual
+     * Agrupa cambios seguidos (rotar varias páginas, mover controles) en una sola escritura
+     */
+    scheduleSave() {
+        if (!this.draftStore || !this.currentDraftId) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveStatus.textContent = 'Guardando...';
+        this.saveTimer = setTimeout(() => this.saveSession(), 500);
+    }
+
+    /**
+     * Guarda el borrador actual: solo escribe las páginas nuevas o modificadas
+     */
+    async saveSession() {
+        clearTimeout(this.saveTimer);
+        const draft = this.drafts.find(d => d.id === this.currentDraftId);
+        if (!this.draftStore || !draft) return;
+        
+        const images = this.images.slice();
+        const currentIds = new Set(images.map(image => image.id));
+        const changed = images.filter(image => !this.isPageSaved(image));
+        const removedIds = [...this.savedPages.keys()].filter(id => !currentIds.has(id));
+        
+        draft.order = images.map(image => image.id);
+        draft.settings = this.getSettings();
+        draft.updatedAt = Date.now();
+        
+        try {
+            await this.draftStore.savePages(draft.id, changed, removedIds);
+            await this.draftStore.saveDraft(draft);
+            
+            changed.forEach(image => this.savedPages.set(image.id, this.getPageSnapshot(image)));
+            removedIds.forEach(id => this.savedPages.delete(id));
+            this.saveStatus.textContent = 'Guardado';
+        } catch (error) {
+            console.error('Error guardando el borrador:', error);
+            this.saveStatus.textContent = 'Sin guardar';
+            if (!this.saveErrorShown) {
+                this.saveErrorShown = true;
+                alert('No se pudo guardar el borrador en este dispositivo (puede que no quede espacio). Las imágenes siguen disponibles hasta que cierres la página.');
+            }
         }
     }
+
+    /**
+     * Datos de una página que determinan si hay que volver a guardarla
+     * Las imágenes se comparan por referencia: el Blob solo cambia al reeditar la página
+     * @param {Object} image - Imagen de la colección
+     * @returns {Object} Instantánea de la página
+     */
+    getPageSnapshot(image) {
+        return {
+            blob: image.blob,
+            originalBlob: image.originalBlob,
+            filter: image.filter,
+            rotation: image.rotation,
+            details: JSON.stringify([image.adjustments, image.corners, image.transform, image.bookmark, image.annotations])
+        };
+    }
+
+    /**
+     * Indica si una página está guardada tal como está ahora
+     * @param {Object} image - Imagen de la colección
+     * @returns {boolean} true si no cambió desde el último guardado
+     */
+    isPageSaved(image) {
+        const saved = this.savedPages.get(image.id);
+        if (!saved) return false;
+        
+        const current = this.getPageSnapshot(image);
+        return Object.keys(current).every(key => saved[key] === current[key]);
+    }
 }
 
 // Inicializa la aplicación cuando el DOM esté listo
 document.addEventListener('DOMContentLoaded', () => {
     new ImageToPdfConverter();
-});
\ No newline at end of file
+});
+
+// Service worker: instalación como aplicación y uso sin conexión
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('No se pudo registrar el service worker:', error);
+        });
+    });
+}
\ No newline at end of file
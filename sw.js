@@ -0,0 +1,134 @@
+/**
+ * Service worker: la aplicación se instala y funciona sin conexión
+ * - Guarda la página, los estilos, los scripts y las bibliotecas de vendor/ al instalarse
+ * - Responde primero desde la caché y guarda lo que se descarga después
+ * - Recibe los archivos compartidos desde otras aplicaciones (Web Share Target)
+ */
+
+// Subir la versión al publicar cambios: la caché anterior se borra al activarse la nueva
+const CACHE_VERSION = 'v7';
+const APP_CACHE = `convertidor-app-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `convertidor-descargas-${CACHE_VERSION}`;
+// Mismo nombre que usa la página (ImageToPdfConverter.shareCacheName)
+const SHARE_CACHE = 'convertidor-compartidos';
+
+// Necesarios para abrir la aplicación sin conexión
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/favicon.ico',
+    'assets/icono-192.png',
+    'assets/icono-512.png',
+    'source/CSS/estilos.css',
+    'source/JS/procesamiento.js',
+    'source/JS/nucleo.js',
+    'source/JS/pool.js',
+    'source/JS/procesador.js',
+    'source/JS/almacenamiento.js',
+    'source/JS/script.js'
+];
+
+// Bibliotecas de la interfaz: vendor/ se genera con npm install. Si falta, la página
+// las carga desde la CDN y funciona solo con conexión
+const LIBRARY_FILES = [
+    'vendor/bootstrap/css/bootstrap.min.css',
+    'vendor/bootstrap/js/bootstrap.bundle.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/jspdf/jspdf.umd.min.js'
+];
+
+// Bibliotecas que la página carga bajo demanda; si alguna falta, la instalación sigue
+const OPTIONAL_FILES = [
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/heic2any/heic2any.min.js',
+    'vendor/utif/UTIF.js',
+    'vendor/pako/pako.min.js',
+    'vendor/jsqr/jsQR.js',
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract-core/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract-core/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tessdata/spa.traineddata.gz',
+    'vendor/tessdata/eng.traineddata.gz'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_FILES);
+        await Promise.allSettled([...LIBRARY_FILES, ...OPTIONAL_FILES].map(file => cache.add(file)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        // Las cachés de versiones anteriores (con sus copias de vendor/) se borran
+        await Promise.all(names
+            .filter(name => name.startsWith('convertidor-') && ![APP_CACHE, RUNTIME_CACHE, SHARE_CACHE].includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === new URL('compartir', self.registration.scope).pathname) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(fromCache(request));
+});
+
+/**
+ * Responde desde la caché o descarga y guarda la respuesta para usarla sin conexión
+ * Los parámetros de la URL se ignoran para que '?compartido=1' abra la página guardada
+ * @param {Request} request - Petición GET del mismo origen
+ * @returns {Promise<Response>} Respuesta guardada o descargada
+ */
+async function fromCache(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Guarda los archivos compartidos y abre la aplicación para importarlos
+ * La página los lee de la caché al cargar con '?compartido=1' y los borra
+ * @param {Request} request - Formulario multipart enviado por el sistema
+ * @returns {Promise<Response>} Redirección a la aplicación
+ */
+async function receiveSharedFiles(request) {
+    const data = await request.formData();
+    const files = data.getAll('archivos').filter(file => typeof file !== 'string');
+
+    const cache = await caches.open(SHARE_CACHE);
+    const stamp = Date.now();
+    // Las claves conservan el orden en que se compartieron
+    for (const [index, file] of files.entries()) {
+        await cache.put(`compartido/${stamp}-${String(index).padStart(4, '0')}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-Nombre-Archivo': encodeURIComponent(file.name)
+            }
+        }));
+    }
+
+    return Response.redirect(new URL('./?compartido=1', self.registration.scope).href, 303);
+}